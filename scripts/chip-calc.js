@@ -0,0 +1,292 @@
+/**
+ * Chip Calculator CLI
+ * Runs the calculator engine headless: suggests blinds and chip values,
+ * calculates the per-player distribution and validates the chip values.
+ *
+ * Usage: npm run calc -- [file.json] [options]   (see --help)
+ *
+ * Exit codes: 0 exact result without warnings, 1 bad input,
+ * 2 invalid result (stacks don't add up to the buy-in), 3 exact result with warnings
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    calculateDistribution, suggestBlinds, suggestChipValues, assignChipValues,
+    validateChipValues, formatCurrency, DISTRIBUTION_MODES
+} from '../src/chipCalculator.js';
+import { setCurrencySettings } from '../src/currency.js';
+import { parsePresetFile, PRESET_FILE_FORMAT } from '../src/presetShare.js';
+import { withSettingsDefaults } from '../src/schema.js';
+import { mergeDiagnostics, describeFix } from '../src/diagnostics.js';
+import { getDefaultGameSettings } from '../src/storage.js';
+
+const EXIT = { OK: 0, ERROR: 1, INVALID: 2, WARNINGS: 3 };
+
+const USAGE = `Usage: npm run calc -- [file.json] [options]
+
+The file can be a preset, a preset export file or a saved preset list.
+Options override the file.
+
+  --preset <name>        Preset to use from a file with several (default: first)
+  --buy-in <amount>      Buy-in per player
+  --players <n>          Number of players
+  --small-blind <amount> Small blind (default: suggested from the buy-in)
+  --big-blind <amount>   Big blind (default: 2 x small blind)
+  --chips <list>         Chips as name:quantity[:value], comma separated,
+                         e.g. "White:100,Red:100:1,Blue:50:5"
+  --suggest-values       Replace unlocked chip values with suggested ones
+                         (always done when a chip has no value)
+  --mode <mode>          pyramid or exact (default: the preset's, else exact)
+  --format <format>      table, json or csv (default: table)
+  --currency <code>      Currency for table output, e.g. EUR or points
+  --locale <locale>      Locale for table output, e.g. de-DE
+  -h, --help             Show this help
+
+Exit codes: 0 exact, 1 bad input, 2 invalid result, 3 exact with warnings`;
+
+/**
+ * Fail with a message and the input-error exit code
+ * @param {string} message
+ */
+function fail(message) {
+    console.error(`chip-calc: ${message}`);
+    process.exit(EXIT.ERROR);
+}
+
+/**
+ * Parse a positive number flag
+ * @param {string|undefined} text - Flag value
+ * @param {string} flag - Flag name (for errors)
+ * @returns {number|undefined}
+ */
+function parseAmount(text, flag) {
+    if (text === undefined) return undefined;
+    const value = Number(text);
+    if (!(value > 0)) fail(`--${flag} must be a positive number, got "${text}"`);
+    return value;
+}
+
+/**
+ * Parse the --chips list
+ * @param {string} text - e.g. "White:100,Red:100:1"
+ * @returns {Array} - Chips (value 0 when not given)
+ */
+function parseChipList(text) {
+    return text.split(',').map((part, i) => {
+        const [name, quantity, value] = part.split(':').map(s => s.trim());
+        const chip = { id: `${i + 1}`, name, quantity: Number(quantity), value: value === undefined ? 0 : Number(value), locked: value !== undefined };
+        if (!name || !Number.isInteger(chip.quantity) || chip.quantity < 0 || !(chip.value >= 0)) {
+            fail(`can't read chip "${part}" (expected name:quantity[:value])`);
+        }
+        return chip;
+    });
+}
+
+/**
+ * Read a preset from a JSON file
+ * @param {string} path - File path
+ * @param {string} [name] - Preset name to pick
+ * @returns {Object} - Validated preset
+ */
+function readPresetFile(path, name) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (e) {
+        fail(`can't read ${path}: ${e.message}`);
+    }
+
+    // A saved preset list (the storage.js shape) reads like an export file
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        fail(`${path} is not valid JSON`);
+    }
+    if (Array.isArray(data)) {
+        text = JSON.stringify({ format: PRESET_FILE_FORMAT, version: 1, presets: data });
+    }
+
+    const { presets, errors } = parsePresetFile(text);
+    if (presets.length === 0) {
+        fail(`${path}: ${errors.join('; ') || 'no presets found'}`);
+    }
+
+    const preset = name ? presets.find(p => p.name === name) : presets[0];
+    if (!preset) {
+        fail(`${path} has no preset named "${name}" (found: ${presets.map(p => p.name).join(', ')})`);
+    }
+    return preset;
+}
+
+/**
+ * Check a --currency or --locale flag against Intl (unknown values throw a RangeError)
+ * @param {string|undefined} value - Flag value
+ * @param {string} flag - Flag name, for the error
+ * @param {Function} format - Builds a number format from the value
+ */
+function checkFormatFlag(value, flag, format) {
+    if (value === undefined) return;
+    try {
+        format(value);
+    } catch (e) {
+        fail(`--${flag} "${value}" is not supported (${e.message})`);
+    }
+}
+
+/**
+ * Run the calculation
+ * @param {Object} options - Parsed flags
+ * @param {string} [file] - Input file
+ * @returns {Object} - Report for output
+ */
+function run(options, file) {
+    const preset = file ? readPresetFile(file, options.preset) : null;
+    const settings = withSettingsDefaults(preset?.gameSettings || {}, getDefaultGameSettings());
+    checkFormatFlag(options.locale, 'locale', locale => new Intl.NumberFormat(locale));
+    if (options.currency !== 'points') {
+        checkFormatFlag(options.currency, 'currency', currency => new Intl.NumberFormat('en-US', { style: 'currency', currency }));
+    }
+    setCurrencySettings({
+        ...settings.currency,
+        ...(options.currency ? { currency: options.currency } : {}),
+        ...(options.locale ? { locale: options.locale } : {})
+    });
+
+    const buyIn = parseAmount(options['buy-in'], 'buy-in') ?? settings.buyIn;
+    const players = options.players !== undefined ? Number(options.players) : settings.players;
+    if (!Number.isInteger(players) || players < 2) fail(`--players must be a whole number of at least 2, got "${options.players}"`);
+
+    // Blinds: flags, then the file (only if the buy-in didn't change), then suggested
+    let smallBlind = parseAmount(options['small-blind'], 'small-blind');
+    let bigBlind = parseAmount(options['big-blind'], 'big-blind');
+    if (smallBlind === undefined && bigBlind === undefined) {
+        ({ smallBlind, bigBlind } = preset && options['buy-in'] === undefined
+            ? settings
+            : suggestBlinds(buyIn, settings.denominations));
+    }
+    smallBlind ??= bigBlind / 2;
+    bigBlind ??= smallBlind * 2;
+
+    let chips = options.chips ? parseChipList(options.chips) : preset?.chips;
+    if (!chips || chips.length === 0) fail('no chips: pass a preset file or --chips');
+
+    // Values: suggested for unlocked chips when asked, or when any chip has none
+    let changes = [];
+    if (options['suggest-values'] || chips.some(c => !(c.value > 0))) {
+        const suggested = suggestChipValues(smallBlind, buyIn, chips.length, settings.denominations);
+        const mode = options['suggest-values'] && settings.valueMode === 'suggest' ? 'suggest' : 'suggest-unlocked';
+        ({ chips, changes } = assignChipValues(chips, suggested, mode));
+    }
+    if (chips.some(c => !(c.value > 0))) fail('some chips have no value and none could be suggested');
+
+    const result = calculateDistribution({
+        buyIn, smallBlind, bigBlind, numPlayers: players, chips, mode: options.mode ?? settings.distributionMode, denominations: settings.denominations
+    });
+    const validation = validateChipValues(smallBlind, buyIn, chips, settings.denominations);
+
+    return {
+        preset: preset?.name ?? null,
+        settings: { buyIn, players, smallBlind, bigBlind },
+        chips,
+        changes,
+        distribution: result.distribution.map(({ id, name, value, quantity, subtotal }) => ({ id, name, value, quantity, subtotal })),
+        totalValue: result.totalValue,
+        totalChips: result.totalChips ?? 0,
+        isValid: result.isValid,
+        diagnostics: mergeDiagnostics(result.diagnostics, validation.diagnostics)
+    };
+}
+
+/**
+ * Render the report as an aligned text table
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatTable(report) {
+    const { settings, chips, distribution } = report;
+    const rows = chips.map(chip => {
+        const item = distribution.find(d => d.id === chip.id);
+        const perPlayer = item?.quantity ?? 0;
+        return [chip.name, formatCurrency(chip.value), String(perPlayer), formatCurrency(item?.subtotal ?? 0),
+            String(chip.quantity), String(perPlayer * settings.players)];
+    });
+    const header = ['Chip', 'Value', 'Per player', 'Subtotal', 'Owned', 'Needed'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+
+    const out = [
+        `${report.preset ? `${report.preset}: ` : ''}${formatCurrency(settings.buyIn)} buy-in, ${settings.players} players, blinds ${formatCurrency(settings.smallBlind)} / ${formatCurrency(settings.bigBlind)}`,
+        '',
+        line(header),
+        line(widths.map(w => '-'.repeat(w))),
+        ...rows.map(line),
+        '',
+        `Total: ${formatCurrency(report.totalValue)} in ${report.totalChips} chips ${report.isValid ? '(exact)' : '(NOT exact)'}`
+    ];
+    report.changes.forEach(c => out.push(`Value: ${c.name} ${formatCurrency(c.from)} -> ${formatCurrency(c.to)}`));
+    for (const d of report.diagnostics) {
+        out.push(`${d.severity[0].toUpperCase()}${d.severity.slice(1)} [${d.code}]: ${d.message}`);
+        if (d.fix) out.push(`  Fix: ${describeFix(d.fix, chips, formatCurrency)}`);
+    }
+    return out.join('\n');
+}
+
+/**
+ * Render the distribution as CSV (one row per chip)
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatCsv(report) {
+    const escape = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = report.chips.map(chip => {
+        const item = report.distribution.find(d => d.id === chip.id);
+        const perPlayer = item?.quantity ?? 0;
+        return [chip.name, chip.value, perPlayer, item?.subtotal ?? 0, chip.quantity, perPlayer * report.settings.players];
+    });
+    return [['chip', 'value', 'per_player', 'subtotal', 'owned', 'needed'], ...rows]
+        .map(row => row.map(escape).join(','))
+        .join('\n');
+}
+
+const { values: options, positionals } = (() => {
+    try {
+        return parseArgs({
+            allowPositionals: true,
+            options: {
+                preset: { type: 'string' },
+                'buy-in': { type: 'string' },
+                players: { type: 'string' },
+                'small-blind': { type: 'string' },
+                'big-blind': { type: 'string' },
+                chips: { type: 'string' },
+                'suggest-values': { type: 'boolean' },
+                mode: { type: 'string' },
+                format: { type: 'string', default: 'table' },
+                currency: { type: 'string' },
+                locale: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        return fail(`${e.message}\n\n${USAGE}`);
+    }
+})();
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(EXIT.OK);
+}
+if (options.mode !== undefined && !DISTRIBUTION_MODES.includes(options.mode)) fail(`--mode must be pyramid or exact, got "${options.mode}"`);
+if (!['table', 'json', 'csv'].includes(options.format)) fail(`--format must be table, json or csv, got "${options.format}"`);
+if (positionals.length > 1) fail(`expected at most one input file, got ${positionals.length}`);
+
+const report = run(options, positionals[0]);
+const formatters = { table: formatTable, json: r => JSON.stringify(r, null, 2), csv: formatCsv };
+console.log(formatters[options.format](report));
+
+if (!report.isValid) {
+    process.exit(EXIT.INVALID);
+}
+process.exit(report.diagnostics.length > 0 ? EXIT.WARNINGS : EXIT.OK);
@@ -0,0 +1,187 @@
+/**
+ * Table Sync Relay
+ * Minimal dependency-free WebSocket relay for local networks: every text
+ * message is forwarded to the other devices in the same room. Fragmented
+ * messages are put back together first; binary messages are refused.
+ *
+ * Usage: npm run sync-relay -- [port]   (default 8787)
+ * Devices connect to ws://<this machine's LAN IP>:<port>/?room=<table code>
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = parseInt(process.argv[2]) || 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+// Close status codes (RFC 6455 section 7.4.1)
+const CLOSE_CODES = { PROTOCOL_ERROR: 1002, UNSUPPORTED_DATA: 1003, MESSAGE_TOO_BIG: 1009 };
+
+const rooms = new Map(); // room code → Set of sockets
+
+/**
+ * Encode an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete client frames as the buffer holds
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0F;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7F;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        const frameLength = headerLength + maskLength + length;
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ fin, opcode, payload });
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Poker chip calculator sync relay\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const room = new URL(req.url, 'http://relay').searchParams.get('room') || 'default';
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    const members = rooms.get(room);
+    members.add(socket);
+    console.log(`+ ${req.socket.remoteAddress} joined "${room}" (${members.size} connected)`);
+
+    let pending = Buffer.alloc(0);
+    let fragments = null; // payloads of a text message still waiting for its final frame
+
+    const leave = () => {
+        fragments = null;
+        if (!members.delete(socket)) return;
+        if (members.size === 0) rooms.delete(room);
+        console.log(`- ${req.socket.remoteAddress} left "${room}" (${members.size} connected)`);
+    };
+
+    const close = (code) => {
+        const status = Buffer.alloc(2);
+        status.writeUInt16BE(code);
+        socket.end(encodeFrame(OPCODES.CLOSE, status));
+        leave();
+    };
+
+    const forward = (payload) => {
+        const frame = encodeFrame(OPCODES.TEXT, payload);
+        for (const other of members) {
+            if (other !== socket) other.write(frame);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        if (pending.length > MAX_MESSAGE_BYTES) {
+            socket.destroy();
+            return;
+        }
+
+        const { frames, rest } = decodeFrames(pending);
+        pending = rest;
+
+        for (const { fin, opcode, payload } of frames) {
+            if (opcode === OPCODES.TEXT || opcode === OPCODES.CONTINUATION) {
+                // A continuation must follow an unfinished text frame, and a new text frame must not
+                if ((opcode === OPCODES.CONTINUATION) !== (fragments !== null)) {
+                    close(CLOSE_CODES.PROTOCOL_ERROR);
+                    return;
+                }
+                fragments = [...(fragments || []), payload];
+                if (fragments.reduce((size, part) => size + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    close(CLOSE_CODES.MESSAGE_TOO_BIG);
+                    return;
+                }
+                if (fin) {
+                    forward(Buffer.concat(fragments));
+                    fragments = null;
+                }
+            } else if (opcode === OPCODES.BINARY) {
+                close(CLOSE_CODES.UNSUPPORTED_DATA);
+                return;
+            } else if (opcode === OPCODES.PING) {
+                socket.write(encodeFrame(OPCODES.PONG, payload));
+            } else if (opcode === OPCODES.CLOSE) {
+                socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+                leave();
+            }
+        }
+    });
+
+    socket.on('close', leave);
+    socket.on('error', leave);
+});
+
+server.listen(PORT, () => {
+    console.log(`Sync relay listening on ws://0.0.0.0:${PORT}`);
+});
@@ -0,0 +1,153 @@
+/**
+ * Betting Helper
+ * Pot-limit and no-limit bet sizes, pot odds, the fewest table chips that
+ * make a given amount, and change-making from the bank
+ */
+
+import { calculateDistribution, gcd } from './chipCalculator.js';
+
+// Largest amount (in smallest common units) the change-maker will search
+const MAX_CHANGE_UNITS = 1000000;
+
+/**
+ * Largest pot-limit raise: call, then raise by the size of the pot after calling
+ * @param {number} pot - Pot including all bets in front of players
+ * @param {number} toCall - Amount the player must call
+ * @returns {{raiseBy: number, raiseTo: number}} - Raise size and the player's total bet
+ */
+export function potLimitMaxRaise(pot, toCall) {
+    const raiseBy = pot + toCall;
+    return { raiseBy, raiseTo: toCall + raiseBy };
+}
+
+/**
+ * Smallest no-limit bet or raise: at least the big blind, and a raise is at
+ * least as big as the last bet or raise increment (facing 100 raised to 300,
+ * the increment is 200, so the minimum re-raise is to 500)
+ * @param {number} toCall - Amount the player must call
+ * @param {number} bigBlind - Big blind
+ * @param {number} [lastRaise=toCall] - Size of the last bet or raise increment
+ * @returns {number} - Minimum total bet
+ */
+export function noLimitMinRaise(toCall, bigBlind, lastRaise = toCall) {
+    return toCall > 0 ? toCall + Math.max(lastRaise, bigBlind) : bigBlind;
+}
+
+/**
+ * Pot odds for calling a bet
+ * @param {number} pot - Pot including the bet to call
+ * @param {number} toCall - Amount to call
+ * @returns {{ratio: number, equity: number}|null} - Pot-to-call ratio and the share of
+ *   the final pot the call is (the equity needed to break even); null with nothing to call
+ */
+export function potOdds(pot, toCall) {
+    if (!(toCall > 0)) return null;
+    return { ratio: pot / toCall, equity: toCall / (pot + toCall) };
+}
+
+/**
+ * Fewest chips that add up to an amount
+ * @param {number} amount - Amount to make
+ * @param {Array<{id: string, value: number, quantity?: number}>} chips - Chips to use
+ * @param {Object} [options]
+ * @param {boolean} [options.limited=false] - Use at most each chip's quantity
+ * @returns {Array<{id: string, value: number, count: number}>|null} - Chips used,
+ *   largest first, or null if the amount can't be made exactly
+ */
+export function fewestChips(amount, chips, { limited = false } = {}) {
+    const usable = chips.filter(chip => chip.value > 0 && (!limited || chip.quantity > 0));
+    if (amount <= 0) return amount === 0 ? [] : null;
+    if (usable.length === 0) return null;
+
+    // Work in whole units: cents, reduced by the common divisor of every value
+    const cents = value => Math.round(value * 100);
+    const unit = usable.reduce((g, chip) => gcd(g, cents(chip.value)), cents(amount));
+    const target = cents(amount) / unit;
+    if (target > MAX_CHANGE_UNITS) return null;
+
+    // best[u] = fewest chips making u units, adding one chip type at a time.
+    // Taking k of a chip means next[u] = min(best[u - k·size] + k) for k up to
+    // its quantity; a sliding-window minimum per residue keeps each pass linear.
+    let best = new Array(target + 1).fill(Infinity);
+    best[0] = 0;
+    const used = [];
+
+    for (const chip of usable) {
+        const size = cents(chip.value) / unit;
+        const maxCount = limited ? chip.quantity : Infinity;
+        const next = new Array(target + 1).fill(Infinity);
+        const count = new Array(target + 1).fill(0);
+
+        for (let r = 0; r < size && r <= target; r++) {
+            const queue = []; // step indexes j, increasing best[r + j·size] - j
+            for (let j = 0; r + j * size <= target; j++) {
+                const u = r + j * size;
+                const score = best[u] - j;
+                while (queue.length > 0 && best[r + queue[queue.length - 1] * size] - queue[queue.length - 1] >= score) {
+                    queue.pop();
+                }
+                queue.push(j);
+                if (queue[0] < j - maxCount) queue.shift();
+
+                const from = queue[0];
+                const cost = best[r + from * size] - from + j;
+                if (cost < Infinity) {
+                    next[u] = cost;
+                    count[u] = j - from;
+                }
+            }
+        }
+        used.push({ chip, size, count });
+        best = next;
+    }
+
+    if (best[target] === Infinity) return null;
+
+    // Walk back through the chip types, last added first
+    const breakdown = [];
+    let remaining = target;
+    for (let i = used.length - 1; i >= 0; i--) {
+        const { chip, size, count } = used[i];
+        const n = count[remaining];
+        if (n > 0) {
+            breakdown.push({ id: chip.id, value: chip.value, count: n });
+            remaining -= n * size;
+        }
+    }
+
+    return breakdown.sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Pay out an amount in smaller chips from the bank ("break this chip").
+ * Prefers the split calculateDistribution gives a one-player stack of that
+ * size (mostly small chips, a few larger), then falls back to the fewest chips.
+ *
+ * @param {number} amount - Amount to pay out
+ * @param {Array} bank - Chips with the quantity left in the case
+ * @param {Object} [options]
+ * @param {number} [options.below=Infinity] - Only use chips worth less than this (the chip being broken)
+ * @returns {{change: Array<{id: string, value: number, count: number}>|null, fewest: Array|null}} -
+ *   change is null when the bank can't make the amount exactly
+ */
+export function makeChange(amount, bank, { below = Infinity } = {}) {
+    const usable = bank.filter(chip => chip.value < below && chip.value <= amount && chip.quantity > 0);
+    const fewest = fewestChips(amount, usable, { limited: true });
+    if (!fewest) {
+        return { change: null, fewest: null };
+    }
+
+    // Blinds only feed the stack warnings, which don't apply to making change
+    const smallest = Math.min(...usable.map(chip => chip.value));
+    const { distribution, isValid } = calculateDistribution({
+        buyIn: amount, smallBlind: smallest, bigBlind: smallest, numPlayers: 1, chips: usable, mode: 'exact'
+    });
+
+    const change = isValid
+        ? distribution
+            .filter(item => item.quantity > 0)
+            .map(item => ({ id: item.id, value: item.value, count: item.quantity }))
+            .sort((a, b) => b.value - a.value)
+        : fewest;
+    return { change, fewest };
+}
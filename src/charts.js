@@ -0,0 +1,54 @@
+/**
+ * SVG Charts
+ * Small dependency-free chart builders that return SVG markup
+ */
+
+import { escapeHtml } from './html.js';
+
+// Line colors, cycled per series (chosen to read on the green felt)
+const SERIES_COLORS = ['#ffd700', '#4fc3f7', '#ff8a65', '#ba68c8', '#81c784', '#f06292', '#fff176', '#90a4ae'];
+
+/**
+ * Build a multi-series line chart with a zero baseline
+ * @param {Object} params - Chart parameters
+ * @param {Array<{name: string, points: number[]}>} params.series - One line per series
+ * @param {number} [params.width=320] - Chart width (viewBox units)
+ * @param {number} [params.height=180] - Chart height (viewBox units)
+ * @param {(value: number) => string} [params.formatValue=String] - Axis label formatter
+ * @returns {string} - SVG markup
+ */
+export function lineChartSvg({ series, width = 320, height = 180, formatValue = String }) {
+    const pointCount = Math.max(0, ...series.map(s => s.points.length));
+    if (pointCount === 0) {
+        return '';
+    }
+
+    const padding = { top: 12, right: 12, bottom: 12, left: 48 };
+    const values = series.flatMap(s => s.points).concat(0);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+
+    const x = i => padding.left + (pointCount === 1 ? 0 : i * (width - padding.left - padding.right) / (pointCount - 1));
+    const y = v => padding.top + (max - v) * (height - padding.top - padding.bottom) / span;
+
+    const lines = series.map((s, i) => {
+        const color = SERIES_COLORS[i % SERIES_COLORS.length];
+        const points = s.points.map((v, j) => `${x(j).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"><title>${escapeHtml(s.name)}</title></polyline>`;
+    }).join('');
+
+    const legend = series.map((s, i) => `
+      <span class="chart-legend-item"><span class="chart-legend-swatch" style="background-color: ${SERIES_COLORS[i % SERIES_COLORS.length]}"></span>${escapeHtml(s.name)}</span>
+    `).join('');
+
+    return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line x1="${padding.left}" x2="${width - padding.right}" y1="${y(0)}" y2="${y(0)}" stroke="currentColor" stroke-opacity="0.3" stroke-dasharray="4 4"/>
+      <text x="${padding.left - 6}" y="${y(max) + 4}" text-anchor="end" font-size="10" fill="currentColor">${escapeHtml(formatValue(max))}</text>
+      <text x="${padding.left - 6}" y="${y(min) + 4}" text-anchor="end" font-size="10" fill="currentColor">${escapeHtml(formatValue(min))}</text>
+      ${lines}
+    </svg>
+    <div class="chart-legend">${legend}</div>
+  `;
+}
@@ -3,35 +3,101 @@
  * Calculates optimal poker chip distributions
  */
 
+import { formatMoney } from './currency.js';
+import { createDiagnostic } from './diagnostics.js';
+import { t } from './i18n.js';
+
+// Pyramid target quantities per chip type, smallest denomination first
+const PYRAMID_TARGETS = [25, 15, 10, 6, 4, 3, 2, 2, 2, 2];
+
+// Exact solver limits: buy-in size (in smallest common units) and candidate counts tried
+const SOLVER_MAX_UNITS = 1000000;
+const SOLVER_MAX_NODES = 100000;
+
+// Chips in one row of a standard rack; taller stacks are counted out in rows
+const RACK_ROW = 20;
+
+// Decisions a distribution trace records, in the order the heuristic makes them;
+// each is described by the catalog entry 'trace.<step>'
+export const TRACE_STEPS = [
+    'one-type',
+    'two-types-small', 'two-types-large', 'two-types-fill',
+    'pyramid-target', 'pyramid-total',
+    'reduce-over', 'reduce-closer',
+    'fill-smallest',
+    'ensure-two', 'ensure-two-no-stock', 'ensure-two-no-swap',
+    'fine-tune', 'add-any', 'top-up',
+    'exact-solved', 'exact-partial', 'exact-infeasible', 'exact-too-large'
+];
+
+// Named denomination series: base values scaled by powers of 10.
+// `step` keeps only multiples of that amount (e.g. quarters and up).
+export const DENOMINATION_SERIES = {
+    '1-2-5': { label: '1-2-5', bases: [1, 2, 5] },
+    '1-2.5-5': { label: '1-2.5-5', bases: [1, 2.5, 5] },
+    '25-cent': { label: '0.25 and up', bases: [1, 2.5, 5], step: 0.25 },
+    'custom': { label: 'Custom list', bases: [] }
+};
+
+// Denomination settings shared by suggestBlinds, suggestChipValues and validateChipValues
+export const DEFAULT_DENOMINATION_SETTINGS = {
+    series: '1-2.5-5',
+    customValues: [],
+    maxJump: 5,
+    minValue: 0.05,
+    integersOnly: false
+};
+
+/**
+ * List every allowed chip/blind value for the denomination settings
+ * @param {Object} [settings] - Denomination settings (see DEFAULT_DENOMINATION_SETTINGS)
+ * @returns {number[]} - Allowed values in whole cents, ascending
+ */
+export function getDenominations(settings = DEFAULT_DENOMINATION_SETTINGS) {
+    const { series, customValues, minValue, integersOnly } = { ...DEFAULT_DENOMINATION_SETTINGS, ...settings };
+    const definition = DENOMINATION_SERIES[series] || DENOMINATION_SERIES[DEFAULT_DENOMINATION_SETTINGS.series];
+
+    let values;
+    if (series === 'custom') {
+        values = customValues.filter(v => v > 0).map(v => Math.round(v * 100) / 100);
+    } else {
+        values = [];
+        for (let exponent = -2; exponent <= 6; exponent++) {
+            for (const base of definition.bases) {
+                // Work in cents so 0.25 and 2.5 stay exact
+                const cents = base * Math.pow(10, exponent + 2);
+                if (Math.abs(cents - Math.round(cents)) > 1e-9) continue;
+                if (definition.step && Math.round(cents) % Math.round(definition.step * 100) !== 0) continue;
+                values.push(Math.round(cents) / 100);
+            }
+        }
+    }
+
+    return [...new Set(values)]
+        .filter(v => v >= minValue && (!integersOnly || Number.isInteger(v)))
+        .sort((a, b) => a - b);
+}
+
 /**
  * Suggest optimal blinds based on buy-in amount.
- * Uses the "100 Big Blind" standard with 1-2.5-5 series for clean values.
+ * Uses the "100 Big Blind" standard with the configured denomination series
+ * (1-2.5-5 by default) for clean values.
  * 
  * @param {number} buyIn - The buy-in amount
+ * @param {Object} [denominations] - Denomination settings (series, min value, ...)
  * @returns {{smallBlind: number, bigBlind: number}} - Suggested blind values
  */
-export function suggestBlinds(buyIn) {
+export function suggestBlinds(buyIn, denominations = DEFAULT_DENOMINATION_SETTINGS) {
     // Target: 100 big blinds
     const targetSB = buyIn / 200; // SB = buy-in / 200 (since BB = 2 * SB)
 
-    // Generate clean values using 1-2.5-5 series scaled by powers of 10
-    const basePattern = [1, 2.5, 5];
-
     // Find order of magnitude
     const magnitude = Math.floor(Math.log10(Math.max(targetSB, 0.01)));
 
-    // Generate candidates across nearby magnitudes
-    const candidates = [];
-    for (let m = magnitude - 1; m <= magnitude + 1; m++) {
-        const scale = Math.pow(10, m);
-        for (const base of basePattern) {
-            const value = base * scale;
-            // Only include values that make sense (min $0.05)
-            if (value >= 0.05) {
-                candidates.push(value);
-            }
-        }
-    }
+    // Candidates: allowed denominations across nearby magnitudes
+    const candidates = getDenominations(denominations).filter(value =>
+        value >= Math.pow(10, magnitude - 1) && value < Math.pow(10, magnitude + 2)
+    );
 
     // Find closest to target that gives 50-200 BBs
     let bestSB = candidates[0] || 0.25;
@@ -64,68 +130,124 @@ export function suggestBlinds(buyIn) {
 
 /**
  * Suggest optimal chip values based on buy-in AND blind structure.
+ * Every value comes from the denomination series and no step is bigger than
+ * the max jump, so validateChipValues has nothing to warn about.
  * 
  * RULES:
- * 1. Smallest chip = Small Blind (always)
- * 2. Second chip = Big Blind (always)
- * 3. Remaining chips scale up to buy-in / 2
+ * 1. Smallest chip = Small Blind (or the closest series value below it)
+ * 2. Second chip = Big Blind, when the series has it
+ * 3. Remaining chips climb in the biggest allowed jumps towards buy-in / 2;
+ *    spare chip types then split the widest gaps
  * 
  * @param {number} smallBlind - The small blind amount
  * @param {number} buyIn - The buy-in amount
  * @param {number} numChipTypes - Number of different chip types available
+ * @param {Object} [denominations] - Denomination settings (series, max jump, ...)
  * @returns {number[]} - Array of suggested chip values
  */
-export function suggestChipValues(smallBlind, buyIn, numChipTypes) {
-    const values = [];
-    const bigBlind = smallBlind * 2;
-
-    // Chip 1: Small Blind (always)
-    values.push(smallBlind);
+export function suggestChipValues(smallBlind, buyIn, numChipTypes, denominations = DEFAULT_DENOMINATION_SETTINGS) {
+    const { maxJump } = { ...DEFAULT_DENOMINATION_SETTINGS, ...denominations };
+    const allowed = getDenominations(denominations);
+    const inSeries = value => allowed.some(v => Math.abs(v - value) < 0.001);
 
-    // Chip 2: Big Blind (always, if we have 2+ colors)
-    if (numChipTypes >= 2) {
-        values.push(bigBlind);
-    }
+    // Chip 1: Small Blind (always), kept in the series when the blinds aren't
+    const smallest = allowed.length === 0 || inSeries(smallBlind)
+        ? smallBlind
+        : [...allowed].reverse().find(v => v < smallBlind) ?? allowed[0];
+    const values = [smallest];
 
-    // Remaining chips: smooth progression with max 5× jumps
-    // Pool of clean denominations - INTEGERS ONLY (decimals allowed for blinds only)
-    const integerDenominations = [1, 2, 5, 10, 20, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+    const bigBlind = smallBlind * 2;
     const maxValue = Math.max(buyIn / 2, bigBlind * 2);
+    const candidates = allowed.filter(v => v > smallest && v <= maxValue);
 
-    // Filter to values strictly above BB and at most buy-in/2
-    const candidates = integerDenominations.filter(d => d > bigBlind && d <= maxValue);
-
-    // Pick chips with smooth progression (max 5× jump from previous)
-    const slotsLeft = numChipTypes - values.length;
-    if (slotsLeft > 0 && candidates.length > 0) {
-        let lastValue = bigBlind;
-        let picked = [];
+    // Chip 2: Big Blind (if we have 2+ colors and it's in the series)
+    if (numChipTypes >= 2 && candidates.some(v => Math.abs(v - bigBlind) < 0.001)) {
+        values.push(bigBlind);
+    }
 
-        for (const denom of candidates) {
-            // Only pick if jump from last is reasonable (max 5×)
-            if (denom <= lastValue * 5) {
-                picked.push(denom);
-                lastValue = denom;
-            }
-        }
+    // Climb: each chip is the biggest candidate within `maxJump` of the last
+    // (or the next one up, when the series itself has a bigger gap)
+    while (values.length < numChipTypes) {
+        const last = values[values.length - 1];
+        const above = candidates.filter(v => v > last);
+        if (above.length === 0) break;
+        const reachable = above.filter(v => v <= last * maxJump + 1e-9);
+        values.push(reachable.length > 0 ? reachable[reachable.length - 1] : above[0]);
+    }
 
-        // If we have more candidates than slots, pick evenly spaced from the smooth set
-        if (picked.length <= slotsLeft) {
-            values.push(...picked);
-        } else {
-            const step = (picked.length - 1) / (slotsLeft - 1);
-            for (let i = 0; i < slotsLeft; i++) {
-                const idx = Math.round(i * step);
-                values.push(picked[idx]);
+    // Spare chip types: split the widest gap at the value closest to its middle (on a log scale)
+    while (values.length < numChipTypes) {
+        let best = null;
+        for (let i = 1; i < values.length; i++) {
+            const middle = Math.sqrt(values[i - 1] * values[i]);
+            const inside = candidates.filter(v => v > values[i - 1] && v < values[i]);
+            if (inside.length === 0) continue;
+            const ratio = values[i] / values[i - 1];
+            if (!best || ratio > best.ratio) {
+                const value = inside.reduce((closest, v) =>
+                    Math.abs(Math.log(v / middle)) < Math.abs(Math.log(closest / middle)) ? v : closest);
+                best = { ratio, value };
             }
         }
+        if (!best) break;
+        values.push(best.value);
+        values.sort((a, b) => a - b);
     }
 
-    // Ensure values are sorted and unique
-    return [...new Set(values)].sort((a, b) => a - b);
+    return values;
 }
 
+// How Calculate treats chip values: keep them, suggest all, or suggest only unlocked chips
+export const CHIP_VALUE_MODES = ['manual', 'suggest', 'suggest-unlocked'];
+
+/**
+ * Apply suggested values to a chip inventory according to the value mode.
+ * Chips are matched to suggestions smallest-first. In 'suggest-unlocked' mode
+ * locked chips keep their value and the remaining suggestions (minus values
+ * already taken by locked chips) go to the unlocked chips.
+ *
+ * @param {Array<{id: string, name: string, value: number, locked?: boolean}>} chips - Chip inventory
+ * @param {number[]} suggestedValues - Ascending suggested values (e.g. from suggestChipValues)
+ * @param {'manual'|'suggest'|'suggest-unlocked'} [mode='suggest-unlocked'] - Value mode
+ * @returns {{chips: Array, changes: Array<{id: string, name: string, from: number, to: number}>}} - New inventory (sorted by value) and the values that changed
+ */
+export function assignChipValues(chips, suggestedValues, mode = 'suggest-unlocked') {
+    const assigned = new Map();
+
+    if (mode === 'suggest') {
+        [...chips]
+            .sort((a, b) => a.value - b.value)
+            .forEach((chip, index) => {
+                if (index < suggestedValues.length) assigned.set(chip.id, suggestedValues[index]);
+            });
+    } else if (mode === 'suggest-unlocked') {
+        const lockedCents = chips.filter(c => c.locked).map(c => Math.round(c.value * 100));
+        const available = suggestedValues.filter(v => !lockedCents.includes(Math.round(v * 100)));
+        chips
+            .filter(c => !c.locked)
+            .sort((a, b) => a.value - b.value)
+            .forEach((chip, index) => {
+                if (index < available.length) assigned.set(chip.id, available[index]);
+            });
+    }
+
+    const changes = [];
+    const updated = chips.map(chip => {
+        const value = assigned.has(chip.id) ? assigned.get(chip.id) : chip.value;
+        if (Math.round(value * 100) !== Math.round(chip.value * 100)) {
+            changes.push({ id: chip.id, name: chip.name, from: chip.value, to: value });
+        }
+        return { ...chip, value };
+    });
+
+    return {
+        chips: updated.sort((a, b) => a.value - b.value),
+        changes
+    };
+}
 
+// How calculateDistribution fills a stack: the pyramid heuristic alone, or the exact solver after it
+export const DISTRIBUTION_MODES = ['pyramid', 'exact'];
 
 /**
  * Calculate optimal chip distribution for each player
@@ -141,24 +263,42 @@ export function suggestChipValues(smallBlind, buyIn, numChipTypes) {
  * @param {number} params.bigBlind - Big blind amount
  * @param {number} params.numPlayers - Number of players
  * @param {Array<{color: string, name: string, quantity: number, value: number}>} params.chips - Chip inventory
- * @returns {{distribution: Array, totalValue: number, isValid: boolean, warnings: string[], recommendation: object}}
+ * @param {'pyramid'|'exact'} [params.mode='pyramid'] - 'exact' runs the exact solver after the pyramid heuristic
+ * @param {boolean} [params.trace=false] - Record each decision of the heuristic and the solver
+ * @param {Object} [params.denominations] - Denomination settings for suggested blinds (see DEFAULT_DENOMINATION_SETTINGS)
+ * @returns {{distribution: Array, totalValue: number, isValid: boolean, diagnostics: Array, warnings: string[], recommendation: object, solver: object|null, trace: Array<{step: string, values: Object}>|null}} -
+ *   diagnostics are structured (see diagnostics.js); warnings are their messages; trace
+ *   lists the decisions in order (see TRACE_STEPS), chip changes with their quantity and
+ *   the stack's total before and after
  */
-export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers, chips }) {
-    const warnings = [];
+export function calculateDistribution({
+    buyIn, smallBlind, bigBlind, numPlayers, chips, mode = 'pyramid', trace = false, denominations = DEFAULT_DENOMINATION_SETTINGS
+}) {
+    const diagnostics = [];
+    const steps = trace ? [] : null;
+    const record = (step, values) => steps?.push({ step, values });
 
     // Validate inputs
     if (!chips || chips.length === 0) {
-        return { distribution: [], totalValue: 0, isValid: false, warnings: ['No chips defined'] };
+        return withMessages({ distribution: [], totalValue: 0, isValid: false, diagnostics: [createDiagnostic('no-chips')], trace: steps });
     }
 
     if (buyIn <= 0) {
-        return { distribution: [], totalValue: 0, isValid: false, warnings: ['Buy-in must be greater than 0'] };
+        return withMessages({
+            distribution: [], totalValue: 0, isValid: false,
+            diagnostics: [createDiagnostic('invalid-buy-in', { values: { buyIn } })],
+            trace: steps
+        });
     }
 
     // === POKER PRINCIPLE: 100 Big Blind Standard ===
     const minRecommendedStack = bigBlind * 100;
     if (buyIn < minRecommendedStack) {
-        warnings.push(`Buy-in (${formatCurrency(buyIn)}) is less than 100 big blinds (${formatCurrency(minRecommendedStack)}). Consider increasing buy-in for better gameplay.`);
+        const suggested = suggestBlinds(buyIn, denominations);
+        diagnostics.push(createDiagnostic('below-100-big-blinds', {
+            values: { buyIn, bigBlind, minStack: minRecommendedStack },
+            fix: suggested.bigBlind < bigBlind ? { type: 'set-blinds', ...suggested } : null
+        }));
     }
 
     // Sort chips by value (ascending)
@@ -173,7 +313,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
     // Based on the "Cash Game" example: 20 small (50%), 16 medium (40%), 4 large (10%)
     // We'll use these target ratios and adjust based on available chip types
 
-    const distribution = [];
+    let distribution = [];
     let remainingValue = buyIn;
 
     if (sortedChips.length === 1) {
@@ -181,6 +321,9 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
         const chip = sortedChips[0];
         const quantity = Math.round(buyIn / chip.value);
         const maxFromInventory = Math.floor(chip.quantity / numPlayers);
+        record('one-type', {
+            chipId: chip.id, chipName: chip.name, quantity: Math.min(quantity, maxFromInventory), target: quantity, max: maxFromInventory
+        });
 
         distribution.push({
             ...chip,
@@ -192,20 +335,28 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
         const [small, large] = sortedChips;
 
         // Target: ~15 small chips, rest in large
+        const smallMaxQty = Math.floor(small.quantity / numPlayers);
         const smallTarget = Math.min(15, Math.floor(buyIn * 0.5 / small.value));
-        const smallQty = Math.min(smallTarget, Math.floor(small.quantity / numPlayers));
+        const smallQty = Math.min(smallTarget, smallMaxQty);
         const smallValue = smallQty * small.value;
+        record('two-types-small', { chipId: small.id, chipName: small.name, quantity: smallQty, target: smallTarget, max: smallMaxQty });
 
-        const largeQty = Math.min(
-            Math.round((buyIn - smallValue) / large.value),
-            Math.floor(large.quantity / numPlayers)
-        );
+        const largeTarget = Math.round((buyIn - smallValue) / large.value);
+        const largeMaxQty = Math.floor(large.quantity / numPlayers);
+        const largeQty = Math.min(largeTarget, largeMaxQty);
         const largeValue = largeQty * large.value;
+        record('two-types-large', { chipId: large.id, chipName: large.name, quantity: largeQty, target: largeTarget, max: largeMaxQty });
 
-        // Adjust small to fill remainder
+        // Adjust small to fill remainder, within what the inventory allows
         const remainder = buyIn - smallValue - largeValue;
         const additionalSmall = Math.round(remainder / small.value);
-        const finalSmallQty = smallQty + additionalSmall;
+        const finalSmallQty = Math.max(0, Math.min(smallQty + additionalSmall, smallMaxQty));
+        if (finalSmallQty !== smallQty) {
+            record('two-types-fill', {
+                chipId: small.id, chipName: small.name, from: smallQty, to: finalSmallQty,
+                totalBefore: smallValue + largeValue, totalAfter: finalSmallQty * small.value + largeValue
+            });
+        }
 
         if (finalSmallQty > 0) {
             distribution.push({ ...small, quantity: finalSmallQty, subtotal: finalSmallQty * small.value });
@@ -224,14 +375,20 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
 
         const allocations = new Map();
         sortedChips.forEach(chip => allocations.set(chip.id, 0));
+        const allocatedValue = () => sortedChips.reduce((sum, c) => sum + allocations.get(c.id) * c.value, 0);
+
+        // Trace a chip's quantity change with the stack total before and after
+        const recordChange = (step, chip, from, totalBefore, extra = {}) => record(step, {
+            chipId: chip.id, chipName: chip.name, from, to: allocations.get(chip.id),
+            totalBefore, totalAfter: allocatedValue(), ...extra
+        });
 
         const n = sortedChips.length;
         const smallest = sortedChips[0];
         const smallestMaxQty = Math.floor(smallest.quantity / numPlayers);
 
         // STEP 1: Define pyramid target quantities (decreasing)
-        const baseTargets = [25, 15, 10, 6, 4, 3, 2, 2, 2, 2];
-        const targets = baseTargets.slice(0, n);
+        const targets = PYRAMID_TARGETS.slice(0, n);
 
         // STEP 2: Calculate initial allocation and total value
         let totalValue = 0;
@@ -241,7 +398,9 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
             const qty = Math.min(targets[i], maxQty);
             allocations.set(chip.id, qty);
             totalValue += qty * chip.value;
+            record('pyramid-target', { chipId: chip.id, chipName: chip.name, quantity: qty, target: targets[i], max: maxQty });
         }
+        record('pyramid-total', { totalValue, buyIn });
 
         // STEP 3: Adjust to hit buy-in
         if (totalValue > buyIn) {
@@ -249,6 +408,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
             for (let i = n - 1; i >= 0 && totalValue > buyIn; i--) {
                 const chip = sortedChips[i];
                 let qty = allocations.get(chip.id);
+                const [from, totalBefore] = [qty, totalValue];
 
                 while (qty > 0 && totalValue > buyIn) {
                     if (totalValue - chip.value >= buyIn) {
@@ -259,12 +419,14 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
                     }
                 }
                 allocations.set(chip.id, qty);
+                if (qty !== from) recordChange('reduce-over', chip, from, totalBefore);
             }
 
             // Still over? Remove more aggressively, BUT only if it doesn't create a LARGER gap
             for (let i = n - 1; i >= 1 && totalValue > buyIn; i--) {
                 const chip = sortedChips[i];
                 let qty = allocations.get(chip.id);
+                const [from, totalBefore] = [qty, totalValue];
 
                 while (qty > 0 && totalValue > buyIn) {
                     const overshoot = totalValue - buyIn;
@@ -280,6 +442,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
                     }
                 }
                 allocations.set(chip.id, qty);
+                if (qty !== from) recordChange('reduce-closer', chip, from, totalBefore);
             }
         }
 
@@ -291,8 +454,10 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
                 Math.ceil(gap / smallest.value),
                 smallestMaxQty - currentSmallest
             );
+            const totalBefore = totalValue;
             allocations.set(smallest.id, currentSmallest + additionalQty);
             totalValue += additionalQty * smallest.value;
+            if (additionalQty > 0) recordChange('fill-smallest', smallest, currentSmallest, totalBefore, { max: smallestMaxQty });
         }
 
         // STEP 5: Ensure all colors have at least 2 chips
@@ -308,9 +473,19 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
                     const toRemove = Math.ceil(valueToAdd / smallest.value);
 
                     if (smallestQty >= toRemove + 10) {
+                        const totalBefore = allocatedValue();
                         allocations.set(chip.id, 2);
                         allocations.set(smallest.id, smallestQty - toRemove);
+                        recordChange('ensure-two', chip, 0, totalBefore, {
+                            smallestId: smallest.id, smallestName: smallest.name, smallestFrom: smallestQty, smallestTo: smallestQty - toRemove
+                        });
+                    } else {
+                        record('ensure-two-no-swap', {
+                            chipId: chip.id, chipName: chip.name, smallestName: smallest.name, needed: toRemove + 10, have: smallestQty
+                        });
                     }
+                } else {
+                    record('ensure-two-no-stock', { chipId: chip.id, chipName: chip.name, max: maxQty });
                 }
             }
         }
@@ -326,6 +501,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
             );
             if (additionalQty > 0) {
                 allocations.set(smallest.id, currentSmallest + additionalQty);
+                recordChange('fine-tune', smallest, currentSmallest, currentTotal, { max: smallestMaxQty });
                 currentTotal += additionalQty * smallest.value;
             }
         }
@@ -344,6 +520,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
                     const toAdd = Math.min(canAdd, available);
                     if (toAdd > 0) {
                         allocations.set(chip.id, currentQty + toAdd);
+                        recordChange('add-any', chip, currentQty, currentTotal, { max: maxQty });
                         currentTotal += toAdd * chip.value;
                     }
                 }
@@ -360,6 +537,7 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
 
                 if (currentQty < maxQty && chip.value <= gap) {
                     allocations.set(chip.id, currentQty + 1);
+                    recordChange('top-up', chip, currentQty, currentTotal);
                     currentTotal += chip.value;
                     i = n; // restart from largest to fill more
                 }
@@ -381,10 +559,27 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
         });
     }
 
+    // === EXACT SOLVER: replace the heuristic split when an exact one exists ===
+    let solver = null;
+    if (mode === 'exact') {
+        solver = solveExactDistribution(sortedChips, buyIn, numPlayers, minChipsPerPlayer, maxChipsPerPlayer);
+        record(solver.status === 'solved' && !solver.exhaustive ? 'exact-partial' : `exact-${solver.status}`, {
+            buyIn, count: solver.distribution.reduce((sum, chip) => sum + chip.quantity, 0)
+        });
+        if (solver.status === 'solved') {
+            distribution = solver.distribution;
+        } else if (solver.status === 'infeasible') {
+            diagnostics.push(createDiagnostic('no-exact-split', { values: { buyIn } }));
+        } else if (solver.status === 'too-large') {
+            diagnostics.push(createDiagnostic('exact-search-too-large', { values: { buyIn } }));
+        }
+    }
+
     // Calculate totals
     const totalValue = distribution.reduce((sum, chip) => sum + chip.subtotal, 0);
     const totalChips = distribution.reduce((sum, chip) => sum + chip.quantity, 0);
-    const isValid = Math.abs(totalValue - buyIn) < 0.01;
+    // Exact to the cent: within half a cent absorbs float error but not a missing cent
+    const isValid = Math.abs(totalValue - buyIn) < 0.005;
 
     // === Validation Warnings ===
 
@@ -392,23 +587,28 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
     if (!isValid) {
         const diff = buyIn - totalValue;
         if (diff > 0) {
-            warnings.push(`Short ${formatCurrency(diff)} - smallest chip denomination may be too large`);
+            // Fix: enough of the largest chip that divides the shortfall to top up every stack
+            const filler = [...sortedChips].reverse().find(c => Math.round(diff * 100) % Math.round(c.value * 100) === 0);
+            diagnostics.push(createDiagnostic('stack-short', {
+                values: { buyIn, totalValue, diff },
+                fix: filler ? { type: 'add-chips', chipId: filler.id, count: Math.round(diff / filler.value) * numPlayers } : null
+            }));
         } else {
-            warnings.push(`Over by ${formatCurrency(-diff)} - adjust chip values`);
+            diagnostics.push(createDiagnostic('stack-over', { values: { buyIn, totalValue, diff: -diff } }));
         }
     }
 
     // Check chip count is in ideal range (only warn if too few)
     if (totalChips < minChipsPerPlayer) {
-        warnings.push(`Only ${totalChips} chips per player. Consider smaller denominations for more flexibility.`);
+        diagnostics.push(createDiagnostic('few-chips', { values: { count: totalChips, minChips: minChipsPerPlayer } }));
     }
 
     // Check inventory constraints
     for (const chip of distribution) {
-        const originalChip = chips.find(c => c.color === chip.color);
+        const originalChip = chips.find(c => c.id === chip.id);
         const totalNeeded = chip.quantity * numPlayers;
         if (originalChip && totalNeeded > originalChip.quantity) {
-            warnings.push(`Need ${totalNeeded} ${chip.name} chips but only have ${originalChip.quantity}`);
+            diagnostics.push(inventoryShort(originalChip, totalNeeded));
         }
     }
 
@@ -418,39 +618,393 @@ export function calculateDistribution({ buyIn, smallBlind, bigBlind, numPlayers,
     if (sortedInventory.length > 0) {
         const smallestAvailable = sortedInventory[0];
         if (smallestAvailable.value > smallBlind) {
-            warnings.push(`Smallest chip (${formatCurrency(smallestAvailable.value)}) > small blind (${formatCurrency(smallBlind)}). Add smaller denomination.`);
+            diagnostics.push(smallBlindBelowSmallestChip(smallestAvailable, smallBlind));
         }
     }
 
-    return {
+    return withMessages({
         distribution,
         totalValue,
         totalChips,
         isValid,
-        warnings,
+        diagnostics,
         recommendation: {
             minStack: minRecommendedStack,
             idealChipCount: `${minChipsPerPlayer}-${maxChipsPerPlayer}`
+        },
+        solver: solver && { status: solver.status, exhaustive: solver.exhaustive, score: solver.score },
+        trace: steps
+    });
+}
+
+/**
+ * Sentence for a trace step in the active language
+ * @param {{step: string, values: Object}} entry - Trace entry (see TRACE_STEPS)
+ * @param {(value: number) => string} [formatValue] - Amount formatter (default: money)
+ * @returns {string}
+ */
+export function describeTraceStep({ step, values }, formatValue) {
+    return t(`trace.${step}`, values, formatValue && { money: formatValue });
+}
+
+/**
+ * Add the plain-text warnings (the diagnostics' messages) to a result
+ * @param {Object} result - Result with diagnostics
+ * @returns {Object}
+ */
+function withMessages(result) {
+    return { ...result, warnings: result.diagnostics.map(d => d.message) };
+}
+
+/**
+ * Diagnostic for a chip the stacks need more of than the inventory has
+ * @param {Object} chip - Inventory chip
+ * @param {number} needed - Chips needed in total
+ * @returns {Object}
+ */
+function inventoryShort(chip, needed) {
+    return createDiagnostic('inventory-short', {
+        values: { chipId: chip.id, chipName: chip.name, needed, have: chip.quantity },
+        fix: { type: 'add-chips', chipId: chip.id, count: needed - chip.quantity }
+    });
+}
+
+/**
+ * Diagnostic for blinds that can't be posted with the smallest chip
+ * @param {Object} chip - Smallest inventory chip
+ * @param {number} smallBlind - Small blind
+ * @returns {Object}
+ */
+function smallBlindBelowSmallestChip(chip, smallBlind) {
+    return createDiagnostic('small-blind-below-smallest-chip', {
+        values: { chipId: chip.id, chipName: chip.name, chipValue: chip.value, smallBlind },
+        fix: { type: 'set-blinds', smallBlind: chip.value, bigBlind: chip.value * 2 }
+    });
+}
+
+/**
+ * Plan stacks for a game with mixed buy-ins, rebuys and add-ons.
+ *
+ * Starting stacks are split per buy-in amount (each seat gets its share of the
+ * inventory, as in calculateDistribution). Rebuy and add-on packages are then
+ * built from what is left in the case, unless an explicit chip breakdown is
+ * given. Finally the bank is checked against the expected number of rebuys.
+ *
+ * @param {Object} params - Plan parameters
+ * @param {number[]} params.buyIns - Buy-in amount for each player
+ * @param {number} params.smallBlind - Small blind amount
+ * @param {number} params.bigBlind - Big blind amount
+ * @param {Array} params.chips - Chip inventory
+ * @param {{amount: number, breakdown?: Array<{id: string, quantity: number}>}|null} [params.rebuy] - Rebuy package
+ * @param {{amount: number, breakdown?: Array<{id: string, quantity: number}>}|null} [params.addOn] - Add-on package
+ * @param {number} [params.expectedRebuys=0] - Rebuys the bank should be able to cover
+ * @param {number} [params.expectedAddOns=0] - Add-ons reserved before counting rebuys
+ * @param {'pyramid'|'exact'} [params.mode='pyramid'] - Distribution mode for each stack
+ * @param {boolean} [params.trace=false] - Trace how each starting stack was split (see calculateDistribution)
+ * @param {Object} [params.denominations] - Denomination settings for suggested blinds
+ * @returns {{stacks: Array, rebuy: Object|null, addOn: Object|null, remaining: Array, rebuysCovered: number, addOnsCovered: number, isValid: boolean, diagnostics: Array, warnings: string[]}}
+ */
+export function calculateBuyInPlan({
+    buyIns, smallBlind, bigBlind, chips,
+    rebuy = null, addOn = null, expectedRebuys = 0, expectedAddOns = 0, mode = 'pyramid', trace = false,
+    denominations = DEFAULT_DENOMINATION_SETTINGS
+}) {
+    const diagnostics = [];
+    const numPlayers = buyIns.length;
+    const remaining = new Map(chips.map(chip => [chip.id, chip.quantity]));
+
+    // Starting stacks: one distribution per distinct buy-in amount
+    const amounts = [...new Set(buyIns)].sort((a, b) => b - a);
+    const stacks = amounts.map(amount => {
+        const players = buyIns.map((a, i) => a === amount ? i : -1).filter(i => i >= 0);
+        const result = calculateDistribution({ buyIn: amount, smallBlind, bigBlind, numPlayers, chips, mode, trace, denominations });
+        for (const item of result.distribution) {
+            remaining.set(item.id, remaining.get(item.id) - item.quantity * players.length);
         }
+        return { amount, players, ...result };
+    });
+
+    for (const chip of chips) {
+        if (remaining.get(chip.id) < 0) {
+            const needed = chip.quantity - remaining.get(chip.id);
+            diagnostics.push(inventoryShort(chip, needed));
+        }
+    }
+
+    // Packages come out of whatever is still in the case when they're built
+    const buildPackage = (pkg, count) => {
+        if (!pkg || pkg.amount <= 0) return null;
+        if (pkg.breakdown) {
+            const distribution = pkg.breakdown
+                .map(({ id, quantity }) => ({ chip: chips.find(c => c.id === id), quantity }))
+                .filter(({ chip, quantity }) => chip && quantity > 0)
+                .map(({ chip, quantity }) => ({ ...chip, quantity, subtotal: quantity * chip.value }));
+            const totalValue = distribution.reduce((sum, item) => sum + item.subtotal, 0);
+            return {
+                amount: pkg.amount,
+                distribution,
+                totalValue,
+                totalChips: distribution.reduce((sum, item) => sum + item.quantity, 0),
+                isValid: Math.abs(totalValue - pkg.amount) < 0.005,
+                diagnostics: [],
+                warnings: []
+            };
+        }
+        const leftover = chips.map(chip => ({ ...chip, quantity: Math.max(0, remaining.get(chip.id)) }));
+        const result = calculateDistribution({
+            buyIn: pkg.amount, smallBlind, bigBlind, numPlayers: Math.max(1, count), chips: leftover, mode, denominations
+        });
+        return { amount: pkg.amount, ...result };
+    };
+
+    // How many packages the given stock can still hand out
+    const countCovered = (pkg, stock) => {
+        if (!pkg || pkg.distribution.length === 0) return 0;
+        return Math.min(...pkg.distribution.map(item => Math.floor(Math.max(0, stock.get(item.id)) / item.quantity)));
+    };
+
+    const addOnPackage = buildPackage(addOn, expectedAddOns);
+    const addOnsCovered = countCovered(addOnPackage, remaining);
+    if (addOnPackage) {
+        if (!addOnPackage.isValid) {
+            diagnostics.push(createDiagnostic('add-on-inexact',
+                { values: { totalValue: addOnPackage.totalValue, amount: addOnPackage.amount } }));
+        }
+        if (addOnsCovered < expectedAddOns) {
+            diagnostics.push(createDiagnostic('add-ons-not-covered', { values: { covered: addOnsCovered, count: expectedAddOns } }));
+        }
+
+        // Reserve the expected add-ons before counting rebuys
+        for (const item of addOnPackage.distribution) {
+            remaining.set(item.id, remaining.get(item.id) - item.quantity * Math.min(expectedAddOns, addOnsCovered));
+        }
+    }
+
+    const rebuyPackage = buildPackage(rebuy, expectedRebuys);
+    const rebuysCovered = countCovered(rebuyPackage, remaining);
+    if (rebuyPackage) {
+        if (!rebuyPackage.isValid) {
+            diagnostics.push(createDiagnostic('rebuy-inexact',
+                { values: { totalValue: rebuyPackage.totalValue, amount: rebuyPackage.amount } }));
+        }
+        if (rebuysCovered < expectedRebuys) {
+            diagnostics.push(createDiagnostic('rebuys-not-covered', { values: { covered: rebuysCovered, count: expectedRebuys } }));
+        }
+    }
+
+    return withMessages({
+        stacks,
+        rebuy: rebuyPackage,
+        addOn: addOnPackage,
+        remaining: chips.map(chip => ({ ...chip, quantity: remaining.get(chip.id) })),
+        rebuysCovered,
+        addOnsCovered,
+        isValid: stacks.every(s => s.isValid) && diagnostics.length === 0,
+        diagnostics
+    });
+}
+
+/**
+ * Bank view of a calculation: chips pulled from the case per color, chips
+ * left over, the value on the table versus in reserve, and step-by-step
+ * instructions for building the stacks.
+ *
+ * @param {Array} chips - Chip inventory
+ * @param {Array<{distribution: Array, count: number, label?: string}>} stacks - Per-player
+ *   distributions (calculateDistribution output) and how many players get each
+ * @returns {{rows: Array, pulledValue: number, reserveValue: number, steps: string[], warnings: string[]}}
+ */
+export function buildBankReport(chips, stacks) {
+    const warnings = [];
+    const steps = [];
+
+    const rows = chips.map(chip => {
+        const perPlayer = stacks.map(stack => stack.distribution.find(item => item.id === chip.id)?.quantity || 0);
+        const pulled = perPlayer.reduce((sum, qty, i) => sum + qty * stacks[i].count, 0);
+        return { ...chip, owned: chip.quantity, pulled, left: chip.quantity - pulled, largestStack: Math.max(0, ...perPlayer) };
+    });
+
+    for (const stack of stacks) {
+        if (stack.count === 0) continue;
+        const prefix = stacks.length > 1 && stack.label ? `${stack.label}: ` : '';
+        for (const item of stack.distribution) {
+            if (item.quantity === 0) continue;
+            const rackRows = item.quantity > RACK_ROW && item.quantity % RACK_ROW !== 0
+                ? ` (${Math.floor(item.quantity / RACK_ROW)} × ${RACK_ROW} + ${item.quantity % RACK_ROW})`
+                : '';
+            steps.push(`${prefix}${t('bank.makeStacks', { count: stack.count, quantity: item.quantity, name: item.name })}${rackRows}`);
+        }
+        steps.push(`${prefix}${t('bank.giveStacks')}`);
+    }
+
+    // A late rebuy or a dropped chip needs at least one more stack's worth in the case
+    for (const row of rows) {
+        if (row.largestStack > 0 && row.left >= 0 && row.left < row.largestStack) {
+            warnings.push(t('bank.lowStock', { left: row.left, name: row.name, stack: row.largestStack }));
+        }
+    }
+
+    return {
+        rows,
+        pulledValue: rows.reduce((sum, row) => sum + row.pulled * row.value, 0),
+        reserveValue: rows.reduce((sum, row) => sum + Math.max(0, row.left) * row.value, 0),
+        steps,
+        warnings
+    };
+}
+
+/**
+ * Greatest common divisor of two non-negative integers
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Score a per-player allocation (lower is better).
+ * Penalizes distance from the pyramid shape and from the ideal chip count range.
+ *
+ * @param {number[]} quantities - Quantity per chip type, smallest denomination first
+ * @param {number} minChips - Lower bound of the ideal chip count
+ * @param {number} maxChips - Upper bound of the ideal chip count
+ * @returns {number}
+ */
+function scoreAllocation(quantities, minChips, maxChips) {
+    const total = quantities.reduce((sum, q) => sum + q, 0);
+    const weights = quantities.map((_, i) => PYRAMID_TARGETS[i] ?? 2);
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+    // Shape: how far each count is from its share of a pyramid with the same total
+    const shapeCost = quantities.reduce((sum, q, i) => sum + Math.abs(q - total * weights[i] / weightSum), 0);
+
+    // Count: chips outside the ideal range weigh double
+    const countGap = Math.max(0, minChips - total, total - maxChips);
+
+    return shapeCost + countGap * 2;
+}
+
+/**
+ * Find an exact per-player allocation within inventory limits.
+ *
+ * Works in integer units (cents reduced by their common divisor). A bounded
+ * knapsack table proves whether the buy-in is reachable at all, then a
+ * depth-first search over that table enumerates exact splits and keeps the
+ * best-scoring one. The search is capped at SOLVER_MAX_NODES candidate counts;
+ * when the cap is hit the best split found so far is still exact, just not
+ * proven optimal.
+ *
+ * @param {Array} sortedChips - Chip inventory sorted by value (ascending)
+ * @param {number} buyIn - Buy-in amount per player
+ * @param {number} numPlayers - Number of players
+ * @param {number} minChips - Lower bound of the ideal chip count
+ * @param {number} maxChips - Upper bound of the ideal chip count
+ * @returns {{status: 'solved'|'infeasible'|'too-large', distribution: Array, exhaustive: boolean, score: number|null}}
+ */
+function solveExactDistribution(sortedChips, buyIn, numPlayers, minChips, maxChips) {
+    const n = sortedChips.length;
+    const cents = sortedChips.map(chip => Math.max(0, Math.round(chip.value * 100)));
+    const targetCents = Math.round(buyIn * 100);
+
+    const unit = cents.reduce((g, c) => gcd(g, c), targetCents);
+    const target = targetCents / unit;
+    if (target > SOLVER_MAX_UNITS) {
+        return { status: 'too-large', distribution: [], exhaustive: false, score: null };
+    }
+
+    // Search largest denomination first: fewer options per level
+    const order = sortedChips.map((_, i) => i).reverse();
+    const values = order.map(i => cents[i] / unit);
+    const limits = order.map(i => cents[i] > 0 ? Math.floor(sortedChips[i].quantity / numPlayers) : 0);
+
+    // reach[k][r]: chips order[k..] can make exactly r units within their limits
+    const reach = new Array(n + 1);
+    reach[n] = new Uint8Array(target + 1);
+    reach[n][0] = 1;
+    for (let k = n - 1; k >= 0; k--) {
+        const next = reach[k + 1];
+        const current = new Uint8Array(target + 1);
+        const used = new Int32Array(target + 1); // chips of type k needed to reach r
+        const v = values[k];
+
+        for (let r = 0; r <= target; r++) {
+            if (next[r]) {
+                current[r] = 1;
+                used[r] = 0;
+            } else if (v > 0 && r >= v && current[r - v] && used[r - v] < limits[k]) {
+                current[r] = 1;
+                used[r] = used[r - v] + 1;
+            }
+        }
+        reach[k] = current;
+    }
+
+    if (!reach[0][target]) {
+        return { status: 'infeasible', distribution: [], exhaustive: true, score: null };
+    }
+
+    // Enumerate exact splits, trying counts near the pyramid target first
+    const counts = new Array(n).fill(0);
+    let best = null;
+    let bestScore = Infinity;
+    let nodes = 0;
+    let exhaustive = true;
+
+    const search = (k, remaining) => {
+        if (k === n) {
+            const quantities = [...counts].reverse();
+            const score = scoreAllocation(quantities, minChips, maxChips);
+            if (score < bestScore) {
+                bestScore = score;
+                best = quantities;
+            }
+            return;
+        }
+
+        const v = values[k];
+        const maxQty = v > 0 ? Math.min(limits[k], Math.floor(remaining / v)) : 0;
+        const pyramidTarget = Math.min(PYRAMID_TARGETS[order[k]] ?? 2, maxQty);
+
+        // Walk outwards from the pyramid target: t, t+1, t-1, t+2, t-2, ...
+        for (let d = 0; exhaustive && (pyramidTarget + d <= maxQty || pyramidTarget - d >= 0); d++) {
+            for (const q of d === 0 ? [pyramidTarget] : [pyramidTarget + d, pyramidTarget - d]) {
+                // Budget applies once a split exists; the first path always completes
+                if (nodes++ >= SOLVER_MAX_NODES && best) {
+                    exhaustive = false;
+                    break;
+                }
+                if (q < 0 || q > maxQty || !reach[k + 1][remaining - q * v]) continue;
+                counts[k] = q;
+                search(k + 1, remaining - q * v);
+                if (!exhaustive) break;
+            }
+        }
+        counts[k] = 0;
     };
+    search(0, target);
+
+    const distribution = [];
+    sortedChips.forEach((chip, i) => {
+        if (best[i] > 0) {
+            distribution.push({ ...chip, quantity: best[i], subtotal: best[i] * chip.value });
+        }
+    });
+
+    return { status: 'solved', distribution, exhaustive, score: bestScore };
 }
 
 /**
- * Format a number as currency
+ * Format a number as currency, using the active currency and locale
  * @param {number} value - The value to format
  * @returns {string} - Formatted currency string
  */
 export function formatCurrency(value) {
-    // Format with commas for thousands
-    if (value >= 1) {
-        const formatted = value.toLocaleString('en-US', {
-            minimumFractionDigits: value % 1 === 0 ? 0 : 2,
-            maximumFractionDigits: 2
-        });
-        return `$${formatted}`;
-    } else {
-        return `$${value.toFixed(2)}`;
-    }
+    return formatMoney(value);
 }
 
 /**
@@ -458,39 +1012,65 @@ export function formatCurrency(value) {
  * @param {number} smallBlind - Small blind amount
  * @param {number} buyIn - Buy-in amount
  * @param {Array} chips - Current chip configuration
- * @returns {{isOptimal: boolean, suggestions: string[]}}
+ * @param {Object} [denominations] - Denomination settings (series, max jump, ...)
+ * @returns {{isOptimal: boolean, diagnostics: Array, suggestions: string[]}} - suggestions are the diagnostics' messages
  */
-export function validateChipValues(smallBlind, buyIn, chips) {
-    const suggestions = [];
+export function validateChipValues(smallBlind, buyIn, chips, denominations = DEFAULT_DENOMINATION_SETTINGS) {
+    const diagnostics = [];
+    const { maxJump, minValue, integersOnly } = { ...DEFAULT_DENOMINATION_SETTINGS, ...denominations };
+    const allowed = getDenominations(denominations);
 
     if (chips.length === 0) {
-        return { isOptimal: false, suggestions: ['Add at least one chip type'] };
+        const diagnostic = createDiagnostic('no-chips');
+        return { isOptimal: false, diagnostics: [diagnostic], suggestions: [diagnostic.message] };
     }
 
     const sortedChips = [...chips].sort((a, b) => a.value - b.value);
-    const smallestValue = sortedChips[0].value;
+    const smallest = sortedChips[0];
 
     // Check if smallest chip works for blinds
-    if (smallestValue > smallBlind) {
-        suggestions.push(`Smallest chip ($${smallestValue}) is larger than small blind ($${smallBlind})`);
+    if (smallest.value > smallBlind) {
+        diagnostics.push(smallBlindBelowSmallestChip(smallest, smallBlind));
     }
 
     // Check if there's a chip close to small blind value
     const hasSmallBlindChip = sortedChips.some(c => c.value <= smallBlind * 2);
     if (!hasSmallBlindChip) {
-        suggestions.push(`Consider a chip worth $${smallBlind} or $${smallBlind * 2} for blind bets`);
+        diagnostics.push(createDiagnostic('no-blind-chip', {
+            values: { smallBlind, bigBlind: smallBlind * 2 },
+            fix: smallest.locked ? null : { type: 'set-chip-value', chipId: smallest.id, value: smallBlind }
+        }));
+    }
+
+    // Check each chip against the denomination settings; the fix is the closest allowed value
+    const nearestAllowed = value => allowed.reduce((best, v) =>
+        Math.abs(Math.log(v / value)) < Math.abs(Math.log(best / value)) ? v : best, allowed[0]);
+    for (const chip of sortedChips) {
+        const values = { chipId: chip.id, chipName: chip.name, chipValue: chip.value };
+        const fix = allowed.length > 0 && chip.value > 0 ? { type: 'set-chip-value', chipId: chip.id, value: nearestAllowed(chip.value) } : null;
+        if (chip.value < minValue) {
+            diagnostics.push(createDiagnostic('value-below-minimum', { values: { ...values, minValue }, fix }));
+        } else if (integersOnly && !Number.isInteger(chip.value)) {
+            diagnostics.push(createDiagnostic('value-not-whole', { values, fix }));
+        } else if (!allowed.some(v => Math.abs(v - chip.value) < 0.001)) {
+            const series = DENOMINATION_SERIES[denominations.series] ? t(`series.${denominations.series}`) : t('series.selected');
+            diagnostics.push(createDiagnostic('value-not-in-series', { values: { ...values, series }, fix }));
+        }
     }
 
     // Check for gaps in chip values
     for (let i = 1; i < sortedChips.length; i++) {
         const ratio = sortedChips[i].value / sortedChips[i - 1].value;
-        if (ratio > 10) {
-            suggestions.push(`Large gap between ${sortedChips[i - 1].name} and ${sortedChips[i].name} chips`);
+        if (ratio > maxJump) {
+            diagnostics.push(createDiagnostic('value-gap', {
+                values: { lowerChipId: sortedChips[i - 1].id, lowerChipName: sortedChips[i - 1].name, upperChipId: sortedChips[i].id, upperChipName: sortedChips[i].name, ratio, maxJump }
+            }));
         }
     }
 
     return {
-        isOptimal: suggestions.length === 0,
-        suggestions
+        isOptimal: diagnostics.length === 0,
+        diagnostics,
+        suggestions: diagnostics.map(d => d.message)
     };
 }
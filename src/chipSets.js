@@ -0,0 +1,87 @@
+/**
+ * Chip Sets
+ * Named chip cases you own (colors, quantities and optional printed
+ * denominations) that can be combined into the inventory for a game
+ */
+
+/**
+ * Create a chip set from inventory chips. Fixed-value chips keep their
+ * value as the set's printed denomination.
+ * @param {string} name - Set name (e.g. "Clay 500")
+ * @param {Array} chips - Inventory chips
+ * @returns {Object} - Chip set
+ */
+export function createChipSet(name, chips) {
+    return {
+        id: Date.now().toString(),
+        name,
+        chips: chips.map((chip, i) => ({
+            id: `${i + 1}`,
+            color: chip.color,
+            name: chip.name,
+            quantity: chip.quantity,
+            ...(chip.edgeColor ? { edgeColor: chip.edgeColor, edgeStyle: chip.edgeStyle } : {}),
+            ...(chip.locked ? { printedValue: chip.value } : {})
+        })),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Summarize a chip set for display
+ * @param {Object} set - Chip set
+ * @returns {{colors: number, chips: number, printed: boolean}}
+ */
+export function describeChipSet(set) {
+    return {
+        colors: set.chips.length,
+        chips: set.chips.reduce((sum, chip) => sum + chip.quantity, 0),
+        printed: set.chips.some(chip => chip.printedValue !== undefined)
+    };
+}
+
+/**
+ * Combine chip sets into one inventory. Chips from different sets stay
+ * separate even when they share a color; a name used by more than one set
+ * gets the set name added, e.g. "Red (Clay 500)". Chip ids are
+ * "<set id>-<chip id>", with a counter added if two chips would still share one
+ * (sets restored with the same id, or ids that themselves contain "-").
+ *
+ * @param {Array} sets - Chip sets to play with
+ * @param {Array} [currentChips=[]] - Current inventory (keeps values already assigned to these chips)
+ * @returns {Array} - Inventory chips, sorted by value
+ */
+export function combineChipSets(sets, currentChips = []) {
+    const setsUsingName = new Map();
+    for (const set of sets) {
+        for (const name of new Set(set.chips.map(chip => chip.name))) {
+            setsUsingName.set(name, (setsUsingName.get(name) || 0) + 1);
+        }
+    }
+
+    const usedIds = new Set();
+    const uniqueId = base => {
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+        return id;
+    };
+
+    return sets
+        .flatMap(set => set.chips.map(chip => {
+            const id = uniqueId(`${set.id}-${chip.id}`);
+            const previous = currentChips.find(c => c.id === id);
+            const printed = chip.printedValue !== undefined;
+            return {
+                id,
+                color: chip.color,
+                ...(chip.edgeColor ? { edgeColor: chip.edgeColor, edgeStyle: chip.edgeStyle } : {}),
+                name: setsUsingName.get(chip.name) > 1 ? `${chip.name} (${set.name})` : chip.name,
+                quantity: chip.quantity,
+                value: printed ? chip.printedValue : previous?.value ?? 1,
+                locked: printed || !!previous?.locked,
+                setId: set.id
+            };
+        }))
+        .sort((a, b) => a.value - b.value);
+}
@@ -0,0 +1,250 @@
+/**
+ * Blind Clock
+ * Level timer state: levels, breaks, pause/resume and color-up detection.
+ * All functions are pure and take the current time, so state can be
+ * persisted and resumed after a reload.
+ */
+
+import { buildBlindSchedule } from './tournament.js';
+
+// Cash games: blinds step up by these multiples of the starting blinds
+const CASH_LEVEL_MULTIPLIERS = [1, 2, 3, 4, 6, 8, 10, 15, 20, 30];
+const CASH_LEVEL_MINUTES = 30;
+
+// A break is inserted after every N levels when seeding
+const LEVELS_BETWEEN_BREAKS = 4;
+const BREAK_MINUTES = 10;
+
+/**
+ * Seed an editable level list from the current game settings
+ * @param {Object} gameSettings - Game settings (cash or tournament)
+ * @returns {Array<{type: 'level'|'break', smallBlind?: number, bigBlind?: number, ante?: number, minutes: number}>}
+ */
+export function createClockLevels(gameSettings) {
+    let blindLevels;
+
+    if (gameSettings.gameType === 'tournament') {
+        blindLevels = buildBlindSchedule({
+            startingStack: gameSettings.tournament.startingStack,
+            numPlayers: gameSettings.players,
+            durationMinutes: gameSettings.tournament.durationMinutes,
+            levelMinutes: gameSettings.tournament.levelMinutes
+        }).map(({ smallBlind, bigBlind, ante, minutes }) => ({ smallBlind, bigBlind, ante, minutes }));
+    } else {
+        blindLevels = CASH_LEVEL_MULTIPLIERS.map(m => ({
+            smallBlind: gameSettings.smallBlind * m,
+            bigBlind: gameSettings.bigBlind * m,
+            ante: 0,
+            minutes: CASH_LEVEL_MINUTES
+        }));
+    }
+
+    const levels = [];
+    blindLevels.forEach((level, i) => {
+        levels.push({ type: 'level', ...level });
+        if ((i + 1) % LEVELS_BETWEEN_BREAKS === 0 && i < blindLevels.length - 1) {
+            levels.push({ type: 'break', minutes: BREAK_MINUTES });
+        }
+    });
+    return levels;
+}
+
+/**
+ * Create a stopped clock at the first level
+ * @param {Array} levels - Level list from createClockLevels (or user-edited)
+ * @returns {{levels: Array, index: number, running: boolean, remainingMs: number, endsAt: number|null}}
+ */
+export function createClock(levels) {
+    return {
+        levels,
+        index: 0,
+        running: false,
+        remainingMs: levels.length > 0 ? levels[0].minutes * 60000 : 0,
+        endsAt: null
+    };
+}
+
+/**
+ * Roll a running clock forward past any levels that ended before `now`
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - Clock state with index/endsAt caught up
+ */
+export function syncClock(clock, now) {
+    if (!clock.running || clock.levels.length === 0) {
+        return clock;
+    }
+
+    let { index, endsAt } = clock;
+    while (endsAt <= now && index < clock.levels.length - 1) {
+        index++;
+        endsAt += clock.levels[index].minutes * 60000;
+    }
+
+    // Last level finished: stop at zero
+    if (endsAt <= now) {
+        return { ...clock, index, running: false, remainingMs: 0, endsAt: null };
+    }
+    return { ...clock, index, endsAt, remainingMs: endsAt - now };
+}
+
+/**
+ * Start or resume the clock
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {Object}
+ */
+export function startClock(clock, now) {
+    if (clock.running || clock.levels.length === 0 || clock.remainingMs <= 0) {
+        return clock;
+    }
+    return { ...clock, running: true, endsAt: now + clock.remainingMs };
+}
+
+/**
+ * Pause the clock, keeping the time left in the current level
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {Object}
+ */
+export function pauseClock(clock, now) {
+    const synced = syncClock(clock, now);
+    if (!synced.running) {
+        return synced;
+    }
+    return { ...synced, running: false, endsAt: null };
+}
+
+/**
+ * Jump to a level with its full duration, keeping the running state
+ * @param {Object} clock - Clock state
+ * @param {number} index - Target level index
+ * @param {number} now - Current time (ms)
+ * @returns {Object}
+ */
+export function goToLevel(clock, index, now) {
+    const synced = syncClock(clock, now);
+    if (clock.levels.length === 0) {
+        return synced;
+    }
+
+    const target = Math.max(0, Math.min(index, clock.levels.length - 1));
+    const remainingMs = clock.levels[target].minutes * 60000;
+    return {
+        ...synced,
+        index: target,
+        remainingMs,
+        endsAt: synced.running ? now + remainingMs : null
+    };
+}
+
+/**
+ * Skip to the next level
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {Object}
+ */
+export function skipLevel(clock, now) {
+    const synced = syncClock(clock, now);
+    return goToLevel(synced, synced.index + 1, now);
+}
+
+/**
+ * Rewind: restart the current level, or go back one level if it has
+ * barely started (first 10 seconds)
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {Object}
+ */
+export function rewindLevel(clock, now) {
+    const synced = syncClock(clock, now);
+    const level = synced.levels[synced.index];
+    const elapsed = level ? level.minutes * 60000 - synced.remainingMs : 0;
+    return goToLevel(synced, elapsed < 10000 ? synced.index - 1 : synced.index, now);
+}
+
+/**
+ * Find the first level from which the smallest chip is no longer needed:
+ * every later blind and ante is a multiple of the next chip up.
+ * @param {Array} levels - Level list
+ * @param {number[]} chipValues - Chip denominations in play
+ * @returns {number} - Level index, or -1 if the smallest chip is always needed
+ *   or never needed (nothing to color up)
+ */
+export function findColorUpIndex(levels, chipValues) {
+    const sorted = [...new Set(chipValues)].filter(v => v > 0).sort((a, b) => a - b);
+    if (sorted.length < 2) {
+        return -1;
+    }
+
+    const nextChip = Math.round(sorted[1] * 100);
+    const isMultiple = amount => Math.round((amount || 0) * 100) % nextChip === 0;
+
+    const needsSmallest = level => level.type === 'level' &&
+        !(isMultiple(level.smallBlind) && isMultiple(level.bigBlind) && isMultiple(level.ante));
+
+    // First blind level after the last one that still needs the smallest chip
+    let lastNeeded = -1;
+    levels.forEach((level, i) => {
+        if (needsSmallest(level)) lastNeeded = i;
+    });
+    if (lastNeeded === -1) {
+        return -1;
+    }
+    return levels.findIndex((level, i) => i > lastNeeded && level.type === 'level');
+}
+
+/**
+ * Summarize the clock for display
+ * @param {Object} clock - Clock state
+ * @param {number} now - Current time (ms)
+ * @returns {{clock: Object, current: Object|null, levelNumber: number, remainingMs: number, next: Object|null, breakInMs: number|null, finished: boolean}}
+ */
+export function getClockStatus(clock, now) {
+    const synced = syncClock(clock, now);
+    const { levels, index, remainingMs } = synced;
+    const current = levels[index] || null;
+
+    // Blind levels are numbered without counting breaks
+    const levelNumber = levels.slice(0, index + 1).filter(l => l.type === 'level').length;
+
+    const next = levels.slice(index + 1).find(l => l.type === 'level') || null;
+
+    // Time until the next break (from the end of the current level)
+    let breakInMs = null;
+    if (current && current.type !== 'break') {
+        let ms = remainingMs;
+        for (let i = index + 1; i < levels.length; i++) {
+            if (levels[i].type === 'break') {
+                breakInMs = ms;
+                break;
+            }
+            ms += levels[i].minutes * 60000;
+        }
+    }
+
+    return {
+        clock: synced,
+        current,
+        levelNumber,
+        remainingMs,
+        next,
+        breakInMs,
+        finished: !synced.running && remainingMs === 0 && index === levels.length - 1
+    };
+}
+
+/**
+ * Format milliseconds as a countdown (h:mm:ss or m:ss)
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
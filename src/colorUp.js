@@ -0,0 +1,173 @@
+/**
+ * Color-Up Calculator
+ * Retires a chip denomination: exchanges full sets for the next chip up
+ * and resolves odd remainders with a chip race.
+ */
+
+import { t } from './i18n.js';
+
+const CARD_RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+const CARD_SUITS = ['♣', '♦', '♥', '♠']; // Ascending, for breaking rank ties
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so races are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {() => number} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let x = state;
+        x = Math.imul(x ^ (x >>> 15), x | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffle a 52-card deck; card n has rank n >> 2 and suit n & 3, so higher n wins
+ * @param {() => number} random - Random source
+ * @returns {number[]}
+ */
+function shuffleDeck(random) {
+    const deck = Array.from({ length: 52 }, (_, i) => i);
+    for (let i = deck.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+}
+
+/**
+ * Order two hands, best card first, then the next best (more cards beat a
+ * hand that runs out)
+ * @param {number[]} a - Cards, highest first
+ * @param {number[]} b - Cards, highest first
+ * @returns {number} - Negative when a ranks above b, 0 for identical hands
+ */
+function compareHands(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (b[i] ?? -1) - (a[i] ?? -1);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Format a card index as rank + suit, e.g. "A♠"
+ * @param {number} card - Card index 0-51
+ * @returns {string}
+ */
+export function formatCard(card) {
+    return `${CARD_RANKS[card >> 2]}${CARD_SUITS[card & 3]}`;
+}
+
+/**
+ * Color up a retiring denomination.
+ *
+ * STANDARD CHIP RACE:
+ * 1. Each player exchanges as many full sets of the retiring chip as possible
+ * 2. Leftover (odd) chips are pooled; the pool is worth N replacement chips,
+ *    rounding up when at least half a chip is left over
+ * 3. Each player gets one card per odd chip; the N players holding the highest
+ *    cards win one replacement chip each (no player wins more than one). Equal
+ *    best cards go to the next-best card; identical hands (several decks) each
+ *    draw another card until they differ
+ *
+ * @param {Object} params - Color-up parameters
+ * @param {{value: number, name: string}} params.retiring - Chip being retired
+ * @param {{value: number, name: string}} params.replacement - Next chip up
+ * @param {number[]} params.playerCounts - Retiring chips held by each player
+ * @param {number} params.bankAvailable - Replacement chips left in the bank
+ * @param {number} [params.seed=1] - Seed for dealing race cards
+ * @returns {{players: Array, totalExchanged: number, raceChips: number, totalNeeded: number, isBankSufficient: boolean, warnings: string[]}} -
+ *   each player has their race cards and any tiebreak draws, highest first
+ */
+export function colorUp({ retiring, replacement, playerCounts, bankAvailable, seed = 1 }) {
+    const warnings = [];
+    const retiringCents = Math.round(retiring.value * 100);
+    const replacementCents = Math.round(replacement.value * 100);
+
+    if (replacementCents <= retiringCents) {
+        return {
+            players: [],
+            totalExchanged: 0,
+            raceChips: 0,
+            totalNeeded: 0,
+            isBankSufficient: false,
+            warnings: [t('colorUp.notWorthMore', { replacement: replacement.name, retiring: retiring.name })]
+        };
+    }
+
+    // STEP 1: Exchange full sets
+    const players = playerCounts.map((count, index) => {
+        const valueCents = Math.max(0, count) * retiringCents;
+        const exchanged = Math.floor(valueCents / replacementCents);
+        const leftoverCents = valueCents - exchanged * replacementCents;
+        return {
+            index,
+            count,
+            exchanged,
+            leftover: Math.round(leftoverCents / retiringCents),
+            leftoverCents,
+            cards: [],
+            tiebreak: [],
+            wonRace: false,
+            newChips: exchanged
+        };
+    });
+
+    // STEP 2: Value of the pooled odd chips, rounded to the nearest replacement chip
+    const poolCents = players.reduce((sum, p) => sum + p.leftoverCents, 0);
+    const racers = players.filter(p => p.leftover > 0);
+    const raceChips = Math.min(Math.round(poolCents / replacementCents), racers.length);
+
+    // STEP 3: Deal one card per odd chip, best card per player decides the order
+    if (raceChips > 0) {
+        // Big pools (e.g. 49 odd chips each) may need more than one deck
+        const random = createRandom(seed);
+        const deck = [];
+        let next = 0;
+        const draw = () => {
+            if (next === deck.length) deck.push(...shuffleDeck(random));
+            return deck[next++];
+        };
+        racers.forEach(p => {
+            p.cards = Array.from({ length: p.leftover }, draw).sort((a, b) => b - a);
+        });
+
+        // Identical hands draw one more card each until no two hands are the same
+        const rank = (a, b) => compareHands(a.cards, b.cards) || compareHands(a.tiebreak, b.tiebreak);
+        let tied = racers.filter(p => racers.some(other => other !== p && rank(p, other) === 0));
+        while (tied.length > 0) {
+            tied.forEach(p => p.tiebreak.push(draw()));
+            tied = tied.filter(p => tied.some(other => other !== p && rank(p, other) === 0));
+        }
+
+        [...racers]
+            .sort(rank)
+            .slice(0, raceChips)
+            .forEach(p => {
+                p.wonRace = true;
+                p.newChips += 1;
+            });
+    }
+
+    const totalExchanged = players.reduce((sum, p) => sum + p.exchanged, 0);
+    const totalNeeded = totalExchanged + raceChips;
+    const isBankSufficient = totalNeeded <= bankAvailable;
+
+    if (!isBankSufficient) {
+        warnings.push(t('colorUp.bankShort', { needed: totalNeeded, name: replacement.name, available: bankAvailable }));
+    }
+
+    return {
+        players: players.map(({ leftoverCents, ...p }) => p),
+        totalExchanged,
+        raceChips,
+        totalNeeded,
+        isBankSufficient,
+        warnings
+    };
+}
@@ -0,0 +1,127 @@
+/**
+ * Currency & Locale
+ * Money formatting and parsing driven by the game's currency settings
+ */
+
+// Currency is an ISO 4217 code, or 'points' for play money with no currency symbol
+export const DEFAULT_CURRENCY_SETTINGS = { currency: 'USD', locale: 'en-US' };
+
+// Points keep up to two decimals so half-point chips still format
+const POINTS_FRACTION_DIGITS = 2;
+
+// Settings used when a formatter is called without explicit settings
+let activeSettings = { ...DEFAULT_CURRENCY_SETTINGS };
+
+/**
+ * Set the currency settings used by default for formatting and parsing
+ * @param {{currency: string, locale: string}} settings - Currency settings
+ */
+export function setCurrencySettings(settings) {
+    activeSettings = { ...DEFAULT_CURRENCY_SETTINGS, ...settings };
+}
+
+/**
+ * Get the active currency settings
+ * @returns {{currency: string, locale: string}}
+ */
+export function getCurrencySettings() {
+    return { ...activeSettings };
+}
+
+/**
+ * Number of decimals a currency uses (0 for JPY, 2 for most others)
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @returns {number}
+ */
+export function getFractionDigits(settings = activeSettings) {
+    if (settings.currency === 'points') {
+        return POINTS_FRACTION_DIGITS;
+    }
+    return new Intl.NumberFormat(settings.locale, { style: 'currency', currency: settings.currency })
+        .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Currency symbol for input prefixes, e.g. "$", "€", "pts"
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @returns {string}
+ */
+export function getCurrencySymbol(settings = activeSettings) {
+    if (settings.currency === 'points') {
+        return 'pts';
+    }
+    const parts = new Intl.NumberFormat(settings.locale, { style: 'currency', currency: settings.currency })
+        .formatToParts(0);
+    return parts.find(p => p.type === 'currency')?.value ?? settings.currency;
+}
+
+/**
+ * Group and decimal separators for the locale, e.g. "." and "," in de-DE
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @returns {{group: string, decimal: string}}
+ */
+export function getNumberSeparators(settings = activeSettings) {
+    const parts = new Intl.NumberFormat(settings.locale).formatToParts(12345.6);
+    return {
+        group: parts.find(p => p.type === 'group')?.value ?? ',',
+        decimal: parts.find(p => p.type === 'decimal')?.value ?? '.'
+    };
+}
+
+/**
+ * Format a plain number with the locale's separators (no currency symbol)
+ * @param {number} value - The value to format
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @param {number} [maximumFractionDigits] - Defaults to the currency's decimals
+ * @returns {string}
+ */
+export function formatNumber(value, settings = activeSettings, maximumFractionDigits = getFractionDigits(settings)) {
+    return value.toLocaleString(settings.locale, { maximumFractionDigits });
+}
+
+/**
+ * Format a money amount. Whole amounts of 1 or more drop the decimals
+ * ("$50", "50 €"); anything else shows the currency's full decimals ("$0.50").
+ *
+ * @param {number} value - The value to format
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @returns {string}
+ */
+export function formatMoney(value, settings = activeSettings) {
+    const digits = getFractionDigits(settings);
+    const minimumFractionDigits = Math.abs(value) >= 1 && Number.isInteger(value) ? 0 : digits;
+
+    if (settings.currency === 'points') {
+        const formatted = value.toLocaleString(settings.locale, {
+            minimumFractionDigits,
+            maximumFractionDigits: digits
+        });
+        return `${formatted} pts`;
+    }
+
+    return value.toLocaleString(settings.locale, {
+        style: 'currency',
+        currency: settings.currency,
+        minimumFractionDigits,
+        maximumFractionDigits: digits
+    });
+}
+
+/**
+ * Parse a typed amount using the locale's separators ("1.250,50" in de-DE)
+ * @param {string} text - User input
+ * @param {Object} [settings] - Currency settings (defaults to the active ones)
+ * @returns {number} - Parsed value, or 0 if it isn't a number
+ */
+export function parseMoney(text, settings = activeSettings) {
+    const { group, decimal } = getNumberSeparators(settings);
+
+    // Drop symbols, spaces (incl. the non-breaking spaces used as group separators) and grouping
+    let cleaned = String(text).replace(/\s/g, '');
+    if (group.trim()) {
+        cleaned = cleaned.split(group).join('');
+    }
+    cleaned = cleaned.split(decimal).join('.').replace(/[^0-9.-]/g, '');
+
+    return parseFloat(cleaned) || 0;
+}
@@ -0,0 +1,158 @@
+/**
+ * Diagnostics
+ * Structured warnings from the calculator: a stable code, a severity, the
+ * values involved, a message and an optional fix the UI can apply. Messages
+ * are the catalog entry 'diagnostics.<code>' filled in with the values.
+ *
+ * FIXES:
+ * - add-chips {chipId, count}: add chips to the inventory
+ * - set-blinds {smallBlind, bigBlind}: change the cash game blinds
+ * - set-chip-value {chipId, value}: change a chip's value and lock it, so
+ *   suggested values don't overwrite it on the next calculation ('suggest'
+ *   mode ignores locks, so it becomes 'suggest-unlocked')
+ */
+
+import { t } from './i18n.js';
+
+// Stable codes and their severity
+export const DIAGNOSTIC_CODES = {
+    'no-chips': 'error',
+    'invalid-buy-in': 'error',
+    'no-exact-split': 'error',
+    'stack-short': 'error',
+    'stack-over': 'error',
+    'inventory-short': 'warning',
+    'small-blind-below-smallest-chip': 'warning',
+    'below-100-big-blinds': 'warning',
+    'add-on-inexact': 'warning',
+    'rebuy-inexact': 'warning',
+    'add-ons-not-covered': 'warning',
+    'rebuys-not-covered': 'warning',
+    'levels-not-postable': 'warning',
+    'few-chips': 'info',
+    'exact-search-too-large': 'info',
+    'no-blind-chip': 'info',
+    'value-below-minimum': 'info',
+    'value-not-whole': 'info',
+    'value-not-in-series': 'info',
+    'value-gap': 'info'
+};
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Create a diagnostic
+ * @param {string} code - Key of DIAGNOSTIC_CODES
+ * @param {Object} [details]
+ * @param {Object} [details.values={}] - Values the message is built from (raw numbers, chip IDs and names;
+ *   count picks the plural form)
+ * @param {Object|null} [details.fix=null] - Suggested fix (see FIXES above)
+ * @returns {{code: string, severity: string, message: string, values: Object, fix: Object|null}} -
+ *   message is in the active language
+ */
+export function createDiagnostic(code, { values = {}, fix = null } = {}) {
+    return { code, severity: DIAGNOSTIC_CODES[code], message: describeDiagnostic({ code, values }), values, fix };
+}
+
+/**
+ * Message for a diagnostic in the active language
+ * @param {{code: string, values: Object}} diagnostic
+ * @param {(value: number) => string} [formatValue] - Amount formatter (default: money)
+ * @returns {string}
+ */
+export function describeDiagnostic({ code, values }, formatValue) {
+    return t(`diagnostics.${code}`, values, formatValue && { money: formatValue });
+}
+
+/**
+ * Combine diagnostics from several calculations, most severe first. Only the
+ * first one per code and chip is kept, so a shortage reported by a stack and
+ * by its plan shows once; diagnostics without a chip are kept per message.
+ * @param {...Array} lists - Diagnostic lists
+ * @returns {Array}
+ */
+export function mergeDiagnostics(...lists) {
+    const seen = new Set();
+    return lists.flat()
+        .filter(d => {
+            const key = `${d.code}:${d.values?.chipId ?? d.message}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Button label for a fix, e.g. "Add 20 more White"
+ * @param {Object} fix - Suggested fix
+ * @param {Array} chips - Chip inventory (for chip names)
+ * @param {(value: number) => string} formatValue - Amount formatter
+ * @returns {string}
+ */
+export function describeFix(fix, chips, formatValue) {
+    const name = chips.find(c => c.id === fix.chipId)?.name ?? t('fix.chip');
+    const formatters = { money: formatValue };
+    switch (fix.type) {
+        case 'add-chips':
+            return t('fix.addChips', { count: fix.count, name }, formatters);
+        case 'set-blinds':
+            return t('fix.setBlinds', fix, formatters);
+        case 'set-chip-value':
+            return t('fix.setChipValue', { name, value: fix.value }, formatters);
+        default:
+            return t('fix.apply');
+    }
+}
+
+/**
+ * Whether a fix has the fields its type needs (see FIXES above) and names a
+ * chip in the inventory
+ * @param {*} fix - Suggested fix
+ * @param {Array} chips - Chip inventory
+ * @returns {boolean}
+ */
+export function isValidFix(fix, chips) {
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    const hasChip = () => chips.some(c => c.id === fix.chipId);
+    switch (fix?.type) {
+        case 'add-chips':
+            return Number.isInteger(fix.count) && fix.count >= 1 && hasChip();
+        case 'set-blinds':
+            return isPositive(fix.smallBlind) && isPositive(fix.bigBlind);
+        case 'set-chip-value':
+            return isPositive(fix.value) && hasChip();
+        default:
+            return false;
+    }
+}
+
+/**
+ * Apply a fix to the inventory and game settings. Malformed fixes change nothing.
+ * @param {Object} fix - Suggested fix
+ * @param {{chips: Array, gameSettings: Object}} state - Current inventory and settings
+ * @returns {{chips: Array, gameSettings: Object}} - Updated copies
+ */
+export function applyFix(fix, { chips, gameSettings }) {
+    if (!isValidFix(fix, chips)) {
+        return { chips, gameSettings };
+    }
+    switch (fix.type) {
+        case 'add-chips':
+            return {
+                chips: chips.map(c => c.id === fix.chipId ? { ...c, quantity: c.quantity + fix.count } : c),
+                gameSettings
+            };
+        case 'set-blinds':
+            return { chips, gameSettings: { ...gameSettings, smallBlind: fix.smallBlind, bigBlind: fix.bigBlind } };
+        case 'set-chip-value':
+            return {
+                chips: chips
+                    .map(c => c.id === fix.chipId ? { ...c, value: fix.value, locked: true } : c)
+                    .sort((a, b) => a.value - b.value),
+                gameSettings: gameSettings.valueMode === 'suggest' ? { ...gameSettings, valueMode: 'suggest-unlocked' } : gameSettings
+            };
+        default:
+            return { chips, gameSettings };
+    }
+}
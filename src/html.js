@@ -0,0 +1,16 @@
+/**
+ * HTML Escaping
+ * Names, ids and messages can come from imported files, share links and
+ * synced peers, so anything put into an HTML template goes through here.
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param {*} value - Text (other values are converted to strings)
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+}
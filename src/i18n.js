@@ -0,0 +1,114 @@
+/**
+ * Internationalization
+ * Message catalogs (see locales/), the active language and translation of
+ * the static page.
+ *
+ * MESSAGES:
+ * - Keys are flat and dotted, e.g. 'results.total'
+ * - {name} inserts a parameter; {amount:money}, {count:number} and
+ *   {names:list} format it as an amount, a number or a list
+ * - A message with forms ({one, other, ...}) is picked by the count parameter
+ *   using the language's plural rules
+ * - A key missing from a catalog falls back to English, then to the key itself
+ */
+
+import { formatMoney, formatNumber } from './currency.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Supported languages, each with its name in that language (for the switcher)
+export const LANGUAGES = {
+    en: { name: 'English', messages: en },
+    es: { name: 'Español', messages: es }
+};
+
+let activeLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Set the language used by t()
+ * @param {string} language - Key of LANGUAGES (unknown languages fall back to English)
+ */
+export function setLanguage(language) {
+    activeLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the active language
+ * @returns {string}
+ */
+export function getLanguage() {
+    return activeLanguage;
+}
+
+/**
+ * First supported language in a list of preferences, e.g. navigator.languages
+ * @param {string[]} preferred - BCP 47 tags, most preferred first
+ * @returns {string}
+ */
+export function detectLanguage(preferred = []) {
+    const match = preferred
+        .map(tag => tag.toLowerCase().split('-')[0])
+        .find(code => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translate a message in a given language
+ * @param {string} language - Key of LANGUAGES
+ * @param {string} key - Message key
+ * @param {Object} [params={}] - Values to insert (count picks the plural form)
+ * @param {Object<string, (value: *) => string>} [formatters={}] - Formatters overriding
+ *   the defaults, e.g. {money: formatTournamentChips}
+ * @returns {string}
+ */
+export function translate(language, key, params = {}, formatters = {}) {
+    const message = LANGUAGES[language]?.messages[key] ?? LANGUAGES[DEFAULT_LANGUAGE].messages[key];
+    if (message === undefined) {
+        return key;
+    }
+
+    const text = typeof message === 'string'
+        ? message
+        : message[new Intl.PluralRules(language).select(params.count ?? 0)] ?? message.other;
+
+    const format = {
+        money: formatMoney,
+        number: value => formatNumber(value),
+        list: values => new Intl.ListFormat(language, { type: 'conjunction' }).format(values.map(String)),
+        ...formatters
+    };
+    return text.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, type) => {
+        if (!(name in params)) return match;
+        return type && format[type] ? format[type](params[name]) : String(params[name]);
+    });
+}
+
+/**
+ * Translate a message in the active language
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values to insert
+ * @param {Object} [formatters] - Formatter overrides (see translate)
+ * @returns {string}
+ */
+export function t(key, params, formatters) {
+    return translate(activeLanguage, key, params, formatters);
+}
+
+/**
+ * Translate the static page: data-i18n sets an element's text,
+ * data-i18n-placeholder and data-i18n-title set those attributes
+ * @param {ParentNode} [root=document]
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
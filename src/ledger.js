@@ -0,0 +1,201 @@
+/**
+ * Session Ledger
+ * Tracks buy-ins and cash-outs for a cash game and settles up
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Start a new session
+ * @param {string[]} names - Player names
+ * @param {number} buyIn - Initial buy-in for every player
+ * @returns {Object} - Session object
+ */
+export function createSession(names, buyIn) {
+    const startedAt = new Date().toISOString();
+    return {
+        id: Date.now().toString(),
+        startedAt,
+        endedAt: null,
+        players: names.map((name, i) => ({
+            id: `${i + 1}`,
+            name,
+            buyIns: buyIn > 0 ? [buyIn] : [],
+            cashOut: null
+        }))
+    };
+}
+
+/**
+ * Seat another player in a running session
+ * @param {Object} session - Session object
+ * @param {string} name - Player name
+ * @param {number} buyIn - Initial buy-in
+ * @returns {Object} - Updated session
+ */
+export function addPlayer(session, name, buyIn) {
+    const nextId = Math.max(0, ...session.players.map(p => parseInt(p.id) || 0)) + 1;
+    return {
+        ...session,
+        players: [...session.players, { id: `${nextId}`, name, buyIns: buyIn > 0 ? [buyIn] : [], cashOut: null }]
+    };
+}
+
+/**
+ * Rename a player
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player ID
+ * @param {string} name - New name
+ * @returns {Object} - Updated session
+ */
+export function renamePlayer(session, playerId, name) {
+    return {
+        ...session,
+        players: session.players.map(p => p.id === playerId ? { ...p, name } : p)
+    };
+}
+
+/**
+ * Record a buy-in or rebuy for a player
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player ID
+ * @param {number} amount - Amount bought in
+ * @returns {Object} - Updated session
+ */
+export function addBuyIn(session, playerId, amount) {
+    return {
+        ...session,
+        players: session.players.map(p =>
+            p.id === playerId ? { ...p, buyIns: [...p.buyIns, amount] } : p
+        )
+    };
+}
+
+/**
+ * Record a player's final chip counts
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player ID
+ * @param {Object<string, number>} counts - Chip ID → number of chips
+ * @returns {Object} - Updated session
+ */
+export function setCashOut(session, playerId, counts) {
+    return {
+        ...session,
+        players: session.players.map(p =>
+            p.id === playerId ? { ...p, cashOut: { ...counts } } : p
+        )
+    };
+}
+
+/**
+ * Value a set of chip counts with the current denominations
+ * @param {Object<string, number>|null} counts - Chip ID → number of chips
+ * @param {Array} chips - Chip inventory (for values)
+ * @returns {number} - Value in cents
+ */
+function valueCents(counts, chips) {
+    if (!counts) return 0;
+    return chips.reduce((sum, chip) => sum + (counts[chip.id] || 0) * Math.round(chip.value * 100), 0);
+}
+
+/**
+ * Turn net results into "A pays B" transfers.
+ * Greedy: the biggest loser pays the biggest winner until one is square,
+ * which settles n players in at most n - 1 transfers.
+ *
+ * @param {Array<{name: string, net: number}>} results - Net result per player
+ * @returns {Array<{from: string, to: string, amount: number}>}
+ */
+export function settleUp(results) {
+    const debtors = results
+        .filter(r => r.net < -0.005)
+        .map(r => ({ name: r.name, cents: Math.round(-r.net * 100) }))
+        .sort((a, b) => b.cents - a.cents);
+    const creditors = results
+        .filter(r => r.net > 0.005)
+        .map(r => ({ name: r.name, cents: Math.round(r.net * 100) }))
+        .sort((a, b) => b.cents - a.cents);
+
+    const transfers = [];
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+        const cents = Math.min(debtors[d].cents, creditors[c].cents);
+        transfers.push({ from: debtors[d].name, to: creditors[c].name, amount: cents / 100 });
+
+        debtors[d].cents -= cents;
+        creditors[c].cents -= cents;
+        if (debtors[d].cents === 0) d++;
+        if (creditors[c].cents === 0) c++;
+    }
+    return transfers;
+}
+
+/**
+ * Close a session, freezing the chip values its cash-outs were counted with
+ * @param {Object} session - Session object
+ * @param {Array} chips - Chip inventory (current denominations)
+ * @returns {Object} - Ended session
+ */
+export function endSession(session, chips) {
+    return {
+        ...session,
+        endedAt: new Date().toISOString(),
+        chipValues: Object.fromEntries(chips.map(chip => [chip.id, chip.value]))
+    };
+}
+
+/**
+ * Summarize a session: net results, balance check and settle-up transfers
+ * @param {Object} session - Session object
+ * @param {Array} chips - Chip inventory (values used for cash-outs of open sessions)
+ * @returns {{players: Array, totalIn: number, totalOut: number, isBalanced: boolean, isComplete: boolean, discrepancy: number, transfers: Array, warnings: string[]}}
+ */
+export function summarizeSession(session, chips) {
+    const warnings = [];
+
+    // Ended sessions keep the denominations they were counted with
+    const values = session.chipValues
+        ? Object.entries(session.chipValues).map(([id, value]) => ({ id, value }))
+        : chips;
+
+    const players = session.players.map(p => {
+        const inCents = p.buyIns.reduce((sum, amount) => sum + Math.round(amount * 100), 0);
+        const outCents = valueCents(p.cashOut, values);
+        return {
+            id: p.id,
+            name: p.name,
+            rebuys: Math.max(0, p.buyIns.length - 1),
+            totalIn: inCents / 100,
+            cashOut: outCents / 100,
+            net: (outCents - inCents) / 100,
+            hasCashedOut: p.cashOut !== null
+        };
+    });
+
+    const totalInCents = players.reduce((sum, p) => sum + Math.round(p.totalIn * 100), 0);
+    const totalOutCents = players.reduce((sum, p) => sum + Math.round(p.cashOut * 100), 0);
+    const discrepancy = (totalOutCents - totalInCents) / 100;
+    const isComplete = players.every(p => p.hasCashedOut);
+    const isBalanced = totalOutCents === totalInCents;
+
+    if (!isComplete) {
+        const waiting = players.filter(p => !p.hasCashedOut).map(p => p.name);
+        warnings.push(t('ledger.waiting', { names: waiting }));
+    } else if (!isBalanced) {
+        warnings.push(discrepancy > 0
+            ? t('ledger.over', { amount: discrepancy })
+            : t('ledger.missing', { amount: -discrepancy }));
+    }
+
+    return {
+        players,
+        totalIn: totalInCents / 100,
+        totalOut: totalOutCents / 100,
+        isBalanced,
+        isComplete,
+        discrepancy,
+        transfers: isComplete && isBalanced ? settleUp(players) : [],
+        warnings
+    };
+}
@@ -0,0 +1,440 @@
+/**
+ * English messages (the reference catalog: every key must be here)
+ * See i18n.js for the message syntax
+ */
+
+export default {
+    // App
+    'app.heading': '🎰 Chip Calculator',
+    'app.title': 'Poker Chip Calculator',
+    'app.language': 'Language',
+    'app.startFailed': "The app couldn't start: {error}. Try reloading the page.",
+
+    // Shared
+    'common.player': 'Player {number}',
+    'common.players': { one: '{count} player', other: '{count} players' },
+    'common.chips': { one: '{count} chip', other: '{count} chips' },
+    'common.buyIn': '{amount:money} buy-in',
+    'common.remove': 'Remove',
+    'common.delete': 'Delete',
+
+    // Game setup
+    'setup.title': 'Game Setup',
+    'setup.gameType': 'Game Type',
+    'setup.cash': '💵 Cash Game',
+    'setup.tournament': '🏆 Tournament',
+    'setup.buyIn': 'Buy-in',
+    'setup.players': 'Players',
+    'setup.smallBlind': 'Small Blind',
+    'setup.bigBlind': 'Big Blind',
+    'setup.currencyLocale': 'Currency & Locale',
+    'setup.currency': 'Currency',
+    'setup.numberFormat': 'Number Format',
+    'setup.rebuysTitle': 'Short Buy-ins, Rebuys & Add-ons',
+    'setup.shortSeats': 'Short Buy-in Seats',
+    'setup.shortBuyIn': 'Short Buy-in',
+    'setup.rebuy': 'Rebuy',
+    'setup.addOn': 'Add-on',
+    'setup.none': 'None',
+    'setup.expectedRebuys': 'Expected Rebuys',
+    'setup.denominations': 'Chip Denominations',
+    'setup.series': 'Series',
+    'setup.maxJump': 'Max Jump (×)',
+    'setup.minChipValue': 'Min Chip Value',
+    'setup.integersOnly': 'Whole amounts only',
+    'setup.customValues': 'Custom Values',
+    'setup.startingStack': 'Starting Stack',
+    'setup.levelMinutes': 'Level Length (min)',
+    'setup.durationMinutes': 'Target Duration (min)',
+    'setup.blindsUpdated': '✓ Blinds updated',
+    'setup.customizeBlinds': '⚙️ Customize Blinds',
+    'setup.autoBlinds': '✔️ Use Auto Blinds',
+
+    // Currencies
+    'currency.usd': 'US Dollar',
+    'currency.eur': 'Euro',
+    'currency.gbp': 'British Pound',
+    'currency.cad': 'Canadian Dollar',
+    'currency.aud': 'Australian Dollar',
+    'currency.chf': 'Swiss Franc',
+    'currency.jpy': 'Japanese Yen',
+    'currency.points': 'Points (play money)',
+
+    // Denomination series
+    'series.25-cent': '0.25 and up',
+    'series.custom': 'Custom list',
+    'series.1-2-5': '1-2-5',
+    'series.1-2.5-5': '1-2.5-5',
+    'series.selected': 'selected',
+
+    // Chip inventory
+    'inventory.title': 'Chip Inventory',
+    'inventory.addChip': 'Add chip type',
+    'inventory.onCalculate': 'On Calculate',
+    'inventory.suggestUnlocked': 'Suggest values for unlocked chips',
+    'inventory.suggestAll': 'Suggest values for all chips',
+    'inventory.manual': 'Use my values as-is',
+    'inventory.distributionMode': 'Distribution',
+    'inventory.modeExact': 'Hit the buy-in exactly when possible',
+    'inventory.modePyramid': 'Pyramid shape only',
+    'inventory.calculate': 'Calculate Distribution',
+    'inventory.empty': 'No chips added yet. Click + to add chip types.',
+    'inventory.fixedValue': 'Fixed value',
+
+    // Chip modal
+    'modal.color': 'Color',
+    'modal.name': 'Name',
+    'modal.namePlaceholder': 'e.g. Pink',
+    'modal.edge': 'Edge',
+    'modal.plain': 'Plain',
+    'modal.spots': 'Edge spots',
+    'modal.stripes': 'Stripes',
+    'modal.edgeColor': 'Edge color',
+    'modal.chipSet': 'Chip Set',
+    'modal.quantity': 'Quantity Owned',
+    'modal.value': 'Value (optional)',
+    'modal.auto': 'Auto',
+    'modal.locked': 'Fixed value (printed on chip)',
+    'modal.cancel': 'Cancel',
+    'modal.addTitle': 'Add Chip Type',
+    'modal.addButton': 'Add Chip',
+    'modal.editTitle': 'Edit {name} Chip',
+    'modal.saveButton': 'Save Changes',
+    'modal.noSet': 'No set',
+
+    // Chip colors (default chip names)
+    'colors.white': 'White',
+    'colors.red': 'Red',
+    'colors.blue': 'Blue',
+    'colors.green': 'Green',
+    'colors.black': 'Black',
+    'colors.purple': 'Purple',
+    'colors.orange': 'Orange',
+    'colors.yellow': 'Yellow',
+    'colors.pink': 'Pink',
+    'colors.grey': 'Grey',
+    'colors.brown': 'Brown',
+
+    // Chip sets
+    'chipSets.title': 'Chip Sets',
+    'chipSets.hint': "Save each case you own as a set, then tick the sets you're playing with. Fixed-value chips are saved as the set's printed denominations.",
+    'chipSets.namePlaceholder': 'Set name...',
+    'chipSets.save': 'Save Chips as Set',
+    'chipSets.use': 'Use Selected Sets',
+    'chipSets.empty': 'No chip sets yet. Set up the chips in one case and save them as a set.',
+    'chipSets.colors': { one: '{count} color', other: '{count} colors' },
+    'chipSets.printed': 'printed values',
+    'chipSets.tickOne': 'Tick at least one chip set to play with',
+
+    // Results
+    'results.print': '🖨️ Print Game Sheet',
+    'results.cashTitle': 'Per Player Distribution',
+    'results.tournamentTitle': 'Starting Stack • {buyIn:money} buy-in',
+    'results.valueChanged': '{name} changed from {from:money} to {to:money}',
+    'results.error': 'An error occurred during calculation: {message}',
+    'results.total': 'Total',
+    'results.totalChips': { one: 'Total ({count} chip)', other: 'Total ({count} chips)' },
+    'results.noDistribution': 'No chips available for distribution',
+
+    // Calculator diagnostics, by code (see diagnostics.js)
+    'diagnostics.no-chips': 'Add at least one chip type',
+    'diagnostics.invalid-buy-in': 'Buy-in must be greater than 0',
+    'diagnostics.no-exact-split': 'No combination of the available chips makes exactly {buyIn:money} per player',
+    'diagnostics.stack-short': 'Short {diff:money} - smallest chip denomination may be too large',
+    'diagnostics.stack-over': 'Over by {diff:money} - adjust chip values',
+    'diagnostics.inventory-short': 'Need {needed} {chipName} chips but only have {have}',
+    'diagnostics.small-blind-below-smallest-chip': 'Smallest chip ({chipValue:money}) is larger than the small blind ({smallBlind:money}). Add a smaller denomination.',
+    'diagnostics.below-100-big-blinds': 'Buy-in ({buyIn:money}) is less than 100 big blinds ({minStack:money}). Consider increasing buy-in for better gameplay.',
+    'diagnostics.add-on-inexact': 'Add-on chips total {totalValue:money}, not {amount:money}',
+    'diagnostics.rebuy-inexact': 'Rebuy chips total {totalValue:money}, not {amount:money}',
+    'diagnostics.add-ons-not-covered': { one: 'Bank covers only {covered} of {count} expected add-on', other: 'Bank covers only {covered} of {count} expected add-ons' },
+    'diagnostics.rebuys-not-covered': { one: 'Bank covers only {covered} of {count} expected rebuy', other: 'Bank covers only {covered} of {count} expected rebuys' },
+    'diagnostics.levels-not-postable': { one: "Level {levels:list} can't be posted exactly with these chips", other: "Levels {levels:list} can't be posted exactly with these chips" },
+    'diagnostics.few-chips': { one: 'Only {count} chip per player. Consider smaller denominations for more flexibility.', other: 'Only {count} chips per player. Consider smaller denominations for more flexibility.' },
+    'diagnostics.exact-search-too-large': "Exact mode can't search a {buyIn:money} buy-in with these chip values, so this is the pyramid split",
+    'diagnostics.no-blind-chip': 'Consider a chip worth {smallBlind:money} or {bigBlind:money} for blind bets',
+    'diagnostics.value-below-minimum': '{chipName} ({chipValue:money}) is below the minimum chip value ({minValue:money})',
+    'diagnostics.value-not-whole': '{chipName} ({chipValue:money}) is not a whole-number value',
+    'diagnostics.value-not-in-series': '{chipName} ({chipValue:money}) is not in the {series} series',
+    'diagnostics.value-gap': 'Large gap between {lowerChipName} and {upperChipName} chips',
+
+    // Fix buttons
+    'fix.addChips': 'Add {count} more {name}',
+    'fix.setBlinds': 'Set blinds to {smallBlind:money} / {bigBlind:money}',
+    'fix.setChipValue': 'Set {name} to {value:money}',
+    'fix.apply': 'Apply fix',
+    'fix.chip': 'chip',
+
+    // "Why this split?" trace, by step (see TRACE_STEPS in chipCalculator.js)
+    'trace.title': 'Why this split?',
+    'trace.intro': 'How one player\'s stack was built, step by step.',
+    'trace.one-type': 'Only one color: {quantity} {chipName} per player (the buy-in needs {target}, the case has {max} per player)',
+    'trace.two-types-small': 'Two colors: {quantity} {chipName} first (aiming for {target}, the case has {max} per player)',
+    'trace.two-types-large': 'The rest in {chipName}: {quantity} (the buy-in needs {target}, the case has {max} per player)',
+    'trace.two-types-fill': 'Evened out with {chipName}: {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.pyramid-target': 'Pyramid start: {quantity} {chipName} (target {target}, the case has {max} per player)',
+    'trace.pyramid-total': 'The pyramid comes to {totalValue:money} against a {buyIn:money} buy-in',
+    'trace.reduce-over': 'Over the buy-in, largest chips first: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.reduce-closer': 'Still over: {chipName} {from} → {to}, which lands closer to the buy-in (total {totalBefore:money} → {totalAfter:money})',
+    'trace.fill-smallest': 'Under the buy-in, filled with the smallest chip: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money}; the case has {max} per player)',
+    'trace.ensure-two': 'Every color gets at least 2: {chipName} 0 → 2, paid for with {smallestName} {smallestFrom} → {smallestTo} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.ensure-two-no-stock': '{chipName} left out: the case has only {max} per player, fewer than 2',
+    'trace.ensure-two-no-swap': '{chipName} left out: 2 of them would cost too many {smallestName} (needs {needed} in the stack, it has {have})',
+    'trace.fine-tune': 'Topped up with the smallest chip: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money}; the case has {max} per player)',
+    'trace.add-any': 'Still short, filled from the largest chip that fits: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.top-up': 'Last gap: one more {chipName}, {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.exact-solved': { one: 'Exact mode: replaced the steps above with the split of exactly {buyIn:money} closest to the pyramid ({count} chip)', other: 'Exact mode: replaced the steps above with the split of exactly {buyIn:money} closest to the pyramid ({count} chips)' },
+    'trace.exact-partial': { one: 'Exact mode: replaced the steps above with the closest split of exactly {buyIn:money} found before the search limit ({count} chip)', other: 'Exact mode: replaced the steps above with the closest split of exactly {buyIn:money} found before the search limit ({count} chips)' },
+    'trace.exact-infeasible': 'Exact mode: no combination of the available chips makes exactly {buyIn:money}, so the split above stands',
+    'trace.exact-too-large': 'Exact mode: {buyIn:money} is too large to search chip by chip, so the split above stands',
+
+    // Bank & stacking
+    'bank.title': 'Bank & Stacking',
+    'bank.chip': 'Chip',
+    'bank.owned': 'Owned',
+    'bank.pulled': 'Pulled',
+    'bank.left': 'Left',
+    'bank.onTable': 'On table {amount}',
+    'bank.inReserve': 'In reserve {amount}',
+    'bank.makeStacks': { one: 'Make {count} stack of {quantity} {name}', other: 'Make {count} stacks of {quantity} {name}' },
+    'bank.giveStacks': 'Give each player one stack of every color',
+    'bank.lowStock': 'Only {left} {name} left in the case, less than one more stack of {stack}',
+
+    // Short buy-ins, rebuys and add-ons
+    'packages.shortBuyIn': 'Short Buy-in {amount:money}',
+    'packages.rebuy': 'Rebuy {amount:money}',
+    'packages.addOn': 'Add-on {amount:money}',
+    'packages.rebuysCovered': { one: '🏦 Bank covers {count} more rebuy', other: '🏦 Bank covers {count} more rebuys' },
+    'packages.addOnsCovered': { one: '{count} add-on', other: '{count} add-ons' },
+
+    // Game sheet
+    'sheet.defaultTitle': 'Poker Night',
+    'sheet.tournamentLine': 'Tournament • {buyIn:money} buy-in • {stack} starting stack',
+    'sheet.cashLine': 'Cash game • {buyIn:money} buy-in • Blinds {smallBlind:money} / {bigBlind:money}',
+    'sheet.chipsTitle': 'Chips & Starting Stack',
+    'sheet.value': 'Value',
+    'sheet.perPlayer': 'Per player',
+    'sheet.subtotal': 'Subtotal',
+    'sheet.bank': 'Bank',
+    'sheet.bankTotals': 'On table {pulled} • In reserve {reserve}',
+    'sheet.blindStructure': 'Blind Structure',
+    'sheet.length': 'Length',
+    'sheet.ledger': 'Ledger',
+    'sheet.player': 'Player',
+    'sheet.buyIn': 'Buy-in',
+    'sheet.rebuys': 'Rebuys',
+    'sheet.addOn': 'Add-on',
+    'sheet.cashOut': 'Cash-out',
+    'sheet.net': 'Net',
+
+    // Blind clock
+    'clock.title': 'Blind Clock',
+    'clock.reset': '↺ Reset from Setup',
+    'clock.rewind': 'Rewind',
+    'clock.skip': 'Skip level',
+    'clock.editLevels': 'Edit Levels',
+    'clock.addLevel': '+ Level',
+    'clock.addBreak': '+ Break',
+    'clock.noLevels': 'No levels',
+    'clock.onBreak': '☕ Break',
+    'clock.break': 'Break',
+    'clock.level': 'Level {level}',
+    'clock.levelPaused': 'Level {level} • Paused',
+    'clock.levelShort': 'L{level}',
+    'clock.withAnte': '{blinds} (ante {ante})',
+    'clock.next': 'Next: {blinds}',
+    'clock.finished': 'Final level complete',
+    'clock.finalLevel': 'Final level',
+    'clock.breakIn': 'Break in {time}',
+    'clock.colorUpIn': { one: '🎨 Color up {amount} chips in {count} level', other: '🎨 Color up {amount} chips in {count} levels' },
+    'clock.colorUpNow': '🎨 Color up now: {amount} chips are no longer needed',
+    'clock.pause': '⏸ Pause',
+    'clock.startButton': '▶ Start',
+    'clock.confirmReset': 'Reset the running clock?',
+    'clock.levelsTitle': 'Blind Levels',
+    'clock.lvl': 'Lvl',
+    'clock.blinds': 'Blinds',
+    'clock.ante': 'Ante',
+    'clock.startsAt': 'Start',
+    'clock.minutes': { one: '{count} min', other: '{count} min' },
+    'clock.minutesTitle': 'Minutes',
+
+    // Color up
+    'colorUp.title': 'Color Up',
+    'colorUp.retire': 'Retire',
+    'colorUp.exchangeFor': 'Exchange For',
+    'colorUp.leftInBank': 'Left in Bank',
+    'colorUp.run': 'Run Color Up',
+    'colorUp.summary': '{count} {name} from the bank ({race} won in the race) • Seed {seed}',
+    'colorUp.bankShort': 'Need {needed} {name} chips but the bank only has {available}',
+    'colorUp.notWorthMore': '{replacement} must be worth more than {retiring}',
+
+    // Betting helper
+    'betting.title': 'Betting Helper',
+    'betting.fromBlinds': 'Start from Blinds',
+    'betting.hint': 'Pick Pot, To Call or Last Raise, then tap chips as they go in.',
+    'betting.pot': 'Pot',
+    'betting.toCall': 'To Call',
+    'betting.lastRaise': 'Last Raise',
+    'betting.undo': '↶ Undo',
+    'betting.clear': 'Clear',
+    'betting.chipsFor': 'Chips for a Bet of',
+    'betting.amount': 'Amount',
+    'betting.potLimitBet': 'Pot-limit max bet',
+    'betting.potLimitRaise': 'Pot-limit max raise',
+    'betting.noLimitBet': 'No-limit min bet',
+    'betting.noLimitRaise': 'No-limit min raise',
+    'betting.call': 'Call',
+    'betting.potOdds': 'Pot odds {ratio} : 1',
+    'betting.equity': 'Need {percent}% to call',
+    'betting.inexact': "{amount} can't be made exactly",
+    'betting.inexactSmallest': "{amount} can't be made exactly (smallest chip is {smallest})",
+
+    // Break a chip
+    'change.title': 'Break a Chip',
+    'change.break': 'Break',
+    'change.amount': 'Amount',
+    'change.run': 'Make Change',
+    'change.other': 'Other amount…',
+    'change.fromBank': "what's left in the case after the starting stacks",
+    'change.fromCase': 'the case',
+    'change.impossible': "Exact change for {what} can't be made from {from}",
+    'change.payOut': 'Pay out for {what}, from {from}:',
+    'change.fewest': 'Or with the fewest chips:',
+
+    // Session ledger
+    'ledger.title': 'Session Ledger',
+    'ledger.start': '▶ Start Session',
+    'ledger.addPlayer': '+ Player',
+    'ledger.end': 'End Session',
+    'ledger.pastSessions': 'Past Sessions',
+    'ledger.empty': 'No session running. Start one to track buy-ins and cash-outs.',
+    'ledger.in': 'In {amount:money}',
+    'ledger.out': 'Out {amount:money}',
+    'ledger.totalIn': '{amount:money} in',
+    'ledger.rebuy': '+ Rebuy',
+    'ledger.pays': '{from} pays {to} {amount:money}',
+    'ledger.noHistory': 'No past sessions yet.',
+    'ledger.playerFallback': 'Player',
+    'ledger.confirmEnd': 'Chip counts are incomplete or unbalanced. End anyway?',
+    'ledger.waiting': 'Waiting for chip counts from {names:list}',
+    'ledger.over': 'Chips out exceed chips in by {amount:money} - recount',
+    'ledger.missing': '{amount:money} of chips missing - recount',
+
+    // History & stats
+    'stats.title': 'History & Stats',
+    'stats.gameNights': 'Game Nights',
+    'stats.empty': 'End a ledger session to start tracking game nights.',
+    'stats.nights': 'Nights',
+    'stats.best': 'Best',
+    'stats.worst': 'Worst',
+    'stats.confirmDelete': 'Delete this game night from the stats?',
+
+    // Table sync
+    'sync.title': 'Table Sync',
+    'sync.hint': 'Share chips, settings, presets and results with other phones at the table. Without a relay, only tabs in this browser are synced.',
+    'sync.room': 'Table Code',
+    'sync.roomPlaceholder': 'e.g. friday',
+    'sync.relay': 'Relay (optional)',
+    'sync.host': 'Host Table',
+    'sync.join': 'Join Table',
+    'sync.leave': 'Leave',
+    'sync.notConnected': 'Not connected',
+    'sync.hosting': 'Hosting "{room}" {where} • {devices}',
+    'sync.joined': 'Joined "{room}" {where} • {devices}',
+    'sync.viaRelay': 'via relay',
+    'sync.inBrowser': 'in this browser',
+    'sync.devices': { one: '{count} other device', other: '{count} other devices' },
+    'sync.tableStatus': 'Table "{room}": {status}',
+    'sync.connecting': 'connecting',
+    'sync.closed': 'closed',
+    'sync.error': 'error',
+    'sync.ignored': { one: '{count} invalid update ignored', other: '{count} invalid updates ignored' },
+    'sync.connectFailed': "Couldn't connect: {message}",
+
+    // Saved presets
+    'presets.title': 'Saved Presets',
+    'presets.namePlaceholder': 'Preset name...',
+    'presets.save': 'Save Current',
+    'presets.exportAll': '⬇️ Export All',
+    'presets.import': '⬆️ Import',
+    'presets.conflict': 'When an imported preset has the same name or ID',
+    'presets.keepBoth': 'Keep both',
+    'presets.replace': 'Replace existing',
+    'presets.skip': 'Skip duplicates',
+    'presets.empty': 'No saved presets. Save your chip configuration for quick access.',
+    'presets.chipTypes': { one: '{count} chip type', other: '{count} chip types' },
+    'presets.copyLink': 'Copy share link',
+    'presets.export': 'Export',
+    'presets.saved': '✓ Saved!',
+    'presets.linkCopied': 'Link to "{name}" copied',
+    'presets.copyPrompt': 'Copy this link:',
+    'presets.importSummary': 'Imported {added}, replaced {replaced}, skipped {skipped}',
+    'presets.rejected': 'Rejected:',
+    'presets.badLink': "Couldn't open preset link:\n{errors}",
+    'presets.invalidJson': 'File is not valid JSON',
+    'presets.newerVersion': 'File version {version} is newer than this app supports',
+    'presets.noPresets': 'File does not contain presets',
+    'presets.invalidPreset': 'Preset {label}: {problems}',
+    'presets.corruptLink': 'Preset link is corrupted',
+    'presets.unsupportedLink': 'Preset link is not supported by this version',
+
+    // Backup & recovery
+    'backup.title': 'Backup & Recovery',
+    'backup.download': '⬇️ Download Backup',
+    'backup.restore': '⬆️ Restore',
+    'backup.savedIn': 'Saved in {backend} on this device',
+    'backup.saveFailed': '⚠️ Changes could not be saved ({error}). Download a backup.',
+    'backup.loadFailed': '⚠️ Saved data could not be opened ({error}). Changes will be lost when this page closes.',
+    'backup.backend.IndexedDB': 'IndexedDB',
+    'backup.backend.localStorage': 'local storage',
+    'backup.savedInMemory': 'Not saved on this device: changes last until this page closes',
+    'backup.quarantined': { one: '⚠️ {count} damaged entry was set aside:', other: '⚠️ {count} damaged entries were set aside:' },
+    'backup.quarantineDownload': 'Download',
+    'backup.quarantineDiscard': 'Discard',
+    'backup.confirmDiscard': 'Permanently discard the damaged entries?',
+    'backup.confirmRestore': 'Replace all chips, settings, presets and history with this backup?',
+    'backup.restoreFailed': "Couldn't restore backup:\n{errors}",
+    'backup.invalidJson': 'Backup is not valid JSON',
+    'backup.notBackup': 'File is not a backup from this app',
+    'backup.newerVersion': 'Backup schema version {version} is newer than this app supports',
+    'backup.writeFailed': 'Restore failed: {error}',
+
+    // Stored data validation (see schema.js)
+    'schema.chipNotObject': 'Chip {number} is not an object',
+    'schema.chipNoId': 'Chip {number} has no id',
+    'schema.chipBadColor': 'Chip {number} has an invalid color',
+    'schema.chipNoName': 'Chip {number} has no name',
+    'schema.chipBadQuantity': 'Chip {number} has an invalid quantity',
+    'schema.chipBadValue': 'Chip {number} has an invalid value',
+    'schema.chipBadLocked': 'Chip {number} has an invalid locked flag',
+    'schema.chipBadSet': 'Chip {number} has an invalid set',
+    'schema.chipBadEdgeColor': 'Chip {number} has an invalid edge color',
+    'schema.chipBadEdgeStyle': 'Chip {number} has an invalid edge style',
+    'schema.chipSetNotObject': 'Chip set is not an object',
+    'schema.chipSetNoId': 'Chip set has no id',
+    'schema.chipSetNoName': 'Chip set has no name',
+    'schema.chipSetNoChips': 'Chip set has no chips',
+    'schema.settingsNotObject': 'Game settings are not an object',
+    'schema.settingsBadBuyIn': 'Game settings have an invalid buy-in',
+    'schema.settingsBadPlayers': 'Game settings have an invalid player count',
+    'schema.settingsBadField': 'Game settings have an invalid {field}',
+    'schema.settingsBadGroup': 'Game settings have invalid {group} settings',
+    'schema.presetNotObject': 'Preset is not an object',
+    'schema.presetNoId': 'Preset has no id',
+    'schema.presetNoName': 'Preset has no name',
+    'schema.presetNoChips': 'Preset has no chips',
+    'schema.presetNoSettings': 'Preset has no game settings',
+    'schema.corruptJson': 'Corrupted JSON',
+    'schema.notAList': 'Expected a list',
+    'schema.clockNoLevels': 'Clock has no levels',
+    'schema.sessionNoPlayers': 'Session has no players',
+    'schema.sessionBadPlayer': 'Session player {number} is invalid',
+    'schema.gameNightNoPlayers': 'Game night has no players',
+    'schema.gameNightNoDate': 'Game night has no date',
+    'schema.gameNightBadPlayer': 'Game night player {number} is invalid',
+    'schema.resultNotObject': 'Shared result is not an object',
+    'schema.resultBadField': 'Shared result has an invalid {field}',
+    'schema.resultUnknownChip': 'Shared result has an unknown chip {id}',
+    'schema.resultUnknownCode': 'Shared result has an unknown diagnostic {code}'
+};
@@ -0,0 +1,440 @@
+/**
+ * Spanish messages
+ * See i18n.js for the message syntax
+ */
+
+export default {
+    // App
+    'app.heading': '🎰 Calculadora de Fichas',
+    'app.title': 'Calculadora de Fichas de Póker',
+    'app.language': 'Idioma',
+    'app.startFailed': 'La aplicación no pudo iniciarse: {error}. Prueba a recargar la página.',
+
+    // Shared
+    'common.player': 'Jugador {number}',
+    'common.players': { one: '{count} jugador', other: '{count} jugadores' },
+    'common.chips': { one: '{count} ficha', other: '{count} fichas' },
+    'common.buyIn': 'entrada de {amount:money}',
+    'common.remove': 'Quitar',
+    'common.delete': 'Eliminar',
+
+    // Game setup
+    'setup.title': 'Configuración de la partida',
+    'setup.gameType': 'Tipo de partida',
+    'setup.cash': '💵 Partida cash',
+    'setup.tournament': '🏆 Torneo',
+    'setup.buyIn': 'Entrada',
+    'setup.players': 'Jugadores',
+    'setup.smallBlind': 'Ciega pequeña',
+    'setup.bigBlind': 'Ciega grande',
+    'setup.currencyLocale': 'Moneda y formato',
+    'setup.currency': 'Moneda',
+    'setup.numberFormat': 'Formato de número',
+    'setup.rebuysTitle': 'Entradas reducidas, recompras y add-ons',
+    'setup.shortSeats': 'Asientos con entrada reducida',
+    'setup.shortBuyIn': 'Entrada reducida',
+    'setup.rebuy': 'Recompra',
+    'setup.addOn': 'Add-on',
+    'setup.none': 'Ninguno',
+    'setup.expectedRebuys': 'Recompras previstas',
+    'setup.denominations': 'Valores de las fichas',
+    'setup.series': 'Serie',
+    'setup.maxJump': 'Salto máximo (×)',
+    'setup.minChipValue': 'Valor mínimo de ficha',
+    'setup.integersOnly': 'Solo importes enteros',
+    'setup.customValues': 'Valores personalizados',
+    'setup.startingStack': 'Stack inicial',
+    'setup.levelMinutes': 'Duración del nivel (min)',
+    'setup.durationMinutes': 'Duración objetivo (min)',
+    'setup.blindsUpdated': '✓ Ciegas actualizadas',
+    'setup.customizeBlinds': '⚙️ Personalizar ciegas',
+    'setup.autoBlinds': '✔️ Usar ciegas automáticas',
+
+    // Currencies
+    'currency.usd': 'Dólar estadounidense',
+    'currency.eur': 'Euro',
+    'currency.gbp': 'Libra esterlina',
+    'currency.cad': 'Dólar canadiense',
+    'currency.aud': 'Dólar australiano',
+    'currency.chf': 'Franco suizo',
+    'currency.jpy': 'Yen japonés',
+    'currency.points': 'Puntos (dinero ficticio)',
+
+    // Denomination series
+    'series.25-cent': '0,25 en adelante',
+    'series.custom': 'Lista personalizada',
+    'series.1-2-5': '1-2-5',
+    'series.1-2.5-5': '1-2.5-5',
+    'series.selected': 'seleccionada',
+
+    // Chip inventory
+    'inventory.title': 'Inventario de fichas',
+    'inventory.addChip': 'Añadir tipo de ficha',
+    'inventory.onCalculate': 'Al calcular',
+    'inventory.suggestUnlocked': 'Sugerir valores para las fichas sin bloquear',
+    'inventory.suggestAll': 'Sugerir valores para todas las fichas',
+    'inventory.manual': 'Usar mis valores tal cual',
+    'inventory.distributionMode': 'Reparto',
+    'inventory.modeExact': 'Cuadrar la entrada exacta cuando sea posible',
+    'inventory.modePyramid': 'Solo forma de pirámide',
+    'inventory.calculate': 'Calcular reparto',
+    'inventory.empty': 'Aún no hay fichas. Pulsa + para añadir tipos de ficha.',
+    'inventory.fixedValue': 'Valor fijo',
+
+    // Chip modal
+    'modal.color': 'Color',
+    'modal.name': 'Nombre',
+    'modal.namePlaceholder': 'p. ej. Rosa',
+    'modal.edge': 'Borde',
+    'modal.plain': 'Liso',
+    'modal.spots': 'Motas en el borde',
+    'modal.stripes': 'Rayas',
+    'modal.edgeColor': 'Color del borde',
+    'modal.chipSet': 'Maletín',
+    'modal.quantity': 'Cantidad disponible',
+    'modal.value': 'Valor (opcional)',
+    'modal.auto': 'Auto',
+    'modal.locked': 'Valor fijo (impreso en la ficha)',
+    'modal.cancel': 'Cancelar',
+    'modal.addTitle': 'Añadir tipo de ficha',
+    'modal.addButton': 'Añadir ficha',
+    'modal.editTitle': 'Editar ficha {name}',
+    'modal.saveButton': 'Guardar cambios',
+    'modal.noSet': 'Sin maletín',
+
+    // Chip colors (default chip names)
+    'colors.white': 'Blanca',
+    'colors.red': 'Roja',
+    'colors.blue': 'Azul',
+    'colors.green': 'Verde',
+    'colors.black': 'Negra',
+    'colors.purple': 'Morada',
+    'colors.orange': 'Naranja',
+    'colors.yellow': 'Amarilla',
+    'colors.pink': 'Rosa',
+    'colors.grey': 'Gris',
+    'colors.brown': 'Marrón',
+
+    // Chip sets
+    'chipSets.title': 'Maletines de fichas',
+    'chipSets.hint': 'Guarda cada maletín que tengas y marca los que vas a usar. Las fichas de valor fijo se guardan como los valores impresos del maletín.',
+    'chipSets.namePlaceholder': 'Nombre del maletín...',
+    'chipSets.save': 'Guardar fichas como maletín',
+    'chipSets.use': 'Usar maletines marcados',
+    'chipSets.empty': 'Aún no hay maletines. Configura las fichas de un maletín y guárdalas como maletín.',
+    'chipSets.colors': { one: '{count} color', other: '{count} colores' },
+    'chipSets.printed': 'valores impresos',
+    'chipSets.tickOne': 'Marca al menos un maletín para jugar',
+
+    // Results
+    'results.print': '🖨️ Imprimir hoja de partida',
+    'results.cashTitle': 'Reparto por jugador',
+    'results.tournamentTitle': 'Stack inicial • entrada de {buyIn:money}',
+    'results.valueChanged': '{name} cambió de {from:money} a {to:money}',
+    'results.error': 'Se produjo un error al calcular: {message}',
+    'results.total': 'Total',
+    'results.totalChips': { one: 'Total ({count} ficha)', other: 'Total ({count} fichas)' },
+    'results.noDistribution': 'No hay fichas disponibles para repartir',
+
+    // Calculator diagnostics, by code (see diagnostics.js)
+    'diagnostics.no-chips': 'Añade al menos un tipo de ficha',
+    'diagnostics.invalid-buy-in': 'La entrada debe ser mayor que 0',
+    'diagnostics.no-exact-split': 'Ninguna combinación de las fichas disponibles suma exactamente {buyIn:money} por jugador',
+    'diagnostics.stack-short': 'Faltan {diff:money}: puede que la ficha más pequeña sea demasiado grande',
+    'diagnostics.stack-over': 'Sobran {diff:money}: ajusta los valores de las fichas',
+    'diagnostics.inventory-short': 'Hacen falta {needed} fichas {chipName} pero solo hay {have}',
+    'diagnostics.small-blind-below-smallest-chip': 'La ficha más pequeña ({chipValue:money}) vale más que la ciega pequeña ({smallBlind:money}). Añade una ficha de menor valor.',
+    'diagnostics.below-100-big-blinds': 'La entrada ({buyIn:money}) es menor que 100 ciegas grandes ({minStack:money}). Considera subir la entrada para jugar mejor.',
+    'diagnostics.add-on-inexact': 'Las fichas del add-on suman {totalValue:money}, no {amount:money}',
+    'diagnostics.rebuy-inexact': 'Las fichas de la recompra suman {totalValue:money}, no {amount:money}',
+    'diagnostics.add-ons-not-covered': { one: 'La banca solo cubre {covered} de {count} add-on previsto', other: 'La banca solo cubre {covered} de {count} add-ons previstos' },
+    'diagnostics.rebuys-not-covered': { one: 'La banca solo cubre {covered} de {count} recompra prevista', other: 'La banca solo cubre {covered} de {count} recompras previstas' },
+    'diagnostics.levels-not-postable': { one: 'El nivel {levels:list} no se puede poner exactamente con estas fichas', other: 'Los niveles {levels:list} no se pueden poner exactamente con estas fichas' },
+    'diagnostics.few-chips': { one: 'Solo {count} ficha por jugador. Considera fichas de menor valor para más flexibilidad.', other: 'Solo {count} fichas por jugador. Considera fichas de menor valor para más flexibilidad.' },
+    'diagnostics.exact-search-too-large': 'El modo exacto no puede buscar un buy-in de {buyIn:money} con estos valores de ficha, así que este es el reparto en pirámide',
+    'diagnostics.no-blind-chip': 'Considera una ficha de {smallBlind:money} o {bigBlind:money} para las ciegas',
+    'diagnostics.value-below-minimum': '{chipName} ({chipValue:money}) está por debajo del valor mínimo de ficha ({minValue:money})',
+    'diagnostics.value-not-whole': '{chipName} ({chipValue:money}) no es un valor entero',
+    'diagnostics.value-not-in-series': '{chipName} ({chipValue:money}) no está en la serie {series}',
+    'diagnostics.value-gap': 'Gran salto entre las fichas {lowerChipName} y {upperChipName}',
+
+    // Fix buttons
+    'fix.addChips': 'Añadir {count} {name} más',
+    'fix.setBlinds': 'Poner ciegas a {smallBlind:money} / {bigBlind:money}',
+    'fix.setChipValue': 'Poner {name} a {value:money}',
+    'fix.apply': 'Aplicar solución',
+    'fix.chip': 'ficha',
+
+    // "Why this split?" trace, by step (see TRACE_STEPS in chipCalculator.js)
+    'trace.title': '¿Por qué este reparto?',
+    'trace.intro': 'Cómo se formó el stack de un jugador, paso a paso.',
+    'trace.one-type': 'Un solo color: {quantity} {chipName} por jugador (la entrada necesita {target}, el maletín tiene {max} por jugador)',
+    'trace.two-types-small': 'Dos colores: primero {quantity} {chipName} (objetivo {target}, el maletín tiene {max} por jugador)',
+    'trace.two-types-large': 'El resto en {chipName}: {quantity} (la entrada necesita {target}, el maletín tiene {max} por jugador)',
+    'trace.two-types-fill': 'Ajustado con {chipName}: {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.pyramid-target': 'Inicio de la pirámide: {quantity} {chipName} (objetivo {target}, el maletín tiene {max} por jugador)',
+    'trace.pyramid-total': 'La pirámide suma {totalValue:money} para una entrada de {buyIn:money}',
+    'trace.reduce-over': 'Por encima de la entrada, primero las fichas más altas: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.reduce-closer': 'Aún por encima: {chipName} {from} → {to}, que queda más cerca de la entrada (total {totalBefore:money} → {totalAfter:money})',
+    'trace.fill-smallest': 'Por debajo de la entrada, completado con la ficha más baja: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money}; el maletín tiene {max} por jugador)',
+    'trace.ensure-two': 'Cada color recibe al menos 2: {chipName} 0 → 2, a cambio de {smallestName} {smallestFrom} → {smallestTo} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.ensure-two-no-stock': '{chipName} se queda fuera: el maletín solo tiene {max} por jugador, menos de 2',
+    'trace.ensure-two-no-swap': '{chipName} se queda fuera: 2 costarían demasiadas {smallestName} (hacen falta {needed} en el stack, hay {have})',
+    'trace.fine-tune': 'Completado con la ficha más baja: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money}; el maletín tiene {max} por jugador)',
+    'trace.add-any': 'Aún falta, completado con la ficha más alta que cabe: {chipName} {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.top-up': 'Último hueco: una {chipName} más, {from} → {to} (total {totalBefore:money} → {totalAfter:money})',
+    'trace.exact-solved': { one: 'Modo exacto: se sustituyeron los pasos anteriores por el reparto de exactamente {buyIn:money} más cercano a la pirámide ({count} ficha)', other: 'Modo exacto: se sustituyeron los pasos anteriores por el reparto de exactamente {buyIn:money} más cercano a la pirámide ({count} fichas)' },
+    'trace.exact-partial': { one: 'Modo exacto: se sustituyeron los pasos anteriores por el reparto de exactamente {buyIn:money} más cercano encontrado antes del límite de búsqueda ({count} ficha)', other: 'Modo exacto: se sustituyeron los pasos anteriores por el reparto de exactamente {buyIn:money} más cercano encontrado antes del límite de búsqueda ({count} fichas)' },
+    'trace.exact-infeasible': 'Modo exacto: ninguna combinación de las fichas disponibles suma exactamente {buyIn:money}, así que se mantiene el reparto anterior',
+    'trace.exact-too-large': 'Modo exacto: {buyIn:money} es demasiado grande para buscar ficha a ficha, así que se mantiene el reparto anterior',
+
+    // Bank & stacking
+    'bank.title': 'Banca y pilas',
+    'bank.chip': 'Ficha',
+    'bank.owned': 'En total',
+    'bank.pulled': 'Sacadas',
+    'bank.left': 'Quedan',
+    'bank.onTable': 'En la mesa {amount}',
+    'bank.inReserve': 'En reserva {amount}',
+    'bank.makeStacks': { one: 'Haz {count} pila de {quantity} {name}', other: 'Haz {count} pilas de {quantity} {name}' },
+    'bank.giveStacks': 'Da a cada jugador una pila de cada color',
+    'bank.lowStock': 'Solo quedan {left} {name} en el maletín, menos que otra pila de {stack}',
+
+    // Short buy-ins, rebuys and add-ons
+    'packages.shortBuyIn': 'Entrada reducida {amount:money}',
+    'packages.rebuy': 'Recompra {amount:money}',
+    'packages.addOn': 'Add-on {amount:money}',
+    'packages.rebuysCovered': { one: '🏦 La banca cubre {count} recompra más', other: '🏦 La banca cubre {count} recompras más' },
+    'packages.addOnsCovered': { one: '{count} add-on', other: '{count} add-ons' },
+
+    // Game sheet
+    'sheet.defaultTitle': 'Noche de póker',
+    'sheet.tournamentLine': 'Torneo • entrada de {buyIn:money} • stack inicial de {stack}',
+    'sheet.cashLine': 'Partida cash • entrada de {buyIn:money} • ciegas {smallBlind:money} / {bigBlind:money}',
+    'sheet.chipsTitle': 'Fichas y stack inicial',
+    'sheet.value': 'Valor',
+    'sheet.perPlayer': 'Por jugador',
+    'sheet.subtotal': 'Subtotal',
+    'sheet.bank': 'Banca',
+    'sheet.bankTotals': 'En la mesa {pulled} • en reserva {reserve}',
+    'sheet.blindStructure': 'Estructura de ciegas',
+    'sheet.length': 'Duración',
+    'sheet.ledger': 'Cuentas',
+    'sheet.player': 'Jugador',
+    'sheet.buyIn': 'Entrada',
+    'sheet.rebuys': 'Recompras',
+    'sheet.addOn': 'Add-on',
+    'sheet.cashOut': 'Retirada',
+    'sheet.net': 'Neto',
+
+    // Blind clock
+    'clock.title': 'Reloj de ciegas',
+    'clock.reset': '↺ Reiniciar desde la configuración',
+    'clock.rewind': 'Retroceder',
+    'clock.skip': 'Saltar nivel',
+    'clock.editLevels': 'Editar niveles',
+    'clock.addLevel': '+ Nivel',
+    'clock.addBreak': '+ Descanso',
+    'clock.noLevels': 'Sin niveles',
+    'clock.onBreak': '☕ Descanso',
+    'clock.break': 'Descanso',
+    'clock.level': 'Nivel {level}',
+    'clock.levelPaused': 'Nivel {level} • En pausa',
+    'clock.levelShort': 'N{level}',
+    'clock.withAnte': '{blinds} (ante {ante})',
+    'clock.next': 'Siguiente: {blinds}',
+    'clock.finished': 'Último nivel completado',
+    'clock.finalLevel': 'Último nivel',
+    'clock.breakIn': 'Descanso en {time}',
+    'clock.colorUpIn': { one: '🎨 Retira las fichas de {amount} en {count} nivel', other: '🎨 Retira las fichas de {amount} en {count} niveles' },
+    'clock.colorUpNow': '🎨 Retira ya las fichas de {amount}: ya no hacen falta',
+    'clock.pause': '⏸ Pausa',
+    'clock.startButton': '▶ Iniciar',
+    'clock.confirmReset': '¿Reiniciar el reloj en marcha?',
+    'clock.levelsTitle': 'Niveles de ciegas',
+    'clock.lvl': 'Nv',
+    'clock.blinds': 'Ciegas',
+    'clock.ante': 'Ante',
+    'clock.startsAt': 'Inicio',
+    'clock.minutes': { one: '{count} min', other: '{count} min' },
+    'clock.minutesTitle': 'Minutos',
+
+    // Color up
+    'colorUp.title': 'Color up',
+    'colorUp.retire': 'Retirar',
+    'colorUp.exchangeFor': 'Cambiar por',
+    'colorUp.leftInBank': 'Quedan en la banca',
+    'colorUp.run': 'Hacer color up',
+    'colorUp.summary': '{count} {name} de la banca ({race} ganadas en la carrera) • Semilla {seed}',
+    'colorUp.bankShort': 'Hacen falta {needed} fichas {name} pero la banca solo tiene {available}',
+    'colorUp.notWorthMore': '{replacement} debe valer más que {retiring}',
+
+    // Betting helper
+    'betting.title': 'Ayuda de apuestas',
+    'betting.fromBlinds': 'Empezar con las ciegas',
+    'betting.hint': 'Elige Bote, Para igualar o Última subida y toca las fichas a medida que entran.',
+    'betting.pot': 'Bote',
+    'betting.toCall': 'Para igualar',
+    'betting.lastRaise': 'Última subida',
+    'betting.undo': '↶ Deshacer',
+    'betting.clear': 'Borrar',
+    'betting.chipsFor': 'Fichas para una apuesta de',
+    'betting.amount': 'Cantidad',
+    'betting.potLimitBet': 'Apuesta máxima pot-limit',
+    'betting.potLimitRaise': 'Subida máxima pot-limit',
+    'betting.noLimitBet': 'Apuesta mínima no-limit',
+    'betting.noLimitRaise': 'Subida mínima no-limit',
+    'betting.call': 'Igualar',
+    'betting.potOdds': 'Pot odds {ratio} : 1',
+    'betting.equity': 'Necesitas un {percent}% para igualar',
+    'betting.inexact': '{amount} no se puede formar exactamente',
+    'betting.inexactSmallest': '{amount} no se puede formar exactamente (la ficha más pequeña es {smallest})',
+
+    // Break a chip
+    'change.title': 'Cambiar una ficha',
+    'change.break': 'Cambiar',
+    'change.amount': 'Cantidad',
+    'change.run': 'Dar cambio',
+    'change.other': 'Otra cantidad…',
+    'change.fromBank': 'lo que queda en el maletín tras los stacks iniciales',
+    'change.fromCase': 'el maletín',
+    'change.impossible': 'No se puede dar cambio exacto de {what} con {from}',
+    'change.payOut': 'Cambio de {what}, con {from}:',
+    'change.fewest': 'O con el menor número de fichas:',
+
+    // Session ledger
+    'ledger.title': 'Cuentas de la sesión',
+    'ledger.start': '▶ Iniciar sesión',
+    'ledger.addPlayer': '+ Jugador',
+    'ledger.end': 'Terminar sesión',
+    'ledger.pastSessions': 'Sesiones anteriores',
+    'ledger.empty': 'No hay ninguna sesión en curso. Inicia una para anotar entradas y retiradas.',
+    'ledger.in': 'Entra {amount:money}',
+    'ledger.out': 'Sale {amount:money}',
+    'ledger.totalIn': '{amount:money} de entrada',
+    'ledger.rebuy': '+ Recompra',
+    'ledger.pays': '{from} paga a {to} {amount:money}',
+    'ledger.noHistory': 'Aún no hay sesiones anteriores.',
+    'ledger.playerFallback': 'Jugador',
+    'ledger.confirmEnd': 'Los recuentos de fichas están incompletos o no cuadran. ¿Terminar de todos modos?',
+    'ledger.waiting': 'Falta el recuento de fichas de {names:list}',
+    'ledger.over': 'Sale {amount:money} más de lo que entró: vuelve a contar',
+    'ledger.missing': 'Faltan {amount:money} en fichas: vuelve a contar',
+
+    // History & stats
+    'stats.title': 'Historial y estadísticas',
+    'stats.gameNights': 'Noches de juego',
+    'stats.empty': 'Termina una sesión de cuentas para empezar a registrar noches de juego.',
+    'stats.nights': 'Noches',
+    'stats.best': 'Mejor',
+    'stats.worst': 'Peor',
+    'stats.confirmDelete': '¿Eliminar esta noche de juego de las estadísticas?',
+
+    // Table sync
+    'sync.title': 'Sincronizar mesa',
+    'sync.hint': 'Comparte fichas, ajustes, configuraciones guardadas y resultados con otros móviles de la mesa. Sin relay, solo se sincronizan las pestañas de este navegador.',
+    'sync.room': 'Código de mesa',
+    'sync.roomPlaceholder': 'p. ej. viernes',
+    'sync.relay': 'Relay (opcional)',
+    'sync.host': 'Crear mesa',
+    'sync.join': 'Unirse a la mesa',
+    'sync.leave': 'Salir',
+    'sync.notConnected': 'Sin conexión',
+    'sync.hosting': 'Anfitrión de «{room}» {where} • {devices}',
+    'sync.joined': 'Conectado a «{room}» {where} • {devices}',
+    'sync.viaRelay': 'por relay',
+    'sync.inBrowser': 'en este navegador',
+    'sync.devices': { one: '{count} dispositivo más', other: '{count} dispositivos más' },
+    'sync.tableStatus': 'Mesa «{room}»: {status}',
+    'sync.connecting': 'conectando',
+    'sync.closed': 'cerrada',
+    'sync.error': 'error',
+    'sync.ignored': { one: '{count} actualización no válida ignorada', other: '{count} actualizaciones no válidas ignoradas' },
+    'sync.connectFailed': 'No se pudo conectar: {message}',
+
+    // Saved presets
+    'presets.title': 'Configuraciones guardadas',
+    'presets.namePlaceholder': 'Nombre de la configuración...',
+    'presets.save': 'Guardar actual',
+    'presets.exportAll': '⬇️ Exportar todo',
+    'presets.import': '⬆️ Importar',
+    'presets.conflict': 'Cuando una configuración importada tiene el mismo nombre o ID',
+    'presets.keepBoth': 'Conservar ambas',
+    'presets.replace': 'Reemplazar la existente',
+    'presets.skip': 'Omitir duplicadas',
+    'presets.empty': 'No hay ajustes guardados. Guarda tu configuración de fichas para acceder rápido.',
+    'presets.chipTypes': { one: '{count} tipo de ficha', other: '{count} tipos de ficha' },
+    'presets.copyLink': 'Copiar enlace para compartir',
+    'presets.export': 'Exportar',
+    'presets.saved': '✓ ¡Guardado!',
+    'presets.linkCopied': 'Enlace a «{name}» copiado',
+    'presets.copyPrompt': 'Copia este enlace:',
+    'presets.importSummary': 'Importados {added}, reemplazados {replaced}, omitidos {skipped}',
+    'presets.rejected': 'Rechazados:',
+    'presets.badLink': 'No se pudo abrir el enlace del ajuste:\n{errors}',
+    'presets.invalidJson': 'El archivo no es JSON válido',
+    'presets.newerVersion': 'La versión {version} del archivo es más nueva de lo que admite esta aplicación',
+    'presets.noPresets': 'El archivo no contiene ajustes',
+    'presets.invalidPreset': 'Ajuste {label}: {problems}',
+    'presets.corruptLink': 'El enlace del ajuste está dañado',
+    'presets.unsupportedLink': 'Esta versión no admite el enlace del ajuste',
+
+    // Backup & recovery
+    'backup.title': 'Copia de seguridad',
+    'backup.download': '⬇️ Descargar copia',
+    'backup.restore': '⬆️ Restaurar',
+    'backup.savedIn': 'Guardado en {backend} en este dispositivo',
+    'backup.saveFailed': '⚠️ No se pudieron guardar los cambios ({error}). Descarga una copia de seguridad.',
+    'backup.loadFailed': '⚠️ No se pudieron abrir los datos guardados ({error}). Los cambios se perderán al cerrar esta página.',
+    'backup.backend.IndexedDB': 'IndexedDB',
+    'backup.backend.localStorage': 'el almacenamiento local',
+    'backup.savedInMemory': 'No se guarda en este dispositivo: los cambios duran hasta cerrar esta página',
+    'backup.quarantined': { one: '⚠️ Se apartó {count} entrada dañada:', other: '⚠️ Se apartaron {count} entradas dañadas:' },
+    'backup.quarantineDownload': 'Descargar',
+    'backup.quarantineDiscard': 'Descartar',
+    'backup.confirmDiscard': '¿Descartar definitivamente las entradas dañadas?',
+    'backup.confirmRestore': '¿Reemplazar todas las fichas, ajustes, configuraciones guardadas e historial con esta copia?',
+    'backup.restoreFailed': 'No se pudo restaurar la copia:\n{errors}',
+    'backup.invalidJson': 'La copia no es JSON válido',
+    'backup.notBackup': 'El archivo no es una copia de seguridad de esta aplicación',
+    'backup.newerVersion': 'La versión de esquema {version} de la copia es más nueva de lo que admite esta aplicación',
+    'backup.writeFailed': 'Error al restaurar: {error}',
+
+    // Stored data validation (see schema.js)
+    'schema.chipNotObject': 'La ficha {number} no es un objeto',
+    'schema.chipNoId': 'La ficha {number} no tiene id',
+    'schema.chipBadColor': 'La ficha {number} tiene un color no válido',
+    'schema.chipNoName': 'La ficha {number} no tiene nombre',
+    'schema.chipBadQuantity': 'La ficha {number} tiene una cantidad no válida',
+    'schema.chipBadValue': 'La ficha {number} tiene un valor no válido',
+    'schema.chipBadLocked': 'La ficha {number} tiene un indicador de bloqueo no válido',
+    'schema.chipBadSet': 'La ficha {number} tiene un juego no válido',
+    'schema.chipBadEdgeColor': 'La ficha {number} tiene un color de borde no válido',
+    'schema.chipBadEdgeStyle': 'La ficha {number} tiene un estilo de borde no válido',
+    'schema.chipSetNotObject': 'El juego de fichas no es un objeto',
+    'schema.chipSetNoId': 'El juego de fichas no tiene id',
+    'schema.chipSetNoName': 'El juego de fichas no tiene nombre',
+    'schema.chipSetNoChips': 'El juego de fichas no tiene fichas',
+    'schema.settingsNotObject': 'La configuración de la partida no es un objeto',
+    'schema.settingsBadBuyIn': 'La configuración de la partida tiene un buy-in no válido',
+    'schema.settingsBadPlayers': 'La configuración de la partida tiene un número de jugadores no válido',
+    'schema.settingsBadField': 'La configuración de la partida tiene un {field} no válido',
+    'schema.settingsBadGroup': 'La configuración de la partida tiene ajustes de {group} no válidos',
+    'schema.presetNotObject': 'El ajuste no es un objeto',
+    'schema.presetNoId': 'El ajuste no tiene id',
+    'schema.presetNoName': 'El ajuste no tiene nombre',
+    'schema.presetNoChips': 'El ajuste no tiene fichas',
+    'schema.presetNoSettings': 'El ajuste no tiene configuración de partida',
+    'schema.corruptJson': 'JSON dañado',
+    'schema.notAList': 'Se esperaba una lista',
+    'schema.clockNoLevels': 'El reloj no tiene niveles',
+    'schema.sessionNoPlayers': 'La sesión no tiene jugadores',
+    'schema.sessionBadPlayer': 'El jugador {number} de la sesión no es válido',
+    'schema.gameNightNoPlayers': 'La noche de juego no tiene jugadores',
+    'schema.gameNightNoDate': 'La noche de juego no tiene fecha',
+    'schema.gameNightBadPlayer': 'El jugador {number} de la noche de juego no es válido',
+    'schema.resultNotObject': 'El resultado compartido no es un objeto',
+    'schema.resultBadField': 'El resultado compartido tiene un {field} no válido',
+    'schema.resultUnknownChip': 'El resultado compartido tiene una ficha desconocida {id}',
+    'schema.resultUnknownCode': 'El resultado compartido tiene un diagnóstico desconocido {code}'
+};
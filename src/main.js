@@ -1,7 +1,38 @@
-import { calculateDistribution, suggestChipValues, suggestBlinds, formatCurrency } from './chipCalculator.js';
 import {
-    saveChips, loadChips, saveGameSettings, loadGameSettings,
-    getPresets, savePreset, deletePreset, loadPreset,
+    calculateDistribution, calculateBuyInPlan, buildBankReport, suggestChipValues, suggestBlinds, assignChipValues,
+    validateChipValues, describeTraceStep, formatCurrency
+} from './chipCalculator.js';
+import { buildBlindSchedule, suggestTournamentChipValues, findUnpostableLevels, formatTournamentChips } from './tournament.js';
+import {
+    createClockLevels, createClock, getClockStatus, startClock, pauseClock,
+    skipLevel, rewindLevel, goToLevel, findColorUpIndex, formatDuration
+} from './clock.js';
+import { colorUp, formatCard } from './colorUp.js';
+import {
+    setCurrencySettings, getCurrencySettings, getCurrencySymbol, getNumberSeparators, formatNumber, parseMoney
+} from './currency.js';
+import {
+    createSession, addPlayer, renamePlayer, addBuyIn, setCashOut, endSession, summarizeSession
+} from './ledger.js';
+import { createGameNight, computePlayerStats, cumulativeResults } from './stats.js';
+import { lineChartSvg } from './charts.js';
+import { exportPresets, parsePresetFile, mergePresets, createPresetLink, parsePresetLink } from './presetShare.js';
+import { createSyncEngine, createBroadcastChannelTransport, createWebSocketTransport } from './sync.js';
+import { withSettingsDefaults, validateChip, validateGameSettings, validatePreset, validateSyncedResult } from './schema.js';
+import { createChipSet, describeChipSet, combineChipSets } from './chipSets.js';
+import { potLimitMaxRaise, noLimitMinRaise, potOdds, fewestChips, makeChange } from './betting.js';
+import {
+    DIAGNOSTIC_CODES, createDiagnostic, describeDiagnostic, mergeDiagnostics, describeFix, applyFix, isValidFix
+} from './diagnostics.js';
+import { LANGUAGES, setLanguage, getLanguage, detectLanguage, t, applyTranslations } from './i18n.js';
+import { escapeHtml } from './html.js';
+import { createMemoryBackend } from './storageBackends.js';
+import {
+    saveChips, loadChips, saveGameSettings, loadGameSettings, saveClockState, loadClockState,
+    getPresets, savePreset, savePresets, deletePreset, loadPreset, getSessions, saveSession, deleteSession,
+    getGameNights, saveGameNight, deleteGameNight, migrateStorage, getQuarantine, clearQuarantine,
+    createBackup, restoreBackup, initStorage, flushStorage, setStorageErrorHandler, addStorageListener,
+    getChipSets, saveChipSet, deleteChipSet, getStorageBackendName, saveLanguage, loadLanguage,
     getDefaultChips, getDefaultGameSettings
 } from './storage.js';
 
@@ -10,157 +41,612 @@ let chips = [];
 let gameSettings = getDefaultGameSettings();
 let editingChipId = null; // null = add mode, string = edit mode
 let blindsAutoMode = true; // true = blinds are auto-calculated from buy-in
+let clock = null; // blind clock state (see clock.js)
+let clockTimer = null; // interval id while the clock is running
+let lastResult = null; // last calculateDistribution output (for bank counts)
+let session = null; // open ledger session, if any
+let activePresetName = null; // preset last loaded or saved (recorded with game nights)
+let tableSync = null; // sync engine while hosting or joined to a table
+let syncInfo = null; // role, room, relay, connection status and peers while synced (for the status line)
+let storageError = null; // first failed background save, if any
+let storageLoadError = null; // set when saved data couldn't be read and the app runs in memory
+let lastBankReport = null; // bank view of the last calculation (for the game sheet)
+let betting = { target: 'pot', entries: [] }; // betting helper: amounts tapped into the pot or the bet to call
 
 // ===== DOM Elements =====
 const elements = {
+    language: document.getElementById('language'),
+
     // Game setup
+    gameType: document.getElementById('game-type'),
     buyIn: document.getElementById('buy-in'),
     players: document.getElementById('players'),
     smallBlind: document.getElementById('small-blind'),
     bigBlind: document.getElementById('big-blind'),
     blindsUpdated: document.getElementById('blinds-updated'),
     customizeBlindsBtn: document.getElementById('customize-blinds-btn'),
+    cashOnly: document.querySelectorAll('.cash-only'),
+    currency: document.getElementById('currency'),
+    locale: document.getElementById('locale'),
+    inputPrefixes: document.querySelectorAll('.input-prefix'),
+
+    // Short buy-ins, rebuys and add-ons
+    shortSeats: document.getElementById('short-seats'),
+    shortBuyIn: document.getElementById('short-buy-in'),
+    rebuyAmount: document.getElementById('rebuy-amount'),
+    addOnAmount: document.getElementById('add-on-amount'),
+    expectedRebuys: document.getElementById('expected-rebuys'),
+
+    // Denomination settings
+    denominationSeries: document.getElementById('denomination-series'),
+    customDenominationsGroup: document.getElementById('custom-denominations-group'),
+    customDenominations: document.getElementById('custom-denominations'),
+    maxJump: document.getElementById('max-jump'),
+    minChipValue: document.getElementById('min-chip-value'),
+    integersOnly: document.getElementById('integers-only'),
+
+    // Tournament structure
+    tournamentSettings: document.getElementById('tournament-settings'),
+    startingStack: document.getElementById('starting-stack'),
+    levelMinutes: document.getElementById('level-minutes'),
+    durationMinutes: document.getElementById('duration-minutes'),
 
     // Chip inventory
     chipList: document.getElementById('chip-list'),
+    chipValueMode: document.getElementById('chip-value-mode'),
+    distributionMode: document.getElementById('distribution-mode'),
     addChipBtn: document.getElementById('add-chip-btn'),
+    chipSetList: document.getElementById('chip-set-list'),
+    chipSetName: document.getElementById('chip-set-name'),
+    saveChipSetBtn: document.getElementById('save-chip-set-btn'),
+    useChipSetsBtn: document.getElementById('use-chip-sets-btn'),
 
     // Calculate
     calculateBtn: document.getElementById('calculate-btn'),
 
     // Results
     resultsSection: document.getElementById('results'),
+    resultsTitle: document.getElementById('results-title'),
     distributionList: document.getElementById('distribution-list'),
     resultsTotal: document.getElementById('results-total'),
     resultsWarnings: document.getElementById('results-warnings'),
+    resultsNotes: document.getElementById('results-notes'),
+    blindSchedule: document.getElementById('blind-schedule'),
+    packageList: document.getElementById('package-list'),
+    tracePanel: document.getElementById('trace-panel'),
+    traceList: document.getElementById('trace-list'),
+    bankReport: document.getElementById('bank-report'),
+    bankReportBody: document.getElementById('bank-report-body'),
+    printSheetBtn: document.getElementById('print-sheet-btn'),
+    gameSheet: document.getElementById('game-sheet'),
+
+    // Blind clock
+    clockLevel: document.getElementById('clock-level'),
+    clockTime: document.getElementById('clock-time'),
+    clockBlinds: document.getElementById('clock-blinds'),
+    clockNext: document.getElementById('clock-next'),
+    clockBreak: document.getElementById('clock-break'),
+    clockColorUp: document.getElementById('clock-colorup'),
+    clockToggleBtn: document.getElementById('clock-toggle-btn'),
+    clockRewindBtn: document.getElementById('clock-rewind-btn'),
+    clockSkipBtn: document.getElementById('clock-skip-btn'),
+    clockResetBtn: document.getElementById('clock-reset-btn'),
+    clockLevelList: document.getElementById('clock-level-list'),
+    clockAddLevelBtn: document.getElementById('clock-add-level-btn'),
+    clockAddBreakBtn: document.getElementById('clock-add-break-btn'),
+
+    // Color up
+    colorUpRetiring: document.getElementById('color-up-retiring'),
+    colorUpReplacement: document.getElementById('color-up-replacement'),
+    colorUpBank: document.getElementById('color-up-bank'),
+    colorUpPlayers: document.getElementById('color-up-players'),
+    colorUpBtn: document.getElementById('color-up-btn'),
+    colorUpResults: document.getElementById('color-up-results'),
+
+    // Betting helper
+    betBlindsBtn: document.getElementById('bet-blinds-btn'),
+    betTargets: document.querySelectorAll('.bet-target'),
+    betPotTotal: document.getElementById('bet-pot-total'),
+    betRaiseTotal: document.getElementById('bet-raise-total'),
+    betCallTotal: document.getElementById('bet-call-total'),
+    betChipPad: document.getElementById('bet-chip-pad'),
+    betUndoBtn: document.getElementById('bet-undo-btn'),
+    betClearBtn: document.getElementById('bet-clear-btn'),
+    betSummary: document.getElementById('bet-summary'),
+    betAmount: document.getElementById('bet-amount'),
+    betChips: document.getElementById('bet-chips'),
+
+    // Make change
+    changeChip: document.getElementById('change-chip'),
+    changeAmountGroup: document.getElementById('change-amount-group'),
+    changeAmount: document.getElementById('change-amount'),
+    changeBtn: document.getElementById('change-btn'),
+    changeResults: document.getElementById('change-results'),
+
+    // Session ledger
+    ledgerStartBtn: document.getElementById('ledger-start-btn'),
+    ledgerPlayers: document.getElementById('ledger-players'),
+    ledgerSummary: document.getElementById('ledger-summary'),
+    ledgerActions: document.getElementById('ledger-actions'),
+    ledgerAddPlayerBtn: document.getElementById('ledger-add-player-btn'),
+    ledgerEndBtn: document.getElementById('ledger-end-btn'),
+    ledgerHistory: document.getElementById('ledger-history'),
+
+    // History & stats
+    statsChart: document.getElementById('stats-chart'),
+    statsPlayers: document.getElementById('stats-players'),
+    statsHistory: document.getElementById('stats-history'),
 
     // Presets
     presetList: document.getElementById('preset-list'),
     presetName: document.getElementById('preset-name'),
     savePresetBtn: document.getElementById('save-preset-btn'),
+    exportPresetsBtn: document.getElementById('export-presets-btn'),
+    importPresetsBtn: document.getElementById('import-presets-btn'),
+    importPresetsFile: document.getElementById('import-presets-file'),
+    presetConflict: document.getElementById('preset-conflict'),
+
+    // Backup & recovery
+    backupBtn: document.getElementById('backup-btn'),
+    restoreBtn: document.getElementById('restore-btn'),
+    restoreFile: document.getElementById('restore-file'),
+    quarantineStatus: document.getElementById('quarantine-status'),
+    storageStatus: document.getElementById('storage-status'),
+
+    // Table sync
+    syncRoom: document.getElementById('sync-room'),
+    syncRelay: document.getElementById('sync-relay'),
+    syncHostBtn: document.getElementById('sync-host-btn'),
+    syncJoinBtn: document.getElementById('sync-join-btn'),
+    syncLeaveBtn: document.getElementById('sync-leave-btn'),
+    syncStatus: document.getElementById('sync-status'),
 
     // Modal
     addChipModal: document.getElementById('add-chip-modal'),
     chipModalTitle: document.getElementById('chip-modal-title'),
+    newChipPreview: document.getElementById('new-chip-preview'),
     newChipColor: document.getElementById('new-chip-color'),
+    chipColorSwatches: document.getElementById('chip-color-swatches'),
+    newChipName: document.getElementById('new-chip-name'),
+    newChipEdgeStyle: document.getElementById('new-chip-edge-style'),
+    newChipEdgeColor: document.getElementById('new-chip-edge-color'),
+    newChipSetGroup: document.getElementById('new-chip-set-group'),
+    newChipSet: document.getElementById('new-chip-set'),
     newChipQuantity: document.getElementById('new-chip-quantity'),
     newChipValue: document.getElementById('new-chip-value'),
+    newChipLocked: document.getElementById('new-chip-locked'),
     cancelAddChip: document.getElementById('cancel-add-chip'),
     confirmAddChip: document.getElementById('confirm-add-chip')
 };
 
 // ===== Initialization =====
-function init() {
+async function init() {
+    // Pick the storage backend, then upgrade data saved by older versions.
+    // If saved data can't be read, keep working in memory for this visit
+    try {
+        await initStorage();
+    } catch (e) {
+        storageLoadError = e;
+        await initStorage({ backend: createMemoryBackend() });
+    }
+    setStorageErrorHandler(error => {
+        // Once the backend fails, later saves usually fail too: report the first one
+        if (storageError) return;
+        storageError = error;
+        renderStorageStatus();
+    });
+    migrateStorage();
+
+    // The saved language, else the browser's (messages below are rendered in it)
+    setLanguage(loadLanguage() || detectLanguage(navigator.languages));
+    elements.language.innerHTML = Object.entries(LANGUAGES)
+        .map(([code, { name }]) => `<option value="${code}">${name}</option>`)
+        .join('');
+    elements.language.value = getLanguage();
+    translatePage();
+
     // Load saved state or use defaults
     const savedChips = loadChips();
     const savedSettings = loadGameSettings();
 
     chips = savedChips || getDefaultChips();
     if (savedSettings) {
-        gameSettings = savedSettings;
+        gameSettings = withSettingsDefaults(savedSettings, getDefaultGameSettings());
     }
 
+    // Restore the clock (a running clock catches up from its saved end time)
+    clock = loadClockState() || createClock(createClockLevels(gameSettings));
+    session = getSessions().find(s => !s.endedAt) || null;
+
+    // A share link replaces the current configuration with its preset
+    openPresetLink();
+
     // Populate UI
     updateGameSettingsUI();
+    updateBlindsModeUI();
     renderChipList();
+    renderChipSetList();
     renderPresetList();
+    renderClock();
+    renderBetting();
+    renderLedger();
+    renderStats();
+    renderQuarantine();
+    renderStorageStatus();
+    renderSyncStatus();
 
     // Event listeners
     setupEventListeners();
 }
 
 function setupEventListeners() {
+    elements.language.addEventListener('change', handleLanguageChange);
+
     // Game settings inputs
+    elements.gameType.addEventListener('change', () => {
+        handleGameSettingsChange();
+        updateGameTypeUI();
+    });
     elements.buyIn.addEventListener('input', handleBuyInFormat);
     elements.buyIn.addEventListener('change', handleBuyInChange);
     elements.players.addEventListener('change', handleGameSettingsChange);
     elements.smallBlind.addEventListener('change', handleSmallBlindChange);
     elements.bigBlind.addEventListener('change', handleBigBlindChange);
+    elements.startingStack.addEventListener('change', handleGameSettingsChange);
+    elements.levelMinutes.addEventListener('change', handleGameSettingsChange);
+    elements.durationMinutes.addEventListener('change', handleGameSettingsChange);
+    elements.chipValueMode.addEventListener('change', handleGameSettingsChange);
+    elements.distributionMode.addEventListener('change', handleGameSettingsChange);
+    elements.currency.addEventListener('change', handleCurrencyChange);
+    elements.locale.addEventListener('change', handleCurrencyChange);
+    [elements.shortSeats, elements.shortBuyIn, elements.rebuyAmount, elements.addOnAmount, elements.expectedRebuys]
+        .forEach(input => input.addEventListener('change', handleGameSettingsChange));
+    // Denomination changes re-suggest the auto blinds
+    [elements.denominationSeries, elements.customDenominations, elements.maxJump, elements.minChipValue, elements.integersOnly]
+        .forEach(input => input.addEventListener('change', handleDenominationChange));
 
     // Customize blinds toggle - enables/disables blind input fields
     elements.customizeBlindsBtn.addEventListener('click', () => {
-        const isDisabled = elements.smallBlind.disabled;
-        elements.smallBlind.disabled = !isDisabled;
-        elements.bigBlind.disabled = !isDisabled;
-
-        if (!isDisabled) {
-            // Switching back to auto mode
-            blindsAutoMode = true;
-            elements.customizeBlindsBtn.textContent = '⚙️ Customize Blinds';
-            // Re-calculate blinds from current buy-in
-            const suggested = suggestBlinds(parseFloat(elements.buyIn.value) || 50);
+        blindsAutoMode = !elements.smallBlind.disabled;
+        updateBlindsModeUI();
+
+        if (blindsAutoMode) {
+            // Switching back to auto mode: re-calculate blinds from current buy-in
+            const suggested = suggestBlinds(parseMoney(elements.buyIn.value) || 50, gameSettings.denominations);
             elements.smallBlind.value = suggested.smallBlind;
             elements.bigBlind.value = suggested.bigBlind;
             handleGameSettingsChange();
-        } else {
-            // Enabling manual edit
-            blindsAutoMode = false;
-            elements.customizeBlindsBtn.textContent = '✔️ Use Auto Blinds';
         }
     });
 
     // Calculate button
     elements.calculateBtn.addEventListener('click', handleCalculate);
+    elements.printSheetBtn.addEventListener('click', printGameSheet);
+    elements.resultsSection.addEventListener('click', (e) => {
+        const btn = e.target.closest('.fix-btn');
+        if (btn && lastResult?.diagnostics) handleApplyFix(lastResult.diagnostics[btn.dataset.fix].fix);
+    });
+
+    // Betting helper
+    elements.betTargets.forEach(btn => {
+        btn.addEventListener('click', () => {
+            betting.target = btn.dataset.target;
+            renderBetting();
+        });
+    });
+    elements.betChipPad.addEventListener('click', (e) => {
+        const btn = e.target.closest('.bet-chip');
+        if (!btn) return;
+        betting.entries.push({ target: betting.target, amount: parseFloat(btn.dataset.value) });
+        renderBetting();
+    });
+    elements.betUndoBtn.addEventListener('click', () => {
+        betting.entries.pop();
+        renderBetting();
+    });
+    elements.betClearBtn.addEventListener('click', () => {
+        betting = { target: 'pot', entries: [] };
+        elements.betAmount.value = '';
+        renderBetting();
+    });
+    elements.betBlindsBtn.addEventListener('click', () => {
+        // Preflop: both blinds are in the pot and the big blind is the bet to call
+        const { smallBlind, bigBlind } = getCurrentBlinds();
+        betting = {
+            target: 'pot',
+            entries: [{ target: 'pot', amount: smallBlind }, { target: 'pot', amount: bigBlind }, { target: 'toCall', amount: bigBlind }]
+        };
+        renderBetting();
+    });
+    elements.betSummary.addEventListener('click', (e) => {
+        const line = e.target.closest('[data-amount]');
+        if (!line) return;
+        elements.betAmount.value = line.dataset.amount;
+        renderBetChips();
+    });
+    elements.betAmount.addEventListener('input', renderBetChips);
+
+    // Make change
+    elements.changeChip.addEventListener('change', () => {
+        elements.changeAmountGroup.classList.toggle('hidden', elements.changeChip.value !== '');
+        elements.changeResults.classList.add('hidden');
+    });
+    elements.changeBtn.addEventListener('click', handleMakeChange);
 
     // Chip inventory
     elements.addChipBtn.addEventListener('click', openAddChipModal);
+    elements.saveChipSetBtn.addEventListener('click', handleSaveChipSet);
+    elements.useChipSetsBtn.addEventListener('click', handleUseChipSets);
 
     // Modal
     elements.cancelAddChip.addEventListener('click', closeAddChipModal);
     elements.confirmAddChip.addEventListener('click', handleSaveChip);
+    elements.chipColorSwatches.addEventListener('click', (e) => {
+        const swatch = e.target.closest('.color-swatch');
+        if (!swatch) return;
+        // Swatches fill in the name too, unless it was typed by hand
+        const swatchNames = [...elements.chipColorSwatches.children].map(s => s.title);
+        if (!elements.newChipName.value.trim() || swatchNames.includes(elements.newChipName.value.trim())) {
+            elements.newChipName.value = swatch.title;
+        }
+        elements.newChipColor.value = swatch.dataset.color;
+        renderChipPreview();
+    });
+    [elements.newChipColor, elements.newChipEdgeStyle, elements.newChipEdgeColor].forEach(input => {
+        input.addEventListener('input', renderChipPreview);
+    });
+    elements.newChipEdgeStyle.addEventListener('change', renderChipPreview);
     elements.addChipModal.addEventListener('click', (e) => {
         if (e.target === elements.addChipModal) closeAddChipModal();
     });
 
+    // Blind clock
+    elements.clockToggleBtn.addEventListener('click', () => {
+        const now = Date.now();
+        updateClock(clock.running ? pauseClock(clock, now) : startClock(clock, now));
+    });
+    elements.clockSkipBtn.addEventListener('click', () => updateClock(skipLevel(clock, Date.now())));
+    elements.clockRewindBtn.addEventListener('click', () => updateClock(rewindLevel(clock, Date.now())));
+    elements.clockResetBtn.addEventListener('click', () => {
+        if (clock.running && !confirm(t('clock.confirmReset'))) return;
+        updateClock(createClock(createClockLevels(gameSettings)));
+    });
+    elements.clockAddLevelBtn.addEventListener('click', () => {
+        const last = [...clock.levels].reverse().find(l => l.type === 'level');
+        const level = last
+            ? { ...last, smallBlind: last.smallBlind * 2, bigBlind: last.bigBlind * 2, ante: last.ante * 2 }
+            : { type: 'level', smallBlind: gameSettings.smallBlind, bigBlind: gameSettings.bigBlind, ante: 0, minutes: 20 };
+        updateClock({ ...clock, levels: [...clock.levels, level] });
+    });
+    elements.clockAddBreakBtn.addEventListener('click', () => {
+        updateClock({ ...clock, levels: [...clock.levels, { type: 'break', minutes: 10 }] });
+    });
+
+    // Color up
+    elements.colorUpRetiring.addEventListener('change', () => {
+        // Default to the next chip up from the one being retired
+        const sorted = [...chips].sort((a, b) => a.value - b.value);
+        const index = sorted.findIndex(c => c.id === elements.colorUpRetiring.value);
+        if (sorted[index + 1]) elements.colorUpReplacement.value = sorted[index + 1].id;
+        updateColorUpBank();
+    });
+    elements.colorUpReplacement.addEventListener('change', updateColorUpBank);
+    elements.colorUpBtn.addEventListener('click', handleColorUp);
+
+    // Session ledger
+    elements.ledgerStartBtn.addEventListener('click', () => {
+        const names = Array.from({ length: gameSettings.players }, (_, i) => t('common.player', { number: i + 1 }));
+        updateSession(createSession(names, gameSettings.buyIn));
+    });
+    elements.ledgerAddPlayerBtn.addEventListener('click', () => {
+        updateSession(addPlayer(session, t('common.player', { number: session.players.length + 1 }), gameSettings.buyIn));
+    });
+    elements.ledgerEndBtn.addEventListener('click', () => {
+        const summary = summarizeSession(session, chips);
+        if (!(summary.isComplete && summary.isBalanced) && !confirm(t('ledger.confirmEnd'))) return;
+        const ended = endSession(session, chips);
+        saveSession(ended);
+        saveGameNight(createGameNight(ended, summarizeSession(ended, chips), { presetName: activePresetName, gameSettings }));
+        session = null;
+        renderLedger();
+        renderStats();
+    });
+
+    // Phones suspend timers while locked: re-render as soon as we're visible again
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) renderClock();
+    });
+
     // Presets
     elements.savePresetBtn.addEventListener('click', handleSavePreset);
+    elements.exportPresetsBtn.addEventListener('click', () => {
+        const presets = getPresets();
+        if (presets.length > 0) downloadPresets(presets, 'poker-presets.json');
+    });
+    elements.importPresetsBtn.addEventListener('click', () => elements.importPresetsFile.click());
+    elements.importPresetsFile.addEventListener('change', handleImportPresets);
+
+    // Backup & recovery
+    elements.backupBtn.addEventListener('click', () => {
+        downloadFile(createBackup(), `poker-chip-calculator-backup-${new Date().toISOString().slice(0, 10)}.json`);
+    });
+    elements.restoreBtn.addEventListener('click', () => elements.restoreFile.click());
+    elements.restoreFile.addEventListener('change', handleRestoreBackup);
+
+    // Table sync
+    elements.syncHostBtn.addEventListener('click', () => startTableSync('host'));
+    elements.syncJoinBtn.addEventListener('click', () => startTableSync('join'));
+    elements.syncLeaveBtn.addEventListener('click', stopTableSync);
+    addStorageListener(name => {
+        if (!tableSync) return;
+        if (name === 'chips') tableSync.update('chips', chips);
+        if (name === 'gameSettings') tableSync.update('gameSettings', gameSettings);
+        if (name === 'presets') tableSync.update('presets', getPresets());
+    });
+}
+
+// ===== Language =====
+function translatePage() {
+    document.documentElement.lang = getLanguage();
+    document.title = t('app.title');
+    applyTranslations();
+}
+
+function handleLanguageChange() {
+    setLanguage(elements.language.value);
+    saveLanguage(getLanguage());
+    translatePage();
+
+    // Re-render everything built from messages; results are in the old language, so hide them
+    updateBlindsModeUI();
+    renderChipList();
+    renderChipSetList();
+    renderPresetList();
+    renderClock();
+    renderLedger();
+    renderStats();
+    renderQuarantine();
+    renderStorageStatus();
+    renderSyncStatus();
+    elements.resultsSection.classList.add('hidden');
+    lastResult = null;
+    lastBankReport = null;
 }
 
 // ===== Game Settings =====
 function updateGameSettingsUI() {
-    elements.buyIn.value = gameSettings.buyIn.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    updateCurrencyUI();
+    elements.buyIn.value = formatNumber(gameSettings.buyIn);
     elements.players.value = gameSettings.players;
     elements.smallBlind.value = gameSettings.smallBlind;
     elements.bigBlind.value = gameSettings.bigBlind;
+    elements.gameType.value = gameSettings.gameType;
+    elements.chipValueMode.value = gameSettings.valueMode;
+    elements.distributionMode.value = gameSettings.distributionMode;
+    elements.startingStack.value = gameSettings.tournament.startingStack;
+    elements.levelMinutes.value = gameSettings.tournament.levelMinutes;
+    elements.durationMinutes.value = gameSettings.tournament.durationMinutes;
+    elements.shortSeats.value = gameSettings.rebuys.shortSeats;
+    elements.shortBuyIn.value = gameSettings.rebuys.shortBuyIn;
+    elements.rebuyAmount.value = gameSettings.rebuys.rebuyAmount;
+    elements.addOnAmount.value = gameSettings.rebuys.addOnAmount;
+    elements.expectedRebuys.value = gameSettings.rebuys.expectedRebuys;
+    elements.denominationSeries.value = gameSettings.denominations.series;
+    elements.customDenominations.value = gameSettings.denominations.customValues.join(', ');
+    elements.maxJump.value = gameSettings.denominations.maxJump;
+    elements.minChipValue.value = gameSettings.denominations.minValue;
+    elements.integersOnly.checked = gameSettings.denominations.integersOnly;
+    updateGameTypeUI();
+}
+
+function updateGameTypeUI() {
+    // Tournament blinds come from the level schedule, not the cash blind inputs
+    const isTournament = gameSettings.gameType === 'tournament';
+    elements.tournamentSettings.classList.toggle('hidden', !isTournament);
+    elements.cashOnly.forEach(el => el.classList.toggle('hidden', isTournament));
+    elements.customDenominationsGroup.classList.toggle('hidden', gameSettings.denominations.series !== 'custom');
+}
+
+function updateBlindsModeUI() {
+    // Auto blinds follow the buy-in, so the inputs are only editable in custom mode
+    elements.smallBlind.disabled = blindsAutoMode;
+    elements.bigBlind.disabled = blindsAutoMode;
+    elements.customizeBlindsBtn.textContent = blindsAutoMode ? t('setup.customizeBlinds') : t('setup.autoBlinds');
 }
 
-const parseFormattedNumber = (val) => parseFloat(val.replace(/,/g, '')) || 0;
+function updateCurrencyUI() {
+    // Everything formatted after this uses the game's currency and locale
+    setCurrencySettings(gameSettings.currency);
+    elements.currency.value = gameSettings.currency.currency;
+    elements.locale.value = gameSettings.currency.locale;
+
+    const symbol = getCurrencySymbol();
+    elements.inputPrefixes.forEach(prefix => {
+        prefix.textContent = symbol;
+        prefix.classList.toggle('wide', symbol.length > 1);
+    });
+}
 
 function handleGameSettingsChange() {
     gameSettings = {
-        buyIn: parseFormattedNumber(elements.buyIn.value) || 50,
+        buyIn: parseMoney(elements.buyIn.value) || 50,
         players: parseInt(elements.players.value) || 6,
         smallBlind: parseFloat(elements.smallBlind.value) || 0.50,
-        bigBlind: parseFloat(elements.bigBlind.value) || 1
+        bigBlind: parseFloat(elements.bigBlind.value) || 1,
+        gameType: elements.gameType.value,
+        valueMode: elements.chipValueMode.value,
+        distributionMode: elements.distributionMode.value,
+        tournament: {
+            startingStack: parseInt(elements.startingStack.value) || 10000,
+            durationMinutes: parseInt(elements.durationMinutes.value) || 240,
+            levelMinutes: parseInt(elements.levelMinutes.value) || 20
+        },
+        rebuys: {
+            shortSeats: parseInt(elements.shortSeats.value) || 0,
+            shortBuyIn: parseFloat(elements.shortBuyIn.value) || 0,
+            rebuyAmount: parseFloat(elements.rebuyAmount.value) || 0,
+            addOnAmount: parseFloat(elements.addOnAmount.value) || 0,
+            expectedRebuys: parseInt(elements.expectedRebuys.value) || 0
+        },
+        denominations: {
+            series: elements.denominationSeries.value,
+            customValues: elements.customDenominations.value
+                .split(',')
+                .map(v => parseFloat(v))
+                .filter(v => v > 0),
+            maxJump: parseFloat(elements.maxJump.value) || 5,
+            minValue: parseFloat(elements.minChipValue.value) || 0,
+            integersOnly: elements.integersOnly.checked
+        },
+        currency: {
+            currency: elements.currency.value,
+            locale: elements.locale.value
+        }
     };
     saveGameSettings(gameSettings);
+    updateGameTypeUI();
 
     // Hide results when settings change
     elements.resultsSection.classList.add('hidden');
+    lastResult = null;
+    lastBankReport = null;
+    renderColorUpForm();
+    renderBetting();
+}
+
+function handleCurrencyChange() {
+    // Buy-in is parsed with the old locale, then re-rendered with the new one
+    handleGameSettingsChange();
+    updateGameSettingsUI();
+    renderChipList();
+    renderPresetList();
+    renderClock();
+    renderLedger();
+    renderStats();
 }
 
 function handleBuyInFormat(e) {
-    let cursor = e.target.selectionStart;
-    let val = e.target.value.replace(/,/g, '');
-    let num = parseFloat(val);
+    const { group, decimal } = getNumberSeparators();
+    let val = e.target.value.split(group).join('');
+    let num = parseFloat(val.replace(decimal, '.'));
     if (!isNaN(num)) {
-        // Format with commas, keep decimals if necessary
-        const parts = val.split('.');
-        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-        e.target.value = parts.join('.');
+        // Format with the locale's grouping, keep decimals if necessary
+        const parts = val.split(decimal);
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, group);
+        e.target.value = parts.join(decimal);
     }
 }
 
 function handleBuyInChange() {
     const rawValue = elements.buyIn.value;
-    const buyIn = parseFormattedNumber(rawValue) || 50;
+    const buyIn = parseMoney(rawValue) || 50;
 
     // Re-format on blur/change just in case
-    elements.buyIn.value = buyIn.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    elements.buyIn.value = formatNumber(buyIn);
 
     // Auto-suggest optimal blinds based on buy-in (only if in auto mode)
     if (blindsAutoMode) {
-        const suggested = suggestBlinds(buyIn);
+        const suggested = suggestBlinds(buyIn, gameSettings.denominations);
         elements.smallBlind.value = suggested.smallBlind;
         elements.bigBlind.value = suggested.bigBlind;
     }
@@ -169,6 +655,12 @@ function handleBuyInChange() {
     handleGameSettingsChange();
 }
 
+function handleDenominationChange() {
+    // Store the new series first so the auto blinds are suggested from it
+    handleGameSettingsChange();
+    handleBuyInChange();
+}
+
 function handleSmallBlindChange() {
     // User manually edited blinds - disable auto mode
     blindsAutoMode = false;
@@ -190,24 +682,49 @@ function handleBigBlindChange() {
 
 
 // ===== Chip List =====
+/**
+ * Class and inline style for a chip icon, with edge spots or stripes for two-tone chips
+ * @param {Object} chip - Chip (color, optional edgeColor and edgeStyle)
+ * @returns {{className: string, style: string}}
+ */
+function chipIconLook(chip) {
+    if (!chip.edgeColor) {
+        return { className: 'chip-icon', style: `background-color: ${chip.color}` };
+    }
+    return {
+        className: `chip-icon edge-${chip.edgeStyle || 'spots'}`,
+        style: `--chip-color: ${chip.color}; --chip-edge: ${chip.edgeColor}`
+    };
+}
+
+function chipIcon(chip, tag = 'div') {
+    const { className, style } = chipIconLook(chip);
+    return `<${tag} class="${className}" style="${escapeHtml(style)}"></${tag}>`;
+}
+
 function renderChipList() {
     if (chips.length === 0) {
         elements.chipList.innerHTML = `
       <div class="preset-empty">
-        No chips added yet. Click + to add chip types.
+        ${t('inventory.empty')}
       </div>
     `;
+        renderColorUpForm();
+        renderBetting();
+        renderChangeForm();
         return;
     }
 
+    const setNames = new Map(getChipSets().map(set => [set.id, set.name]));
+
     elements.chipList.innerHTML = chips.map(chip => `
-    <div class="chip-item" data-id="${chip.id}">
-      <div class="chip-icon" style="background-color: ${chip.color}"></div>
+    <div class="chip-item" data-id="${escapeHtml(chip.id)}">
+      ${chipIcon(chip)}
       <div class="chip-details">
-        <span class="chip-name">${chip.name}</span>
-        <span class="chip-info">${chip.quantity} chips • <span class="chip-value">${formatCurrency(chip.value)}</span></span>
+        <span class="chip-name">${escapeHtml(chip.name)}</span>
+        <span class="chip-info">${t('common.chips', { count: chip.quantity })} • <span class="chip-value">${formatCurrency(chip.value)}</span>${chip.locked ? ` <span class="chip-locked" title="${t('inventory.fixedValue')}">🔒</span>` : ''}${setNames.has(chip.setId) ? ` • ${escapeHtml(setNames.get(chip.setId))}` : ''}</span>
       </div>
-      <button class="btn-delete" data-id="${chip.id}" title="Remove">
+      <button class="btn-delete" data-id="${escapeHtml(chip.id)}" title="${t('common.remove')}">
         <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
           <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
         </svg>
@@ -236,68 +753,141 @@ function renderChipList() {
             elements.resultsSection.classList.add('hidden');
         });
     });
+
+    renderColorUpForm();
+    renderBetting();
+    renderChangeForm();
 }
 
 // ===== Chip Modal (Add/Edit) =====
 function openAddChipModal() {
     editingChipId = null;
-    elements.chipModalTitle.textContent = 'Add Chip Type';
-    elements.confirmAddChip.textContent = 'Add Chip';
-    elements.newChipColor.value = '#FFFFFF';
-    elements.newChipColor.disabled = false;
+    elements.chipModalTitle.textContent = t('modal.addTitle');
+    elements.confirmAddChip.textContent = t('modal.addButton');
+    elements.newChipColor.value = '#ffffff';
+    elements.newChipName.value = t('colors.white');
+    elements.newChipEdgeStyle.value = '';
+    elements.newChipEdgeColor.value = '#ffffff';
     elements.newChipQuantity.value = 100;
     elements.newChipValue.value = '';
+    elements.newChipLocked.checked = false;
+    renderChipSetSelect(null);
+    elements.newChipSet.disabled = false;
+    renderChipPreview();
     elements.addChipModal.classList.remove('hidden');
 }
 
 function openEditChipModal(chip) {
     editingChipId = chip.id;
-    elements.chipModalTitle.textContent = `Edit ${chip.name} Chip`;
-    elements.confirmAddChip.textContent = 'Save Changes';
-    elements.newChipColor.value = chip.color;
-    elements.newChipColor.disabled = true; // Can't change color when editing
+    elements.chipModalTitle.textContent = t('modal.editTitle', { name: chip.name });
+    elements.confirmAddChip.textContent = t('modal.saveButton');
+    elements.newChipColor.value = chip.color.toLowerCase();
+    elements.newChipName.value = chip.name;
+    elements.newChipEdgeStyle.value = chip.edgeColor ? chip.edgeStyle || 'spots' : '';
+    elements.newChipEdgeColor.value = (chip.edgeColor || '#ffffff').toLowerCase();
     elements.newChipQuantity.value = chip.quantity;
     elements.newChipValue.value = chip.value;
+    elements.newChipLocked.checked = !!chip.locked;
+    renderChipSetSelect(chip.setId || null);
+    elements.newChipSet.disabled = true; // Chips stay in their set
+    renderChipPreview();
     elements.addChipModal.classList.remove('hidden');
 }
 
+/**
+ * Read the color fields of the chip modal
+ * @returns {{color: string, edgeColor?: string, edgeStyle?: string}}
+ */
+function readChipLook() {
+    const edgeStyle = elements.newChipEdgeStyle.value;
+    return {
+        color: elements.newChipColor.value,
+        ...(edgeStyle ? { edgeColor: elements.newChipEdgeColor.value, edgeStyle } : {})
+    };
+}
+
+function renderChipPreview() {
+    const look = readChipLook();
+    elements.newChipEdgeColor.classList.toggle('hidden', !look.edgeColor);
+    const { className, style } = chipIconLook(look);
+    elements.newChipPreview.className = className;
+    elements.newChipPreview.style.cssText = style;
+}
+
+function renderChipSetSelect(selectedId) {
+    // Only sets already in the inventory can get more chips
+    const inUse = new Set(chips.map(c => c.setId).filter(Boolean));
+    const sets = getChipSets().filter(set => inUse.has(set.id));
+
+    elements.newChipSetGroup.classList.toggle('hidden', sets.length === 0);
+    elements.newChipSet.innerHTML = [
+        `<option value="">${t('modal.noSet')}</option>`,
+        ...sets.map(set => `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`)
+    ].join('');
+    elements.newChipSet.value = selectedId && sets.some(s => s.id === selectedId) ? selectedId : '';
+}
+
 function closeAddChipModal() {
     elements.addChipModal.classList.add('hidden');
     editingChipId = null;
 }
 
 function handleSaveChip() {
-    const colorOption = elements.newChipColor.selectedOptions[0];
-    const color = elements.newChipColor.value;
-    const name = colorOption.dataset.name;
+    const name = elements.newChipName.value.trim();
+    if (!name) {
+        elements.newChipName.focus();
+        elements.newChipName.style.borderColor = 'var(--color-error)';
+        setTimeout(() => {
+            elements.newChipName.style.borderColor = '';
+        }, 2000);
+        return;
+    }
+
+    const look = readChipLook();
     const quantity = parseInt(elements.newChipQuantity.value) || 100;
     const value = parseFloat(elements.newChipValue.value) || 0;
+    const locked = elements.newChipLocked.checked;
+    const setId = elements.newChipSet.value || null;
 
     if (editingChipId) {
         // Edit existing chip
         const chip = chips.find(c => c.id === editingChipId);
         if (chip) {
+            chip.color = look.color;
+            chip.name = name;
+            delete chip.edgeColor;
+            delete chip.edgeStyle;
+            Object.assign(chip, look);
             chip.quantity = quantity;
             chip.value = value > 0 ? value : chip.value; // Keep old value if not specified
+            chip.locked = locked;
         }
     } else {
         // Add new chip
         const id = Date.now().toString();
 
-        // Check if color already exists
-        const existingIndex = chips.findIndex(c => c.color === color);
+        // Check if the same-looking chip already exists in the same set (sets may share colors)
+        const sameLook = c => c.color.toLowerCase() === look.color
+            && (c.edgeColor || '').toLowerCase() === (look.edgeColor || '')
+            && (c.edgeColor ? c.edgeStyle || 'spots' : '') === (look.edgeStyle || '');
+        const existingIndex = chips.findIndex(c => sameLook(c) && (c.setId || null) === setId);
         if (existingIndex >= 0) {
             // Update existing
+            chips[existingIndex].name = name;
             chips[existingIndex].quantity = quantity;
             if (value > 0) chips[existingIndex].value = value;
+            chips[existingIndex].locked = locked;
         } else {
-            // Add new
+            // Add new; a name another set already uses gets the set name added
+            const setName = setId && getChipSets().find(s => s.id === setId)?.name;
             chips.push({
                 id,
-                color,
-                name,
+                ...look,
+                name: setName && chips.some(c => c.name === name) ? `${name} (${setName})` : name,
                 quantity,
-                value: value > 0 ? value : 1
+                value: value > 0 ? value : 1,
+                locked,
+                ...(setId ? { setId } : {})
             });
         }
     }
@@ -311,84 +901,1028 @@ function handleSaveChip() {
     elements.resultsSection.classList.add('hidden');
 }
 
+// ===== Chip Sets =====
+function renderChipSetList() {
+    const sets = getChipSets();
+
+    if (sets.length === 0) {
+        elements.chipSetList.innerHTML = `
+      <div class="preset-empty">${t('chipSets.empty')}</div>
+    `;
+        return;
+    }
+
+    // Tick the sets the inventory was built from
+    const inUse = new Set(chips.map(c => c.setId).filter(Boolean));
+
+    elements.chipSetList.innerHTML = sets.map(set => {
+        const { colors, chips: count, printed } = describeChipSet(set);
+        return `
+    <label class="preset-item chip-set-item">
+      <input type="checkbox" value="${escapeHtml(set.id)}" ${inUse.has(set.id) ? 'checked' : ''}>
+      <div>
+        <div class="preset-name">${escapeHtml(set.name)}</div>
+        <div class="preset-chips">${t('common.chips', { count })} • ${t('chipSets.colors', { count: colors })}${printed ? ` • ${t('chipSets.printed')}` : ''}</div>
+      </div>
+      <button class="btn-delete" data-id="${escapeHtml(set.id)}" title="${t('common.delete')}" type="button">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+          <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </label>
+  `;
+    }).join('');
+
+    elements.chipSetList.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault(); // Don't toggle the checkbox
+            deleteChipSet(btn.dataset.id);
+            renderChipSetList();
+            renderChipList();
+        });
+    });
+}
+
+function handleSaveChipSet() {
+    const name = elements.chipSetName.value.trim();
+    if (!name || chips.length === 0) {
+        elements.chipSetName.focus();
+        return;
+    }
+
+    saveChipSet(createChipSet(name, chips));
+    const saved = getChipSets().find(s => s.name === name);
+
+    // The inventory now comes from this set (same chips, same values)
+    chips = combineChipSets([saved], chips.map((c, i) => ({ ...c, id: `${saved.id}-${i + 1}` })));
+    saveChips(chips);
+    elements.chipSetName.value = '';
+    renderChipList();
+    renderChipSetList();
+}
+
+function handleUseChipSets() {
+    const selected = [...elements.chipSetList.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+    const sets = getChipSets().filter(set => selected.includes(set.id));
+    if (sets.length === 0) {
+        alert(t('chipSets.tickOne'));
+        return;
+    }
+
+    chips = combineChipSets(sets, chips);
+    saveChips(chips);
+    renderChipList();
+    renderChipSetList();
+    elements.resultsSection.classList.add('hidden');
+}
+
 // ===== Calculate Distribution =====
+function applyChipValues(suggestedValues) {
+    // Locked chips and the value mode decide which suggestions are used
+    const { chips: updated, changes } = assignChipValues(chips, suggestedValues, gameSettings.valueMode);
+    chips = updated;
+    saveChips(chips);
+    renderChipList();
+
+    return changes.map(c => t('results.valueChanged', c));
+}
+
 function handleCalculate() {
+    if (gameSettings.gameType === 'tournament') {
+        handleCalculateTournament();
+        return;
+    }
+
     try {
-        // Auto-apply optimal chip values before calculating
-        if (chips.length > 0) {
-            // Suggest optimal chip values
-            const suggestedValues = suggestChipValues(gameSettings.smallBlind, gameSettings.buyIn, chips.length);
-            const sortedChips = [...chips].sort((a, b) => a.value - b.value);
-
-            sortedChips.forEach((chip, index) => {
-                if (index < suggestedValues.length) {
-                    const originalChip = chips.find(c => c.id === chip.id);
-                    if (originalChip) {
-                        originalChip.value = suggestedValues[index];
-                    }
-                }
-            });
+        // Apply suggested chip values (per the value mode) before calculating
+        const notes = chips.length > 0
+            ? applyChipValues(suggestChipValues(gameSettings.smallBlind, gameSettings.buyIn, chips.length, gameSettings.denominations))
+            : [];
+        const validation = validateChipValues(gameSettings.smallBlind, gameSettings.buyIn, chips, gameSettings.denominations);
 
-            chips.sort((a, b) => a.value - b.value);
-            saveChips(chips);
-            renderChipList();
-        }
+        // Short-stacked seats sit down with the short buy-in, everyone else the full one
+        const { shortSeats, shortBuyIn, rebuyAmount, addOnAmount, expectedRebuys } = gameSettings.rebuys;
+        const numShort = shortBuyIn > 0 ? Math.min(shortSeats, gameSettings.players) : 0;
+        const buyIns = Array.from({ length: gameSettings.players }, (_, i) =>
+            i < gameSettings.players - numShort ? gameSettings.buyIn : shortBuyIn
+        );
 
-        const result = calculateDistribution({
-            buyIn: gameSettings.buyIn,
+        const plan = calculateBuyInPlan({
+            buyIns,
             smallBlind: gameSettings.smallBlind,
             bigBlind: gameSettings.bigBlind,
+            chips,
+            rebuy: rebuyAmount > 0 ? { amount: rebuyAmount } : null,
+            addOn: addOnAmount > 0 ? { amount: addOnAmount } : null,
+            expectedRebuys,
+            expectedAddOns: addOnAmount > 0 ? gameSettings.players : 0,
+            mode: gameSettings.distributionMode,
+            trace: true,
+            denominations: gameSettings.denominations
+        });
+
+        const mainStack = plan.stacks.find(s => s.amount === gameSettings.buyIn) || plan.stacks[0];
+        // The plan counts chips for every stack, so its shortages go first
+        const diagnostics = mergeDiagnostics(plan.diagnostics, mainStack.diagnostics, validation.diagnostics);
+        const result = { ...mainStack, diagnostics, warnings: diagnostics.map(d => d.message), remaining: plan.remaining };
+
+        elements.resultsTitle.textContent = t('results.cashTitle');
+        elements.blindSchedule.classList.add('hidden');
+        lastResult = result;
+        renderResults(result, formatCurrency, notes);
+        renderPackages(plan, mainStack);
+        lastBankReport = buildBankReport(chips, plan.stacks.map(stack => ({
+            distribution: stack.distribution,
+            count: stack.players.length,
+            label: t('common.buyIn', { amount: stack.amount })
+        })));
+        renderBankReport(lastBankReport, formatCurrency);
+        tableSync?.update('result', { kind: 'cash', title: elements.resultsTitle.textContent, result, notes });
+        updateColorUpBank();
+    } catch (error) {
+        console.error("Calculation Error:", error);
+        alert(t('results.error', { message: error.message }));
+    }
+}
+
+function handleCalculateTournament() {
+    try {
+        const { startingStack, durationMinutes, levelMinutes } = gameSettings.tournament;
+        const levels = buildBlindSchedule({
+            startingStack,
+            numPlayers: gameSettings.players,
+            durationMinutes,
+            levelMinutes
+        });
+
+        // Chip values are picked so every level can be posted
+        const notes = chips.length > 0
+            ? applyChipValues(suggestTournamentChipValues(levels, startingStack, chips.length))
+            : [];
+
+        const [firstLevel] = levels;
+        const result = calculateDistribution({
+            buyIn: startingStack,
+            smallBlind: firstLevel.smallBlind,
+            bigBlind: firstLevel.bigBlind,
             numPlayers: gameSettings.players,
-            chips
+            chips,
+            mode: gameSettings.distributionMode,
+            trace: true,
+            denominations: gameSettings.denominations
         });
 
-        renderResults(result);
+        // Blinds come from the level schedule, so blind fixes don't apply
+        const diagnostics = result.diagnostics.map(d => d.fix?.type === 'set-blinds' ? { ...d, fix: null } : d);
+        const unpostable = findUnpostableLevels(levels, chips.map(c => c.value));
+        if (unpostable.length > 0) {
+            diagnostics.push(createDiagnostic('levels-not-postable', { values: { levels: unpostable, count: unpostable.length } }));
+        }
+        result.diagnostics = mergeDiagnostics(diagnostics);
+        result.warnings = result.diagnostics.map(d => d.message);
+
+        elements.resultsTitle.textContent = t('results.tournamentTitle', { buyIn: gameSettings.buyIn });
+        lastResult = result;
+        elements.packageList.classList.add('hidden');
+        renderResults(result, formatTournamentChips, notes);
+        lastBankReport = buildBankReport(chips, [{ distribution: result.distribution, count: gameSettings.players }]);
+        renderBankReport(lastBankReport, formatTournamentChips);
+        renderBlindSchedule(levels);
+        tableSync?.update('result', { kind: 'tournament', title: elements.resultsTitle.textContent, result, notes });
+        updateColorUpBank();
     } catch (error) {
         console.error("Calculation Error:", error);
-        alert(`An error occurred during calculation: ${error.message}`);
+        alert(t('results.error', { message: error.message }));
     }
 }
 
-function renderResults({ distribution, totalValue, totalChips, isValid, warnings }) {
+function renderBlindSchedule(levels) {
+    elements.blindSchedule.classList.remove('hidden');
+    elements.blindSchedule.innerHTML = `
+    <h3 class="blind-schedule-title">${t('clock.levelsTitle')}</h3>
+    <table class="blind-table">
+      <thead>
+        <tr><th>${t('clock.lvl')}</th><th>${t('clock.blinds')}</th><th>${t('clock.ante')}</th><th>${t('clock.startsAt')}</th></tr>
+      </thead>
+      <tbody>
+        ${levels.map(level => `
+        <tr>
+          <td>${level.level}</td>
+          <td>${formatTournamentChips(level.smallBlind)} / ${formatTournamentChips(level.bigBlind)}</td>
+          <td>${level.ante ? formatTournamentChips(level.ante) : '–'}</td>
+          <td>${Math.floor(level.startsAt / 60)}:${String(level.startsAt % 60).padStart(2, '0')}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderResults({ distribution, totalValue, totalChips, isValid, warnings, diagnostics, trace }, formatValue = formatCurrency, notes = []) {
     // Show results section
     elements.resultsSection.classList.remove('hidden');
 
     // Render distribution
+    elements.distributionList.innerHTML = renderDistributionItems(distribution, formatValue);
+
+    // Render total with chip count
+    const validClass = isValid ? 'valid' : 'invalid';
+    elements.resultsTotal.className = `results-total ${validClass}`;
+    const totalLabel = escapeHtml(totalChips ? t('results.totalChips', { count: Number(totalChips) }) : t('results.total'));
+    elements.resultsTotal.innerHTML = `
+    <span>${totalLabel}:</span>
+    <span>${formatValue(totalValue)} ${isValid ? '✓' : '⚠️'}</span>
+  `;
+
+    // Results synced from an older version only have plain warnings; known codes
+    // are described again, in this device's language and the result's units
+    const items = (diagnostics || warnings.map(message => ({ severity: 'warning', message, fix: null })))
+        .map((d, index) => ({ ...d, index, message: DIAGNOSTIC_CODES[d.code] ? describeDiagnostic(d, formatValue) : d.message }));
+    const fixButton = ({ fix, index }) => isValidFix(fix, chips)
+        ? `<button class="btn-link fix-btn" data-fix="${index}" type="button">${escapeHtml(describeFix(fix, chips, formatValue))}</button>`
+        : '';
+
+    // Render errors and warnings
+    elements.resultsWarnings.innerHTML = items.filter(d => d.severity !== 'info').map(d => `
+      <div class="warning-item ${escapeHtml(d.severity)}"><span>${d.severity === 'error' ? '⛔' : '⚠️'} ${escapeHtml(d.message)}</span>${fixButton(d)}</div>
+    `).join('');
+
+    // Render chip value changes and suggestions
+    elements.resultsNotes.innerHTML = [
+        ...notes.map(n => `
+      <div class="note-item"><span>💡 ${escapeHtml(n)}</span></div>
+    `),
+        ...items.filter(d => d.severity === 'info').map(d => `
+      <div class="note-item"><span>💡 ${escapeHtml(d.message)}</span>${fixButton(d)}</div>
+    `)
+    ].join('');
+
+    // Why this split? (results synced from an older version have no trace)
+    elements.tracePanel.classList.toggle('hidden', !trace?.length);
+    elements.traceList.innerHTML = (trace || []).map(entry => `
+      <li class="trace-step trace-${escapeHtml(entry.step)}">${escapeHtml(describeTraceStep(entry, formatValue))}</li>
+    `).join('');
+
+    // Scroll to results
+    elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function handleApplyFix(fix) {
+    if (!isValidFix(fix, chips)) return;
+    ({ chips, gameSettings } = applyFix(fix, { chips, gameSettings }));
+    if (fix.type === 'set-blinds') {
+        // Fixed blinds are custom blinds: they stay put when the buy-in changes
+        blindsAutoMode = false;
+        updateBlindsModeUI();
+    }
+
+    saveChips(chips);
+    saveGameSettings(gameSettings);
+    updateGameSettingsUI();
+    renderChipList();
+    handleCalculate();
+}
+
+function renderDistributionItems(distribution, formatValue = formatCurrency) {
     if (distribution.length === 0) {
-        elements.distributionList.innerHTML = `
-      <div class="preset-empty">No chips available for distribution</div>
+        return `
+      <div class="preset-empty">${t('results.noDistribution')}</div>
     `;
-    } else {
-        elements.distributionList.innerHTML = distribution.map(item => `
+    }
+
+    return distribution.map(item => `
       <div class="distribution-item">
-        <div class="chip-icon" style="background-color: ${item.color}"></div>
-        <span class="distribution-quantity">${item.quantity}</span>
-        <span class="distribution-math">× ${formatCurrency(item.value)}</span>
-        <span class="distribution-subtotal">= ${formatCurrency(item.subtotal)}</span>
+        ${chipIcon(item)}
+        <span class="distribution-quantity">${Number(item.quantity)}</span>
+        <span class="distribution-math">× ${formatValue(item.value)}</span>
+        <span class="distribution-subtotal">= ${formatValue(item.subtotal)}</span>
       </div>
     `).join('');
+}
+
+function renderBankReport({ rows, pulledValue, reserveValue, steps, warnings }, formatValue = formatCurrency) {
+    elements.bankReport.classList.remove('hidden');
+    elements.bankReportBody.innerHTML = `
+    <table class="bank-table">
+      <thead>
+        <tr><th>${t('bank.chip')}</th><th>${t('bank.owned')}</th><th>${t('bank.pulled')}</th><th>${t('bank.left')}</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+        <tr>
+          <td>${chipIcon(row, 'span')}${escapeHtml(row.name)}</td>
+          <td>${row.owned}</td>
+          <td>${row.pulled}</td>
+          <td class="${row.left < 0 ? 'short' : ''}">${row.left}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    <div class="bank-totals">
+      <span>${t('bank.onTable', { amount: formatValue(pulledValue) })}</span>
+      <span>${t('bank.inReserve', { amount: formatValue(reserveValue) })}</span>
+    </div>
+    <ol class="stack-steps">
+      ${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+    </ol>
+    ${warnings.map(w => `<div class="warning-item">⚠️ ${escapeHtml(w)}</div>`).join('')}
+  `;
+}
+
+function renderPackages(plan, mainStack) {
+    // Other starting stacks, then rebuy and add-on packages
+    const blocks = plan.stacks
+        .filter(stack => stack !== mainStack)
+        .map(stack => ({
+            title: t('packages.shortBuyIn', { amount: stack.amount }),
+            info: t('common.players', { count: stack.players.length }),
+            result: stack
+        }));
+
+    if (plan.rebuy) {
+        blocks.push({ title: t('packages.rebuy', { amount: plan.rebuy.amount }), info: t('common.chips', { count: plan.rebuy.totalChips }), result: plan.rebuy });
+    }
+    if (plan.addOn) {
+        blocks.push({ title: t('packages.addOn', { amount: plan.addOn.amount }), info: t('common.chips', { count: plan.addOn.totalChips }), result: plan.addOn });
     }
 
-    // Render total with chip count
-    const validClass = isValid ? 'valid' : 'invalid';
-    elements.resultsTotal.className = `results-total ${validClass}`;
-    const chipCountInfo = totalChips ? ` (${totalChips} chips)` : '';
-    elements.resultsTotal.innerHTML = `
-    <span>Total${chipCountInfo}:</span>
-    <span>${formatCurrency(totalValue)} ${isValid ? '✓' : '⚠️'}</span>
+    elements.packageList.classList.remove('hidden');
+    elements.packageList.innerHTML = `
+    ${blocks.map(block => `
+      <div class="package">
+        <div class="package-title"><span>${block.title}</span><span>${block.info}</span></div>
+        <div class="distribution-list">${renderDistributionItems(block.result.distribution)}</div>
+      </div>
+    `).join('')}
+    <div class="bank-coverage">
+      ${t('packages.rebuysCovered', { count: plan.rebuysCovered })}${plan.addOn ? ` • ${t('packages.addOnsCovered', { count: plan.addOnsCovered })}` : ''}
+    </div>
   `;
+}
 
-    // Render warnings
-    if (warnings.length > 0) {
-        elements.resultsWarnings.innerHTML = warnings.map(w => `
-      <div class="warning-item">⚠️ ${w}</div>
-    `).join('');
+// ===== Game Sheet =====
+function printGameSheet() {
+    if (!lastResult) return;
+    elements.gameSheet.innerHTML = renderGameSheet();
+    window.print();
+}
+
+/**
+ * One-page sheet for game night: blinds, chip values, the per-player stack,
+ * the bank summary and a blank ledger. Built from the last calculation.
+ * @returns {string} - Sheet markup
+ */
+function renderGameSheet() {
+    const isTournament = gameSettings.gameType === 'tournament';
+    const formatValue = isTournament ? formatTournamentChips : formatCurrency;
+    const { distribution, totalValue, totalChips } = lastResult;
+    const perPlayer = new Map(distribution.map(item => [item.id, item]));
+
+    const gameLine = isTournament
+        ? t('sheet.tournamentLine', { buyIn: gameSettings.buyIn, stack: formatTournamentChips(gameSettings.tournament.startingStack) })
+        : t('sheet.cashLine', gameSettings);
+
+    // Open ledger session names first, then blank lines up to the player count
+    const names = session ? session.players.map(p => p.name) : [];
+    const ledgerRows = Math.max(gameSettings.players, names.length);
+
+    let levelNumber = 0;
+    const levelRows = clock.levels.map(level => {
+        if (level.type === 'break') {
+            return `<tr class="sheet-break"><td></td><td>${t('clock.break')}</td><td></td><td class="num">${t('clock.minutes', { count: level.minutes })}</td></tr>`;
+        }
+        levelNumber++;
+        return `
+        <tr>
+          <td>${levelNumber}</td>
+          <td>${formatBlindAmount(level.smallBlind)} / ${formatBlindAmount(level.bigBlind)}</td>
+          <td>${level.ante ? formatBlindAmount(level.ante) : '–'}</td>
+          <td class="num">${t('clock.minutes', { count: level.minutes })}</td>
+        </tr>`;
+    }).join('');
+
+    const bankSection = lastBankReport ? `
+      <div class="sheet-section">
+        <h2>${t('sheet.bank')}</h2>
+        <table class="sheet-table">
+          <thead><tr><th>${t('bank.chip')}</th><th>${t('bank.owned')}</th><th>${t('bank.pulled')}</th><th>${t('bank.left')}</th></tr></thead>
+          <tbody>
+            ${lastBankReport.rows.map(row => `
+            <tr>
+              <td>${chipIcon(row, 'span')}${escapeHtml(row.name)}</td>
+              <td class="num">${row.owned}</td>
+              <td class="num">${row.pulled}</td>
+              <td class="num">${row.left}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        <p>${t('sheet.bankTotals', { pulled: formatValue(lastBankReport.pulledValue), reserve: formatValue(lastBankReport.reserveValue) })}</p>
+      </div>` : '';
+
+    return `
+    <header class="sheet-header">
+      <h1>${escapeHtml(activePresetName || t('sheet.defaultTitle'))} • ${new Date().toLocaleDateString(getCurrencySettings().locale)}</h1>
+      <div>${gameLine} • ${t('common.players', { count: gameSettings.players })}</div>
+    </header>
+    <div class="sheet-columns">
+      <div>
+        <div class="sheet-section">
+          <h2>${t('sheet.chipsTitle')}</h2>
+          <table class="sheet-table">
+            <thead><tr><th>${t('bank.chip')}</th><th>${t('sheet.value')}</th><th>${t('sheet.perPlayer')}</th><th>${t('sheet.subtotal')}</th></tr></thead>
+            <tbody>
+              ${chips.map(chip => `
+              <tr>
+                <td>${chipIcon(chip, 'span')}${escapeHtml(chip.name)}</td>
+                <td class="num">${formatValue(chip.value)}</td>
+                <td class="num">${Number(perPlayer.get(chip.id)?.quantity || 0)}</td>
+                <td class="num">${formatValue(perPlayer.get(chip.id)?.subtotal || 0)}</td>
+              </tr>`).join('')}
+            </tbody>
+            <tfoot>
+              <tr><th>${t('results.total')}</th><th></th><th class="num">${Number(totalChips || 0)}</th><th class="num">${formatValue(totalValue)}</th></tr>
+            </tfoot>
+          </table>
+        </div>
+        ${bankSection}
+      </div>
+      <div class="sheet-section">
+        <h2>${t('sheet.blindStructure')}</h2>
+        <table class="sheet-table">
+          <thead><tr><th>${t('clock.lvl')}</th><th>${t('clock.blinds')}</th><th>${t('clock.ante')}</th><th>${t('sheet.length')}</th></tr></thead>
+          <tbody>${levelRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <div class="sheet-section">
+      <h2>${t('sheet.ledger')}</h2>
+      <table class="sheet-table sheet-ledger">
+        <thead><tr><th>${t('sheet.player')}</th><th>${t('sheet.buyIn')}</th><th>${t('sheet.rebuys')}</th><th>${t('sheet.addOn')}</th><th>${t('sheet.cashOut')}</th><th>${t('sheet.net')}</th></tr></thead>
+        <tbody>
+          ${Array.from({ length: ledgerRows }, (_, i) => `
+          <tr><td>${escapeHtml(names[i] || '')}</td><td></td><td></td><td></td><td></td><td></td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// ===== Betting Helper =====
+/**
+ * Blinds in play: the running clock level in a tournament, the game's blinds otherwise
+ * @returns {{smallBlind: number, bigBlind: number}}
+ */
+function getCurrentBlinds() {
+    const level = clock?.levels[clock.index];
+    if (gameSettings.gameType === 'tournament' && level?.type === 'level') {
+        return { smallBlind: level.smallBlind, bigBlind: level.bigBlind };
+    }
+    return { smallBlind: gameSettings.smallBlind, bigBlind: gameSettings.bigBlind };
+}
+
+function renderBetting() {
+    const total = target => Math.round(betting.entries
+        .filter(e => e.target === target)
+        .reduce((sum, e) => sum + e.amount, 0) * 100) / 100;
+    const pot = total('pot');
+    const toCall = total('toCall');
+    // Without a raise entered, the bet to call is the last increment (a plain bet, or the big blind preflop)
+    const lastRaise = total('lastRaise') || toCall;
+
+    elements.betTargets.forEach(btn => btn.classList.toggle('active', btn.dataset.target === betting.target));
+    elements.betPotTotal.textContent = formatBlindAmount(pot);
+    elements.betCallTotal.textContent = formatBlindAmount(toCall);
+    elements.betRaiseTotal.textContent = formatBlindAmount(lastRaise);
+
+    elements.betChipPad.innerHTML = chips.map(chip => `
+    <button class="bet-chip" data-value="${chip.value}" type="button" title="${escapeHtml(chip.name)}">
+      ${chipIcon(chip, 'span')}
+      <span>${formatBlindAmount(chip.value)}</span>
+    </button>
+  `).join('');
+
+    // Tap a line to count out chips for that bet
+    const { raiseTo } = potLimitMaxRaise(pot, toCall);
+    const minBet = noLimitMinRaise(toCall, getCurrentBlinds().bigBlind, lastRaise);
+    const odds = potOdds(pot, toCall);
+    const isRaise = toCall > 0;
+
+    elements.betSummary.innerHTML = `
+    <button class="bet-line" data-amount="${raiseTo}" type="button">
+      <span>${isRaise ? t('betting.potLimitRaise') : t('betting.potLimitBet')}</span><strong>${formatBlindAmount(raiseTo)}</strong>
+    </button>
+    <button class="bet-line" data-amount="${minBet}" type="button">
+      <span>${isRaise ? t('betting.noLimitRaise') : t('betting.noLimitBet')}</span><strong>${formatBlindAmount(minBet)}</strong>
+    </button>
+    ${toCall > 0 ? `
+    <button class="bet-line" data-amount="${toCall}" type="button">
+      <span>${t('betting.call')}</span><strong>${formatBlindAmount(toCall)}</strong>
+    </button>` : ''}
+    ${odds ? `
+    <div class="bet-line">
+      <span>${t('betting.potOdds', { ratio: odds.ratio.toFixed(1) })}</span><strong>${t('betting.equity', { percent: Math.round(odds.equity * 100) })}</strong>
+    </div>` : ''}
+  `;
+
+    renderBetChips();
+}
+
+function renderBetChips() {
+    const amount = parseFloat(elements.betAmount.value);
+    if (!(amount > 0)) {
+        elements.betChips.innerHTML = '';
+        return;
+    }
+
+    const breakdown = fewestChips(amount, chips);
+    if (!breakdown) {
+        const smallest = Math.min(...chips.map(c => c.value));
+        elements.betChips.innerHTML = `
+      <div class="warning-item">⚠️ ${chips.length > 0
+        ? t('betting.inexactSmallest', { amount: formatBlindAmount(amount), smallest: formatBlindAmount(smallest) })
+        : t('betting.inexact', { amount: formatBlindAmount(amount) })}</div>
+    `;
+        return;
+    }
+
+    elements.betChips.innerHTML = breakdown.map(({ id, count }) => {
+        const chip = chips.find(c => c.id === id);
+        return `<span class="bet-chip-count">${count} × ${chipIcon(chip, 'span')} ${formatBlindAmount(chip.value)}</span>`;
+    }).join('');
+}
+
+// ===== Make Change =====
+/**
+ * Chips still in the case: the inventory minus the last calculation's starting stacks
+ * @returns {Array}
+ */
+function getBankChips() {
+    return chips.map(chip => {
+        const row = lastBankReport?.rows.find(r => r.id === chip.id);
+        return { ...chip, quantity: row ? Math.max(0, row.left) : chip.quantity };
+    });
+}
+
+function renderChangeForm() {
+    // Keep the current choice (including "Other amount") across re-renders
+    const selected = elements.changeChip.options.length > 0 ? elements.changeChip.value : null;
+    elements.changeChip.innerHTML = [
+        ...[...chips].reverse().map(chip => `<option value="${escapeHtml(chip.id)}">${escapeHtml(chip.name)} (${formatBlindAmount(chip.value)})</option>`),
+        `<option value="">${t('change.other')}</option>`
+    ].join('');
+    if ([...elements.changeChip.options].some(o => o.value === selected)) {
+        elements.changeChip.value = selected;
+    }
+    elements.changeAmountGroup.classList.toggle('hidden', elements.changeChip.value !== '');
+}
+
+function handleMakeChange() {
+    const chip = chips.find(c => c.id === elements.changeChip.value);
+    const amount = chip ? chip.value : parseFloat(elements.changeAmount.value);
+    if (!(amount > 0)) {
+        elements.changeAmount.focus();
+        return;
+    }
+
+    const bank = getBankChips();
+    const { change, fewest } = makeChange(amount, bank, { below: chip ? chip.value : Infinity });
+    const renderCounts = breakdown => breakdown.map(({ id, count }) => {
+        const bankChip = bank.find(c => c.id === id);
+        return `<span class="bet-chip-count">${count} × ${chipIcon(bankChip, 'span')} ${formatBlindAmount(bankChip.value)}</span>`;
+    }).join('');
+
+    const what = chip ? `${chip.name} (${formatBlindAmount(amount)})` : formatBlindAmount(amount);
+    const fromBank = lastBankReport ? t('change.fromBank') : t('change.fromCase');
+    elements.changeResults.classList.remove('hidden');
+
+    if (!change) {
+        elements.changeResults.innerHTML = `
+      <div class="warning-item">⚠️ ${escapeHtml(t('change.impossible', { what, from: fromBank }))}</div>
+    `;
+        return;
+    }
+
+    const sameAsFewest = JSON.stringify(change) === JSON.stringify(fewest);
+    elements.changeResults.innerHTML = `
+    <div class="change-title">${escapeHtml(t('change.payOut', { what, from: fromBank }))}</div>
+    <div class="bet-chips">${renderCounts(change)}</div>
+    ${sameAsFewest ? '' : `
+    <div class="change-title">${t('change.fewest')}</div>
+    <div class="bet-chips">${renderCounts(fewest)}</div>`}
+  `;
+}
+
+// ===== Blind Clock =====
+function updateClock(next) {
+    clock = next;
+    saveClockState(clock);
+    renderClock();
+}
+
+function formatBlindAmount(value) {
+    return gameSettings.gameType === 'tournament' ? formatTournamentChips(value) : formatCurrency(value);
+}
+
+function formatLevelBlinds(level) {
+    const blinds = `${formatBlindAmount(level.smallBlind)} / ${formatBlindAmount(level.bigBlind)}`;
+    return level.ante ? t('clock.withAnte', { blinds, ante: formatBlindAmount(level.ante) }) : blinds;
+}
+
+function getColorUpIndex() {
+    // Same denominations Calculate would assign to the current chip set (locked and manual values stay)
+    const levels = clock.levels.filter(l => l.type === 'level');
+    const suggested = gameSettings.gameType === 'tournament'
+        ? suggestTournamentChipValues(levels, gameSettings.tournament.startingStack, chips.length)
+        : suggestChipValues(gameSettings.smallBlind, gameSettings.buyIn, chips.length, gameSettings.denominations);
+    const values = assignChipValues(chips, suggested, gameSettings.valueMode).chips.map(c => c.value);
+    return { index: findColorUpIndex(clock.levels, values), smallest: values[0] };
+}
+
+function renderClock() {
+    renderClockStatus();
+    renderClockLevels();
+
+    // Tick once a second while running
+    if (clock.running && !clockTimer) {
+        clockTimer = setInterval(renderClockStatus, 1000);
+    } else if (!clock.running && clockTimer) {
+        clearInterval(clockTimer);
+        clockTimer = null;
+    }
+}
+
+function renderClockStatus() {
+    const status = getClockStatus(clock, Date.now());
+
+    // The clock rolled into a new level (or finished) since the last tick
+    if (status.clock.index !== clock.index || status.clock.running !== clock.running) {
+        updateClock(status.clock);
+        return;
+    }
+
+    const { current, levelNumber, remainingMs, next, breakInMs, finished } = status;
+
+    if (!current) {
+        elements.clockLevel.textContent = t('clock.noLevels');
+        elements.clockTime.textContent = '--:--';
+        elements.clockBlinds.textContent = '';
+        elements.clockNext.textContent = '';
+        elements.clockBreak.textContent = '';
     } else {
-        elements.resultsWarnings.innerHTML = '';
+        elements.clockLevel.textContent = current.type === 'break'
+            ? t('clock.onBreak')
+            : t(clock.running ? 'clock.level' : 'clock.levelPaused', { level: levelNumber });
+        elements.clockTime.textContent = formatDuration(remainingMs);
+        elements.clockBlinds.textContent = current.type === 'break' ? '' : formatLevelBlinds(current);
+        elements.clockNext.textContent = next
+            ? t('clock.next', { blinds: formatLevelBlinds(next) })
+            : (finished ? t('clock.finished') : t('clock.finalLevel'));
+        elements.clockBreak.textContent = breakInMs !== null ? t('clock.breakIn', { time: formatDuration(breakInMs) }) : '';
     }
 
-    // Scroll to results
-    elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Color-up notice on the level where the smallest chip is no longer needed
+    const colorUp = getColorUpIndex();
+    if (colorUp.index > clock.index) {
+        const levelsAway = clock.levels.slice(clock.index + 1, colorUp.index + 1).filter(l => l.type === 'level').length;
+        elements.clockColorUp.textContent = t('clock.colorUpIn', { amount: formatBlindAmount(colorUp.smallest), count: levelsAway });
+        elements.clockColorUp.classList.remove('hidden');
+    } else if (colorUp.index >= 0 && colorUp.index === clock.index) {
+        elements.clockColorUp.textContent = t('clock.colorUpNow', { amount: formatBlindAmount(colorUp.smallest) });
+        elements.clockColorUp.classList.remove('hidden');
+    } else {
+        elements.clockColorUp.classList.add('hidden');
+    }
+
+    elements.clockToggleBtn.textContent = clock.running ? t('clock.pause') : t('clock.startButton');
+}
+
+function renderClockLevels() {
+    const colorUpIndex = getColorUpIndex().index;
+    let levelNumber = 0;
+
+    elements.clockLevelList.innerHTML = clock.levels.map((level, i) => {
+        const classes = ['clock-level-row', level.type === 'break' ? 'break' : '',
+            i === clock.index ? 'current' : '', i === colorUpIndex ? 'color-up' : ''].join(' ');
+        const remove = `
+      <button class="btn-delete" data-index="${i}" title="${t('common.remove')}">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+          <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>`;
+
+        if (level.type === 'break') {
+            return `
+    <div class="${classes}">
+      <span class="clock-level-label">${t('clock.break')}</span>
+      <input type="number" data-index="${i}" data-field="minutes" value="${level.minutes}" min="1" title="${t('clock.minutesTitle')}">
+      ${remove}
+    </div>`;
+        }
+
+        levelNumber++;
+        return `
+    <div class="${classes}">
+      <span class="clock-level-label">${t('clock.levelShort', { level: levelNumber })}</span>
+      <input type="number" data-index="${i}" data-field="smallBlind" value="${level.smallBlind}" min="0" step="any" title="${t('setup.smallBlind')}">
+      <input type="number" data-index="${i}" data-field="bigBlind" value="${level.bigBlind}" min="0" step="any" title="${t('setup.bigBlind')}">
+      <input type="number" data-index="${i}" data-field="ante" value="${level.ante || 0}" min="0" step="any" title="${t('clock.ante')}">
+      <input type="number" data-index="${i}" data-field="minutes" value="${level.minutes}" min="1" title="${t('clock.minutesTitle')}">
+      ${remove}
+    </div>`;
+    }).join('');
+
+    // Edit handlers
+    elements.clockLevelList.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            const index = parseInt(input.dataset.index);
+            const value = parseFloat(input.value) || 0;
+            const levels = clock.levels.map((l, i) => i === index ? { ...l, [input.dataset.field]: value } : l);
+            const next = { ...clock, levels };
+
+            // A stopped clock picks up the new duration of its current level
+            if (index === clock.index && input.dataset.field === 'minutes' && !clock.running) {
+                next.remainingMs = Math.max(1, value) * 60000;
+            }
+            updateClock(next);
+        });
+    });
+
+    // Delete handlers
+    elements.clockLevelList.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const index = parseInt(btn.dataset.index);
+            const levels = clock.levels.filter((_, i) => i !== index);
+
+            if (index < clock.index) {
+                updateClock({ ...clock, levels, index: clock.index - 1 });
+            } else if (index === clock.index) {
+                // The following level takes the removed one's place with its full time
+                updateClock(goToLevel({ ...clock, levels }, index, Date.now()));
+            } else {
+                updateClock({ ...clock, levels });
+            }
+        });
+    });
+}
+
+// ===== Color Up =====
+function renderColorUpForm() {
+    const sorted = [...chips].sort((a, b) => a.value - b.value);
+    const options = sorted.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${formatBlindAmount(c.value)})</option>`).join('');
+    const retiringId = elements.colorUpRetiring.value;
+    const replacementId = elements.colorUpReplacement.value;
+
+    elements.colorUpRetiring.innerHTML = options;
+    elements.colorUpReplacement.innerHTML = options;
+
+    // Keep the current picks, else retire the smallest chip for the next one up
+    elements.colorUpRetiring.value = sorted.some(c => c.id === retiringId) ? retiringId : (sorted[0]?.id ?? '');
+    elements.colorUpReplacement.value = sorted.some(c => c.id === replacementId) && replacementId !== elements.colorUpRetiring.value
+        ? replacementId
+        : (sorted[1]?.id ?? '');
+
+    // One count input per player, keeping values already entered
+    const existing = [...elements.colorUpPlayers.querySelectorAll('input')].map(input => input.value);
+    elements.colorUpPlayers.innerHTML = Array.from({ length: gameSettings.players }, (_, i) => `
+    <div class="form-group">
+      <label for="color-up-player-${i}">${t('common.player', { number: i + 1 })}</label>
+      <input type="number" id="color-up-player-${i}" min="0" value="${existing[i] ?? 0}">
+    </div>
+  `).join('');
+
+    elements.colorUpResults.classList.add('hidden');
+    updateColorUpBank();
+}
+
+function updateColorUpBank() {
+    // Inventory minus what the last calculation handed out
+    const replacement = chips.find(c => c.id === elements.colorUpReplacement.value);
+    if (!replacement) {
+        elements.colorUpBank.value = '';
+        return;
+    }
+
+    const bankChip = lastResult?.remaining?.find(c => c.id === replacement.id);
+    if (bankChip) {
+        elements.colorUpBank.value = Math.max(0, bankChip.quantity);
+        return;
+    }
+
+    const handedOut = lastResult?.distribution.find(d => d.id === replacement.id);
+    const inPlay = handedOut ? handedOut.quantity * gameSettings.players : 0;
+    elements.colorUpBank.value = Math.max(0, replacement.quantity - inPlay);
+}
+
+function handleColorUp() {
+    const retiring = chips.find(c => c.id === elements.colorUpRetiring.value);
+    const replacement = chips.find(c => c.id === elements.colorUpReplacement.value);
+    if (!retiring || !replacement) return;
+
+    const playerCounts = [...elements.colorUpPlayers.querySelectorAll('input')]
+        .map(input => parseInt(input.value) || 0);
+    const seed = Date.now() % 1000000;
+
+    const result = colorUp({
+        retiring,
+        replacement,
+        playerCounts,
+        bankAvailable: parseInt(elements.colorUpBank.value) || 0,
+        seed
+    });
+
+    elements.colorUpResults.classList.remove('hidden');
+    elements.colorUpResults.innerHTML = `
+    ${result.players.map(p => `
+      <div class="color-up-row ${p.wonRace ? 'won' : ''}">
+        <span>${t('common.player', { number: p.index + 1 })}</span>
+        <span class="color-up-cards">${[p.cards, p.tiebreak].filter(cards => cards.length > 0).map(cards => cards.map(formatCard).join(' ')).join(' / ')}</span>
+        <span>${p.newChips} ${escapeHtml(replacement.name)}${p.wonRace ? ' 🏁' : ''}</span>
+      </div>
+    `).join('')}
+    <div class="color-up-summary">
+      ${escapeHtml(t('colorUp.summary', { count: result.totalNeeded, name: replacement.name, race: result.raceChips, seed }))}
+    </div>
+    ${result.warnings.map(w => `<div class="warning-item">⚠️ ${escapeHtml(w)}</div>`).join('')}
+  `;
+}
+
+// ===== Session Ledger =====
+function updateSession(next) {
+    session = next;
+    saveSession(session);
+    renderLedger();
+}
+
+function renderLedger() {
+    elements.ledgerStartBtn.classList.toggle('hidden', session !== null);
+    elements.ledgerActions.classList.toggle('hidden', session === null);
+    renderLedgerHistory();
+
+    if (!session) {
+        elements.ledgerPlayers.innerHTML = `
+      <div class="preset-empty">${t('ledger.empty')}</div>
+    `;
+        elements.ledgerSummary.innerHTML = '';
+        return;
+    }
+
+    const summary = summarizeSession(session, chips);
+
+    elements.ledgerPlayers.innerHTML = session.players.map((player, i) => {
+        const result = summary.players[i];
+        const netClass = result.net > 0 ? 'up' : result.net < 0 ? 'down' : '';
+        return `
+    <div class="ledger-player">
+      <div class="ledger-player-header">
+        <input type="text" class="ledger-name" data-id="${escapeHtml(player.id)}" value="${escapeHtml(player.name)}">
+        <span class="ledger-in">${t('ledger.in', { amount: result.totalIn })}</span>
+        <button class="btn-link" data-rebuy="${escapeHtml(player.id)}" type="button">${t('ledger.rebuy')}</button>
+      </div>
+      <div class="ledger-cashout">
+        ${chips.map(chip => `
+        <label class="ledger-chip" title="${escapeHtml(chip.name)} (${formatCurrency(chip.value)})">
+          ${chipIcon(chip, 'span')}
+          <input type="number" min="0" data-player="${escapeHtml(player.id)}" data-chip="${escapeHtml(chip.id)}"
+            value="${player.cashOut?.[chip.id] ?? ''}" placeholder="0">
+        </label>`).join('')}
+      </div>
+      ${result.hasCashedOut ? `<div class="ledger-net ${netClass}">${t('ledger.out', { amount: result.cashOut })} • ${formatNet(result.net)}</div>` : ''}
+    </div>`;
+    }).join('');
+
+    elements.ledgerSummary.innerHTML = `
+    <div class="ledger-totals">
+      <span>${t('ledger.in', { amount: summary.totalIn })}</span>
+      <span>${t('ledger.out', { amount: summary.totalOut })} ${summary.isComplete && summary.isBalanced ? '✓' : '⚠️'}</span>
+    </div>
+    ${summary.warnings.map(w => `<div class="warning-item">⚠️ ${escapeHtml(w)}</div>`).join('')}
+    ${summary.transfers.map(transfer => `<div class="ledger-transfer">💸 ${escapeHtml(t('ledger.pays', transfer))}</div>`).join('')}
+  `;
+
+    // Rename handlers
+    elements.ledgerPlayers.querySelectorAll('.ledger-name').forEach(input => {
+        input.addEventListener('change', () => {
+            updateSession(renamePlayer(session, input.dataset.id, input.value.trim() || t('ledger.playerFallback')));
+        });
+    });
+
+    // Rebuy handlers
+    elements.ledgerPlayers.querySelectorAll('[data-rebuy]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const amount = gameSettings.rebuys.rebuyAmount || gameSettings.buyIn;
+            updateSession(addBuyIn(session, btn.dataset.rebuy, amount));
+        });
+    });
+
+    // Cash-out handlers: any count entered marks the player as cashed out
+    elements.ledgerPlayers.querySelectorAll('[data-chip]').forEach(input => {
+        input.addEventListener('change', () => {
+            const playerId = input.dataset.player;
+            const counts = {};
+            elements.ledgerPlayers.querySelectorAll(`[data-player="${CSS.escape(playerId)}"]`).forEach(el => {
+                counts[el.dataset.chip] = parseInt(el.value) || 0;
+            });
+            updateSession(setCashOut(session, playerId, counts));
+        });
+    });
+}
+
+function renderLedgerHistory() {
+    const ended = getSessions().filter(s => s.endedAt).reverse();
+
+    if (ended.length === 0) {
+        elements.ledgerHistory.innerHTML = `
+      <div class="preset-empty">${t('ledger.noHistory')}</div>
+    `;
+        return;
+    }
+
+    elements.ledgerHistory.innerHTML = ended.map(s => {
+        const summary = summarizeSession(s, chips);
+        const date = new Date(s.startedAt).toLocaleDateString();
+        return `
+    <div class="preset-item" data-id="${escapeHtml(s.id)}">
+      <div>
+        <div class="preset-name">${date}</div>
+        <div class="preset-chips">${t('common.players', { count: s.players.length })} • ${t('ledger.totalIn', { amount: summary.totalIn })}</div>
+        ${summary.transfers.map(transfer => `<div class="preset-chips">${escapeHtml(transfer.from)} → ${escapeHtml(transfer.to)} ${formatCurrency(transfer.amount)}</div>`).join('')}
+      </div>
+      <button class="btn-delete" data-id="${escapeHtml(s.id)}" title="${t('common.delete')}">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+          <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </div>`;
+    }).join('');
+
+    elements.ledgerHistory.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            deleteSession(btn.dataset.id);
+            renderLedgerHistory();
+        });
+    });
+}
+
+function formatNet(value) {
+    if (Math.abs(value) < 0.005) return formatCurrency(0);
+    return `${value > 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+}
+
+// ===== History & Stats =====
+function renderStats() {
+    const games = getGameNights();
+
+    if (games.length === 0) {
+        elements.statsChart.innerHTML = '';
+        elements.statsPlayers.innerHTML = `
+      <div class="preset-empty">${t('stats.empty')}</div>
+    `;
+        elements.statsHistory.innerHTML = '';
+        return;
+    }
+
+    elements.statsChart.innerHTML = lineChartSvg({ series: cumulativeResults(games).series, formatValue: formatNet });
+
+    elements.statsPlayers.innerHTML = `
+    <table class="stats-table">
+      <thead>
+        <tr><th>${t('sheet.player')}</th><th>${t('sheet.net')}</th><th>${t('stats.nights')}</th><th>${t('stats.best')}</th><th>${t('stats.worst')}</th><th>${t('sheet.rebuys')}</th></tr>
+      </thead>
+      <tbody>
+        ${computePlayerStats(games).map(p => `
+        <tr>
+          <td>${escapeHtml(p.name)}</td>
+          <td class="${p.netProfit > 0 ? 'up' : p.netProfit < 0 ? 'down' : ''}">${formatNet(p.netProfit)}</td>
+          <td>${p.sessions}</td>
+          <td>${formatNet(p.biggestWin)}</td>
+          <td>${formatNet(p.biggestLoss)}</td>
+          <td>${p.averageRebuys.toFixed(1)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+
+    elements.statsHistory.innerHTML = [...games].sort((a, b) => b.date.localeCompare(a.date)).map(game => {
+        const winner = [...game.players].sort((a, b) => b.net - a.net)[0];
+        return `
+    <div class="preset-item" data-id="${escapeHtml(game.id)}">
+      <div>
+        <div class="preset-name">${new Date(game.date).toLocaleDateString()}${game.presetName ? ` • ${escapeHtml(game.presetName)}` : ''}</div>
+        <div class="preset-chips">${t('common.players', { count: game.players.length })} • ${t('common.buyIn', { amount: game.gameSettings.buyIn })}${winner ? ` • 🏆 ${escapeHtml(winner.name)} ${formatNet(winner.net)}` : ''}</div>
+      </div>
+      <button class="btn-delete" data-id="${escapeHtml(game.id)}" title="${t('common.delete')}">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+          <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </div>`;
+    }).join('');
+
+    elements.statsHistory.querySelectorAll('.btn-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (!confirm(t('stats.confirmDelete'))) return;
+            deleteGameNight(btn.dataset.id);
+            renderStats();
+        });
+    });
 }
 
 // ===== Presets =====
@@ -397,38 +1931,48 @@ function renderPresetList() {
 
     if (presets.length === 0) {
         elements.presetList.innerHTML = `
-      <div class="preset-empty">No saved presets. Save your chip configuration for quick access.</div>
+      <div class="preset-empty">${t('presets.empty')}</div>
     `;
         return;
     }
 
     elements.presetList.innerHTML = presets.map(preset => `
-    <div class="preset-item" data-id="${preset.id}">
+    <div class="preset-item" data-id="${escapeHtml(preset.id)}">
       <div>
-        <div class="preset-name">${preset.name}</div>
-        <div class="preset-chips">${preset.chips.length} chip types • ${formatCurrency(preset.gameSettings.buyIn)} buy-in</div>
+        <div class="preset-name">${escapeHtml(preset.name)}</div>
+        <div class="preset-chips">${t('presets.chipTypes', { count: preset.chips.length })} • ${t('common.buyIn', { amount: preset.gameSettings.buyIn })}</div>
+      </div>
+      <div class="preset-item-actions">
+        <button class="btn-preset-action" data-action="link" data-id="${escapeHtml(preset.id)}" title="${t('presets.copyLink')}">🔗</button>
+        <button class="btn-preset-action" data-action="export" data-id="${escapeHtml(preset.id)}" title="${t('presets.export')}">⬇️</button>
+        <button class="btn-delete" data-id="${escapeHtml(preset.id)}" title="${t('common.delete')}">
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+            <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+        </button>
       </div>
-      <button class="btn-delete" data-id="${preset.id}" title="Delete">
-        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-          <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-        </svg>
-      </button>
     </div>
   `).join('');
 
     // Add click handlers
     elements.presetList.querySelectorAll('.preset-item').forEach(item => {
         item.addEventListener('click', (e) => {
-            if (e.target.closest('.btn-delete')) return;
+            if (e.target.closest('.btn-delete, .btn-preset-action')) return;
             const preset = loadPreset(item.dataset.id);
-            if (preset) {
-                chips = preset.chips;
-                gameSettings = preset.gameSettings;
-                saveChips(chips);
-                saveGameSettings(gameSettings);
-                updateGameSettingsUI();
-                renderChipList();
-                elements.resultsSection.classList.add('hidden');
+            if (preset) applyPreset(preset);
+        });
+    });
+
+    // Share link / export handlers
+    elements.presetList.querySelectorAll('.btn-preset-action').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const preset = loadPreset(btn.dataset.id);
+            if (!preset) return;
+            if (btn.dataset.action === 'export') {
+                downloadPresets([preset], `${preset.name.replace(/[^\w-]+/g, '-')}.json`);
+            } else {
+                copyPresetLink(preset);
             }
         });
     });
@@ -443,6 +1987,82 @@ function renderPresetList() {
     });
 }
 
+function applyPreset(preset) {
+    chips = preset.chips;
+    gameSettings = withSettingsDefaults(preset.gameSettings, getDefaultGameSettings());
+    activePresetName = preset.name;
+    saveChips(chips);
+    saveGameSettings(gameSettings);
+    updateGameSettingsUI();
+    renderChipList();
+    elements.resultsSection.classList.add('hidden');
+}
+
+function downloadPresets(presets, filename) {
+    downloadFile(exportPresets(presets), filename);
+}
+
+function downloadFile(text, filename) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function copyPresetLink(preset) {
+    const url = createPresetLink(preset, location.href);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url)
+            .then(() => alert(t('presets.linkCopied', { name: preset.name })))
+            .catch(() => prompt(t('presets.copyPrompt'), url));
+    } else {
+        prompt(t('presets.copyPrompt'), url);
+    }
+}
+
+function handleImportPresets(e) {
+    const [file] = e.target.files;
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    file.text().then(text => {
+        const { presets, errors } = parsePresetFile(text);
+        const result = mergePresets(getPresets(), presets, elements.presetConflict.value);
+        if (presets.length > 0) {
+            savePresets(result.presets);
+            renderPresetList();
+        }
+
+        const summary = [t('presets.importSummary', result)];
+        if (errors.length > 0) {
+            summary.push('', t('presets.rejected'), ...errors);
+        }
+        alert(summary.join('\n'));
+    });
+}
+
+function openPresetLink() {
+    const { preset, errors } = parsePresetLink(location.hash);
+    if (!preset && errors.length === 0) return;
+
+    // Drop the hash so a reload doesn't import again
+    history.replaceState(null, '', location.pathname + location.search);
+
+    if (!preset) {
+        alert(t('presets.badLink', { errors: errors.join('\n') }));
+        return;
+    }
+
+    // Keep a copy in the saved presets (skipped if it's already there), and
+    // apply it under the name it was saved as so it shows as the active preset
+    const { presets, saved: [stored] } = mergePresets(getPresets(), [preset], 'rename');
+    savePresets(presets);
+    applyPreset(stored);
+}
+
 function handleSavePreset() {
     const name = elements.presetName.value.trim();
     if (!name) {
@@ -455,15 +2075,251 @@ function handleSavePreset() {
     }
 
     savePreset(name, chips, gameSettings);
+    activePresetName = name;
     elements.presetName.value = '';
     renderPresetList();
 
     // Visual feedback
-    elements.savePresetBtn.textContent = '✓ Saved!';
+    elements.savePresetBtn.textContent = t('presets.saved');
     setTimeout(() => {
-        elements.savePresetBtn.textContent = 'Save Current';
+        elements.savePresetBtn.textContent = t('presets.save');
     }, 1500);
 }
 
+// ===== Table Sync =====
+function startTableSync(role) {
+    const room = elements.syncRoom.value.trim();
+    if (!room) {
+        elements.syncRoom.focus();
+        return;
+    }
+
+    const relay = elements.syncRelay.value.trim();
+    let transport;
+    try {
+        transport = relay ? createWebSocketTransport(relay, room) : createBroadcastChannelTransport(room);
+    } catch (error) {
+        alert(t('sync.connectFailed', { message: error.message }));
+        return;
+    }
+
+    // Updates arriving after Leave change this object, not the status line
+    const info = { role, room, relay, status: 'connecting', peers: [], ignored: 0 };
+    syncInfo = info;
+
+    tableSync = createSyncEngine({
+        transport,
+        onChange: applySyncedDoc,
+        onPeersChange: (next) => {
+            info.peers = next;
+            renderSyncStatus();
+        }
+    });
+    transport.onStatus(next => {
+        info.status = next;
+        renderSyncStatus();
+    });
+
+    const state = { chips, gameSettings, presets: getPresets(), result: null };
+    if (role === 'host') {
+        tableSync.host(state);
+    } else {
+        tableSync.join(state);
+    }
+
+    elements.syncHostBtn.classList.add('hidden');
+    elements.syncJoinBtn.classList.add('hidden');
+    elements.syncLeaveBtn.classList.remove('hidden');
+    elements.syncRoom.disabled = true;
+    elements.syncRelay.disabled = true;
+}
+
+function stopTableSync() {
+    tableSync?.close();
+    tableSync = null;
+    elements.syncHostBtn.classList.remove('hidden');
+    elements.syncJoinBtn.classList.remove('hidden');
+    elements.syncLeaveBtn.classList.add('hidden');
+    elements.syncRoom.disabled = false;
+    elements.syncRelay.disabled = false;
+    syncInfo = null;
+    renderSyncStatus();
+}
+
+function renderSyncStatus() {
+    if (!syncInfo) {
+        elements.syncStatus.textContent = t('sync.notConnected');
+        return;
+    }
+
+    const { role, room, relay, status, peers, ignored } = syncInfo;
+    let text;
+    if (status === 'open') {
+        const params = {
+            room,
+            where: relay ? t('sync.viaRelay') : t('sync.inBrowser'),
+            devices: t('sync.devices', { count: peers.length })
+        };
+        text = role === 'host' ? t('sync.hosting', params) : t('sync.joined', params);
+    } else {
+        const statusText = { connecting: t('sync.connecting'), closed: t('sync.closed'), error: t('sync.error') }[status] ?? status;
+        text = t('sync.tableStatus', { room, status: statusText });
+    }
+    elements.syncStatus.textContent = ignored > 0 ? `${text} • ${t('sync.ignored', { count: ignored })}` : text;
+}
+
+/**
+ * Count data from peers that failed validation, for the status line
+ * @param {number} count - Items dropped
+ */
+function reportIgnoredSync(count) {
+    if (!syncInfo || count === 0) return;
+    syncInfo.ignored += count;
+    renderSyncStatus();
+}
+
+/**
+ * Items of a list from a peer that pass validation; invalid items are dropped
+ * and counted on the sync status line
+ * @param {*} items - Untrusted list
+ * @param {Function} validate - Schema validator returning problems
+ * @returns {Array|null} - Valid items, or null if the value isn't a list
+ */
+function validSyncedItems(items, validate) {
+    if (!Array.isArray(items)) {
+        reportIgnoredSync(1);
+        return null;
+    }
+    const valid = items.filter((item, i) => validate(item, i).length === 0);
+    reportIgnoredSync(items.length - valid.length);
+    return valid;
+}
+
+function applySyncedDoc(name, value) {
+    // Saving fires the storage listener, but the engine already holds these values so nothing is echoed
+    // Peers are untrusted, so anything that fails validation is dropped rather than saved
+    if (name === 'chips') {
+        const valid = validSyncedItems(value, validateChip);
+        if (!valid || valid.length === 0) return;
+        chips = valid;
+        saveChips(chips);
+        renderChipList();
+    } else if (name === 'gameSettings') {
+        const settings = value && typeof value === 'object' && !Array.isArray(value)
+            ? withSettingsDefaults(value, getDefaultGameSettings())
+            : value;
+        if (validateGameSettings(settings).length > 0) {
+            reportIgnoredSync(1);
+            return;
+        }
+        gameSettings = settings;
+        saveGameSettings(gameSettings);
+        updateGameSettingsUI();
+    } else if (name === 'presets') {
+        const valid = validSyncedItems(value, validatePreset);
+        if (!valid) return;
+        savePresets(valid);
+        renderPresetList();
+    } else if (name === 'result' && value) {
+        if (validateSyncedResult(value, chips.map(c => c.id)).length > 0) {
+            reportIgnoredSync(1);
+            return;
+        }
+        elements.resultsTitle.textContent = value.title;
+        elements.packageList.classList.add('hidden');
+        elements.bankReport.classList.add('hidden');
+        elements.blindSchedule.classList.add('hidden');
+        lastResult = syncedResult(value.result);
+        lastBankReport = null;
+        renderResults(lastResult, value.kind === 'tournament' ? formatTournamentChips : formatCurrency, value.notes);
+        updateColorUpBank();
+    }
+}
+
+/**
+ * Rebuild a validated peer result from this device's chips, keeping only the
+ * numbers and diagnostic codes. Fixes aren't kept: they'd change this device's data.
+ * @param {Object} result - Result that passed validateSyncedResult
+ * @returns {Object}
+ */
+function syncedResult(result) {
+    const chipById = new Map(chips.map(chip => [chip.id, chip]));
+    return {
+        distribution: result.distribution.map(({ id, quantity, value, subtotal }) => ({ ...chipById.get(id), quantity, value, subtotal })),
+        totalValue: result.totalValue,
+        totalChips: result.totalChips,
+        isValid: result.isValid,
+        warnings: result.warnings,
+        diagnostics: result.diagnostics?.map(({ code, values }) => ({
+            code, severity: DIAGNOSTIC_CODES[code], values, message: describeDiagnostic({ code, values }), fix: null
+        })),
+        trace: result.trace?.map(({ step, values }) => ({ step, values })) ?? null,
+        remaining: result.remaining?.map(({ id, quantity }) => ({ ...chipById.get(id), quantity }))
+    };
+}
+
+// ===== Backup & Recovery =====
+function renderStorageStatus() {
+    const error = storageLoadError || storageError;
+    elements.storageStatus.classList.toggle('error', !!error);
+    if (storageLoadError) {
+        elements.storageStatus.textContent = t('backup.loadFailed', { error: storageLoadError.name || 'error' });
+    } else if (storageError) {
+        elements.storageStatus.textContent = t('backup.saveFailed', { error: storageError.name || 'error' });
+    } else if (getStorageBackendName() === 'memory') {
+        elements.storageStatus.textContent = t('backup.savedInMemory');
+    } else {
+        elements.storageStatus.textContent = t('backup.savedIn', { backend: t(`backup.backend.${getStorageBackendName()}`) });
+    }
+}
+
+function renderQuarantine() {
+    const entries = getQuarantine();
+    elements.quarantineStatus.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) {
+        elements.quarantineStatus.innerHTML = '';
+        return;
+    }
+
+    elements.quarantineStatus.innerHTML = `
+    <div>${t('backup.quarantined', { count: entries.length })}</div>
+    <ul>
+      ${entries.map(e => `<li>${escapeHtml(e.key.replace('poker-chip-calculator-', ''))}: ${escapeHtml(e.reason)}</li>`).join('')}
+    </ul>
+    <div class="quarantine-actions">
+      <button class="btn-link" id="quarantine-download-btn" type="button">${t('backup.quarantineDownload')}</button>
+      <button class="btn-link" id="quarantine-clear-btn" type="button">${t('backup.quarantineDiscard')}</button>
+    </div>
+  `;
+
+    document.getElementById('quarantine-download-btn').addEventListener('click', () => {
+        downloadFile(JSON.stringify(getQuarantine(), null, 2), 'poker-chip-calculator-quarantine.json');
+    });
+    document.getElementById('quarantine-clear-btn').addEventListener('click', () => {
+        if (!confirm(t('backup.confirmDiscard'))) return;
+        clearQuarantine();
+        renderQuarantine();
+    });
+}
+
+function handleRestoreBackup(e) {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    if (!confirm(t('backup.confirmRestore'))) return;
+
+    file.text().then(text => {
+        const { ok, errors } = restoreBackup(text);
+        if (!ok) {
+            alert(t('backup.restoreFailed', { errors: errors.join('\n') }));
+            return;
+        }
+        flushStorage().then(() => location.reload());
+    });
+}
+
 // ===== Start App =====
-init();
+init().catch(error => {
+    // Say so rather than leave a half-built page
+    alert(t('app.startFailed', { error: error.message || error.name || 'error' }));
+});
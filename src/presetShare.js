@@ -0,0 +1,249 @@
+/**
+ * Preset Import & Export
+ * Versioned JSON files and compact share links for presets, with schema
+ * validation and conflict handling on import
+ */
+
+import { getDefaultGameSettings } from './storage.js';
+import { validatePreset, withSettingsDefaults } from './schema.js';
+import { t } from './i18n.js';
+
+export const PRESET_FILE_FORMAT = 'poker-chip-calculator-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Share links carry the preset in the URL hash: #preset=<base64url JSON>
+const URL_HASH_KEY = 'preset';
+
+// Share link payload version; chips are packed as
+// [color, name, quantity, value, locked] plus [edgeColor, edgeStyle] for two-tone chips
+const LINK_VERSION = 1;
+
+/**
+ * Keep only the known preset fields (drops anything extra in imported data)
+ * @param {Object} preset - Validated preset
+ * @returns {Object}
+ */
+function normalizePreset(preset) {
+    return {
+        id: preset.id,
+        name: preset.name.trim(),
+        chips: preset.chips.map(({ id, color, name, quantity, value, locked, setId, edgeColor, edgeStyle }) => ({
+            id, color, name, quantity, value, locked: !!locked,
+            ...(setId ? { setId } : {}),
+            ...(edgeColor ? { edgeColor, edgeStyle: edgeStyle || 'spots' } : {})
+        })),
+        gameSettings: withSettingsDefaults(preset.gameSettings, getDefaultGameSettings()),
+        updatedAt: typeof preset.updatedAt === 'string' ? preset.updatedAt : new Date().toISOString()
+    };
+}
+
+/**
+ * Build a versioned export file for one or more presets
+ * @param {Array} presets - Presets to export
+ * @returns {string} - JSON text
+ */
+export function exportPresets(presets) {
+    return JSON.stringify({
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        presets
+    }, null, 2);
+}
+
+/**
+ * Parse an export file. Invalid presets are rejected individually so one
+ * bad entry doesn't block the rest.
+ *
+ * @param {string} text - JSON text (an export file or a single preset)
+ * @returns {{presets: Array, errors: string[]}}
+ */
+export function parsePresetFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { presets: [], errors: [t('presets.invalidJson')] };
+    }
+
+    let candidates;
+    if (data && data.format === PRESET_FILE_FORMAT) {
+        if (data.version > PRESET_FILE_VERSION) {
+            return { presets: [], errors: [t('presets.newerVersion', { version: data.version })] };
+        }
+        candidates = Array.isArray(data.presets) ? data.presets : [];
+    } else if (data && typeof data === 'object' && 'chips' in data) {
+        candidates = [data];
+    } else {
+        return { presets: [], errors: [t('presets.noPresets')] };
+    }
+
+    const presets = [];
+    const errors = [];
+    candidates.forEach((candidate, i) => {
+        const problems = validatePreset(candidate);
+        if (problems.length > 0) {
+            const label = typeof candidate?.name === 'string' ? `"${candidate.name}"` : `#${i + 1}`;
+            errors.push(t('presets.invalidPreset', { label, problems: problems.join(', ') }));
+        } else {
+            presets.push(normalizePreset(candidate));
+        }
+    });
+
+    return { presets, errors };
+}
+
+/**
+ * Merge imported presets into the saved list.
+ * A preset conflicts with a saved one that has the same id or name.
+ * Identical presets (same chips and settings) are always skipped.
+ *
+ * @param {Array} existing - Saved presets
+ * @param {Array} incoming - Validated presets to import
+ * @param {'rename'|'replace'|'skip'} [strategy='rename'] - What to do on conflict
+ * @returns {{presets: Array, saved: Array, added: number, replaced: number, skipped: number}} -
+ *   saved holds, for each incoming preset, the one it was saved as (renamed or
+ *   with the saved id), or the saved preset it conflicted with when skipped
+ */
+export function mergePresets(existing, incoming, strategy = 'rename') {
+    const presets = [...existing];
+    const saved = [];
+    let added = 0;
+    let replaced = 0;
+    let skipped = 0;
+
+    // Compare what the preset sets up, ignoring ids and missing optional fields
+    const content = p => JSON.stringify([
+        p.chips.map(c => [c.color, c.name, c.quantity, c.value, !!c.locked, c.edgeColor || null, c.edgeColor ? c.edgeStyle || 'spots' : null]),
+        { ...getDefaultGameSettings(), ...p.gameSettings }
+    ]);
+    const sameContent = (a, b) => content(a) === content(b);
+
+    for (const preset of incoming) {
+        const conflictIndex = presets.findIndex(p => p.id === preset.id || p.name === preset.name);
+        const conflict = presets[conflictIndex];
+
+        if (!conflict) {
+            presets.push(preset);
+            saved.push(preset);
+            added++;
+        } else if (sameContent(conflict, preset) || strategy === 'skip') {
+            saved.push(conflict);
+            skipped++;
+        } else if (strategy === 'replace') {
+            presets[conflictIndex] = { ...preset, id: conflict.id };
+            saved.push(presets[conflictIndex]);
+            replaced++;
+        } else {
+            // Keep both: fresh id and the first free "Name (n)"
+            let n = 2;
+            while (presets.some(p => p.name === `${preset.name} (${n})`)) n++;
+            const renamed = { ...preset, id: `${Date.now()}-${presets.length}`, name: `${preset.name} (${n})` };
+            presets.push(renamed);
+            saved.push(renamed);
+            added++;
+        }
+    }
+
+    return { presets, saved, added, replaced, skipped };
+}
+
+/**
+ * Base64url-encode UTF-8 text
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to UTF-8 text
+ * @param {string} encoded
+ * @returns {string}
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+/**
+ * Build a share link that opens the app with the preset loaded.
+ * Chips are packed as tuples and only settings that differ from the
+ * defaults are included, to keep the link short.
+ *
+ * @param {Object} preset - Preset to share
+ * @param {string} baseUrl - App URL (e.g. location.href)
+ * @returns {string}
+ */
+export function createPresetLink(preset, baseUrl) {
+    const defaults = getDefaultGameSettings();
+    const settings = Object.fromEntries(
+        Object.entries(preset.gameSettings)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key]))
+    );
+
+    const payload = {
+        v: LINK_VERSION,
+        i: preset.id,
+        n: preset.name,
+        c: preset.chips.map(c => [
+            c.color, c.name, c.quantity, c.value, c.locked ? 1 : 0,
+            ...(c.edgeColor ? [c.edgeColor, c.edgeStyle || 'spots'] : [])
+        ]),
+        g: settings
+    };
+
+    const url = new URL(baseUrl);
+    url.hash = `${URL_HASH_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+    return url.toString();
+}
+
+/**
+ * Read a preset from a share link's hash
+ * @param {string} hash - location.hash
+ * @returns {{preset: Object|null, errors: string[]}} - preset is null when the hash has no preset
+ */
+export function parsePresetLink(hash) {
+    const prefix = `#${URL_HASH_KEY}=`;
+    if (!hash || !hash.startsWith(prefix)) {
+        return { preset: null, errors: [] };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(hash.slice(prefix.length)));
+    } catch (e) {
+        return { preset: null, errors: [t('presets.corruptLink')] };
+    }
+
+    if (!payload || payload.v !== LINK_VERSION || !Array.isArray(payload.c)) {
+        return { preset: null, errors: [t('presets.unsupportedLink')] };
+    }
+
+    // Settings groups are validated after the merge, so a partial group only fills in its missing fields
+    const settings = payload.g ?? {};
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return { preset: null, errors: [t('presets.corruptLink')] };
+    }
+
+    const preset = {
+        id: payload.i,
+        name: payload.n,
+        chips: payload.c.map((tuple, i) => Array.isArray(tuple)
+            ? {
+                id: `${i + 1}`, color: tuple[0], name: tuple[1], quantity: tuple[2], value: tuple[3], locked: tuple[4] === 1,
+                ...(tuple[5] ? { edgeColor: tuple[5], edgeStyle: tuple[6] } : {})
+            }
+            : tuple),
+        gameSettings: withSettingsDefaults(settings, getDefaultGameSettings())
+    };
+
+    const errors = validatePreset(preset);
+    return errors.length > 0
+        ? { preset: null, errors }
+        : { preset: normalizePreset(preset), errors: [] };
+}
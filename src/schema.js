@@ -0,0 +1,357 @@
+/**
+ * Storage Schema
+ * Validation for stored data and the ordered migrations between schema versions
+ */
+
+import { DENOMINATION_SERIES, CHIP_VALUE_MODES, DISTRIBUTION_MODES, TRACE_STEPS } from './chipCalculator.js';
+import { DIAGNOSTIC_CODES } from './diagnostics.js';
+import { t } from './i18n.js';
+
+// Version 1 is the original, unversioned layout
+export const SCHEMA_VERSION = 2;
+
+export const GAME_TYPES = ['cash', 'tournament'];
+
+// How a chip's secondary color is drawn (see .chip-icon in style.css)
+export const EDGE_STYLES = ['spots', 'stripes'];
+
+/**
+ * Validate a single chip
+ * @param {*} chip - Untrusted chip data
+ * @param {number} index - Position (for error messages)
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateChip(chip, index) {
+    const number = index + 1;
+    if (!chip || typeof chip !== 'object') {
+        return [t('schema.chipNotObject', { number })];
+    }
+
+    const errors = [];
+    if (typeof chip.id !== 'string' || !chip.id) errors.push(t('schema.chipNoId', { number }));
+    if (typeof chip.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(chip.color)) errors.push(t('schema.chipBadColor', { number }));
+    if (typeof chip.name !== 'string' || !chip.name.trim()) errors.push(t('schema.chipNoName', { number }));
+    if (!Number.isInteger(chip.quantity) || chip.quantity < 0) errors.push(t('schema.chipBadQuantity', { number }));
+    if (typeof chip.value !== 'number' || !Number.isFinite(chip.value) || chip.value <= 0) errors.push(t('schema.chipBadValue', { number }));
+    if (chip.locked !== undefined && typeof chip.locked !== 'boolean') errors.push(t('schema.chipBadLocked', { number }));
+    if (chip.setId !== undefined && typeof chip.setId !== 'string') errors.push(t('schema.chipBadSet', { number }));
+    if (chip.edgeColor !== undefined && !(typeof chip.edgeColor === 'string' && /^#[0-9a-f]{6}$/i.test(chip.edgeColor))) errors.push(t('schema.chipBadEdgeColor', { number }));
+    if (chip.edgeStyle !== undefined && !EDGE_STYLES.includes(chip.edgeStyle)) errors.push(t('schema.chipBadEdgeStyle', { number }));
+    return errors;
+}
+
+/**
+ * Validate a chip set (see chipSets.js)
+ * @param {*} set - Untrusted chip set data
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateChipSet(set) {
+    if (!set || typeof set !== 'object' || Array.isArray(set)) {
+        return [t('schema.chipSetNotObject')];
+    }
+
+    const errors = [];
+    if (typeof set.id !== 'string' || !set.id) errors.push(t('schema.chipSetNoId'));
+    if (typeof set.name !== 'string' || !set.name.trim()) errors.push(t('schema.chipSetNoName'));
+
+    if (!Array.isArray(set.chips) || set.chips.length === 0) {
+        errors.push(t('schema.chipSetNoChips'));
+    } else {
+        // Set chips have an optional printed value instead of a value
+        set.chips.forEach((chip, i) => errors.push(...validateChip(
+            chip && typeof chip === 'object' ? { ...chip, value: chip.printedValue ?? 1 } : chip, i
+        )));
+    }
+
+    return errors;
+}
+
+const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isPositive = value => isAmount(value) && value > 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Whether Intl can format numbers with these options (bad locales and
+ * currency codes throw a RangeError)
+ * @param {string} locale
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+function canFormat(locale, options) {
+    try {
+        new Intl.NumberFormat(locale, options);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Checks for the fields of each settings group; a missing field is filled from the defaults
+const SETTINGS_GROUPS = {
+    rebuys: {
+        shortSeats: isCount,
+        shortBuyIn: isAmount,
+        rebuyAmount: isAmount,
+        addOnAmount: isAmount,
+        expectedRebuys: isCount
+    },
+    tournament: {
+        startingStack: isPositive,
+        durationMinutes: isPositive,
+        levelMinutes: isPositive
+    },
+    denominations: {
+        series: value => Object.hasOwn(DENOMINATION_SERIES, value),
+        customValues: value => Array.isArray(value) && value.every(isPositive),
+        maxJump: value => isAmount(value) && value > 1,
+        minValue: isAmount,
+        integersOnly: value => typeof value === 'boolean'
+    },
+    currency: {
+        currency: value => typeof value === 'string' && (value === 'points' || canFormat('en-US', { style: 'currency', currency: value })),
+        locale: value => typeof value === 'string' && canFormat(value)
+    }
+};
+
+/**
+ * Validate game settings: the fields the calculator can't do without, and
+ * every settings group that's present (so bad stored settings can't break the UI)
+ * @param {*} settings - Untrusted settings data
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateGameSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return [t('schema.settingsNotObject')];
+    }
+
+    const errors = [];
+    if (!isPositive(settings.buyIn)) errors.push(t('schema.settingsBadBuyIn'));
+    if (!Number.isInteger(settings.players) || settings.players < 2) errors.push(t('schema.settingsBadPlayers'));
+    for (const key of ['smallBlind', 'bigBlind']) {
+        if (settings[key] !== undefined && !isPositive(settings[key])) {
+            errors.push(t('schema.settingsBadField', { field: key }));
+        }
+    }
+    if (settings.gameType !== undefined && !GAME_TYPES.includes(settings.gameType)) {
+        errors.push(t('schema.settingsBadField', { field: 'gameType' }));
+    }
+    if (settings.valueMode !== undefined && !CHIP_VALUE_MODES.includes(settings.valueMode)) {
+        errors.push(t('schema.settingsBadField', { field: 'valueMode' }));
+    }
+    if (settings.distributionMode !== undefined && !DISTRIBUTION_MODES.includes(settings.distributionMode)) {
+        errors.push(t('schema.settingsBadField', { field: 'distributionMode' }));
+    }
+
+    for (const [group, fields] of Object.entries(SETTINGS_GROUPS)) {
+        const value = settings[group];
+        if (value === undefined) continue;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(t('schema.settingsBadGroup', { group }));
+            continue;
+        }
+        for (const [field, isValid] of Object.entries(fields)) {
+            if (value[field] !== undefined && !isValid(value[field])) {
+                errors.push(t('schema.settingsBadField', { field: `${group}.${field}` }));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate a preset
+ * @param {*} preset - Untrusted preset data
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validatePreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        return [t('schema.presetNotObject')];
+    }
+
+    const errors = [];
+    if (typeof preset.id !== 'string' || !preset.id) errors.push(t('schema.presetNoId'));
+    if (typeof preset.name !== 'string' || !preset.name.trim()) errors.push(t('schema.presetNoName'));
+
+    if (!Array.isArray(preset.chips) || preset.chips.length === 0) {
+        errors.push(t('schema.presetNoChips'));
+    } else {
+        preset.chips.forEach((chip, i) => errors.push(...validateChip(chip, i)));
+    }
+
+    if (!preset.gameSettings) {
+        errors.push(t('schema.presetNoSettings'));
+    } else {
+        errors.push(...validateGameSettings(preset.gameSettings));
+    }
+
+    return errors;
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isScalar = value => typeof value === 'string' || typeof value === 'boolean' || value === null || Number.isFinite(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Message values: strings, finite numbers and lists of them (e.g. level numbers)
+const hasScalarValues = values => isPlainObject(values) &&
+    Object.values(values).every(value => isScalar(value) || (Array.isArray(value) && value.every(isScalar)));
+
+/**
+ * Validate a calculation result shared by another device (see table sync)
+ * @param {*} value - Untrusted {kind, title, result, notes}
+ * @param {string[]} chipIds - IDs of the chips on this device
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateSyncedResult(value, chipIds) {
+    if (!isPlainObject(value) || !isPlainObject(value.result)) {
+        return [t('schema.resultNotObject')];
+    }
+
+    const errors = [];
+    const { result } = value;
+    const badField = field => errors.push(t('schema.resultBadField', { field }));
+    const knownChip = item => isPlainObject(item) && chipIds.includes(item.id);
+
+    if (!GAME_TYPES.includes(value.kind)) badField('kind');
+    if (typeof value.title !== 'string') badField('title');
+    if (value.notes !== undefined && !isStringList(value.notes)) badField('notes');
+
+    if (!Array.isArray(result.distribution)) {
+        badField('distribution');
+    } else {
+        for (const item of result.distribution) {
+            if (!knownChip(item)) {
+                errors.push(t('schema.resultUnknownChip', { id: String(item?.id) }));
+            } else if (!isCount(item.quantity) || !isAmount(item.value) || !isAmount(item.subtotal)) {
+                badField('distribution');
+            }
+        }
+    }
+    if (!isAmount(result.totalValue)) badField('totalValue');
+    if (result.totalChips !== undefined && !isCount(result.totalChips)) badField('totalChips');
+    if (typeof result.isValid !== 'boolean') badField('isValid');
+    if (!isStringList(result.warnings)) badField('warnings');
+
+    if (result.diagnostics !== undefined) {
+        if (!Array.isArray(result.diagnostics)) {
+            badField('diagnostics');
+        } else {
+            for (const d of result.diagnostics) {
+                if (!isPlainObject(d) || !Object.hasOwn(DIAGNOSTIC_CODES, d.code)) {
+                    errors.push(t('schema.resultUnknownCode', { code: String(d?.code) }));
+                } else if (!hasScalarValues(d.values)) {
+                    badField('diagnostics');
+                }
+            }
+        }
+    }
+    if (result.trace !== undefined && result.trace !== null) {
+        const validStep = entry => isPlainObject(entry) && TRACE_STEPS.includes(entry.step) && hasScalarValues(entry.values);
+        if (!Array.isArray(result.trace) || !result.trace.every(validStep)) badField('trace');
+    }
+    if (result.remaining !== undefined) {
+        const validRemaining = item => knownChip(item) && Number.isInteger(item.quantity);
+        if (!Array.isArray(result.remaining) || !result.remaining.every(validRemaining)) badField('remaining');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a ledger session
+ * @param {*} session - Stored session
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateSession(session) {
+    if (!isPlainObject(session) || !Array.isArray(session.players)) {
+        return [t('schema.sessionNoPlayers')];
+    }
+
+    // cashOut is null until the player cashes out, then chip id → count
+    const validPlayer = p => isPlainObject(p) && typeof p.id === 'string' && typeof p.name === 'string' &&
+        Array.isArray(p.buyIns) && p.buyIns.every(isAmount) &&
+        (p.cashOut === null || (isPlainObject(p.cashOut) && Object.values(p.cashOut).every(isCount)));
+    return session.players.flatMap((p, i) => (validPlayer(p) ? [] : [t('schema.sessionBadPlayer', { number: i + 1 })]));
+}
+
+/**
+ * Validate a game-night record
+ * @param {*} game - Stored game night
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateGameNight(game) {
+    if (!isPlainObject(game) || !Array.isArray(game.players)) {
+        return [t('schema.gameNightNoPlayers')];
+    }
+
+    const errors = typeof game.date === 'string' ? [] : [t('schema.gameNightNoDate')];
+    const validPlayer = p => isPlainObject(p) && typeof p.name === 'string' &&
+        isAmount(p.totalIn) && isCount(p.rebuys) && Number.isFinite(p.net);
+    game.players.forEach((p, i) => {
+        if (!validPlayer(p)) errors.push(t('schema.gameNightBadPlayer', { number: i + 1 }));
+    });
+    return errors;
+}
+
+/**
+ * Fill in missing settings, including missing fields of nested groups
+ * (rebuys, tournament, denominations, currency)
+ * @param {Object} settings - Stored settings
+ * @param {Object} defaults - Current default settings
+ * @returns {Object}
+ */
+export function withSettingsDefaults(settings, defaults) {
+    const merged = { ...defaults, ...settings };
+    for (const [key, value] of Object.entries(defaults)) {
+        const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+        if (isGroup && settings[key] && typeof settings[key] === 'object') {
+            merged[key] = { ...value, ...settings[key] };
+        }
+    }
+    return merged;
+}
+
+/**
+ * Ordered migrations. Each one upgrades the whole data set from the
+ * previous version to `version`; data keys are chips, gameSettings,
+ * presets, clock, sessions, gameNights and chipSets (missing keys are null).
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        // Settings groups and chip locks were added after the first release
+        migrate(data, { defaultGameSettings }) {
+            const upgradeChips = chips => Array.isArray(chips)
+                ? chips.map(c => (c && typeof c === 'object' ? { locked: false, ...c } : c))
+                : chips;
+            const upgradeSettings = settings => settings && typeof settings === 'object'
+                ? withSettingsDefaults(settings, defaultGameSettings)
+                : settings;
+
+            return {
+                ...data,
+                chips: upgradeChips(data.chips),
+                gameSettings: upgradeSettings(data.gameSettings),
+                presets: Array.isArray(data.presets)
+                    ? data.presets.map(p => (p && typeof p === 'object'
+                        ? { ...p, chips: upgradeChips(p.chips), gameSettings: upgradeSettings(p.gameSettings) }
+                        : p))
+                    : data.presets
+            };
+        }
+    }
+];
+
+/**
+ * Run every migration newer than `fromVersion`, in order
+ * @param {Object} data - Stored data by key
+ * @param {number} fromVersion - Version the data was written with
+ * @param {Object} context - Values migrations may need
+ * @param {Object} context.defaultGameSettings - Current default settings
+ * @returns {Object} - Data at SCHEMA_VERSION
+ */
+export function migrateData(data, fromVersion, context) {
+    return MIGRATIONS
+        .filter(m => m.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .reduce((current, m) => m.migrate(current, context), data);
+}
@@ -0,0 +1,105 @@
+/**
+ * Game-Night History & Player Statistics
+ * Everything is computed locally from stored game nights
+ */
+
+/**
+ * Build a game-night record from an ended ledger session
+ * @param {Object} session - Ended ledger session
+ * @param {Object} summary - summarizeSession output for that session
+ * @param {Object} context - Game context
+ * @param {string|null} context.presetName - Preset loaded for the game, if any
+ * @param {Object} context.gameSettings - Game settings used
+ * @returns {{id: string, date: string, sessionId: string, presetName: string|null, gameSettings: Object, players: Array}}
+ */
+export function createGameNight(session, summary, { presetName, gameSettings }) {
+    return {
+        id: session.id,
+        date: session.startedAt,
+        sessionId: session.id,
+        presetName: presetName || null,
+        gameSettings: { ...gameSettings },
+        players: summary.players.map(p => ({
+            name: p.name,
+            totalIn: p.totalIn,
+            rebuys: p.rebuys,
+            net: p.net
+        }))
+    };
+}
+
+/**
+ * Key used to match the same player across nights
+ * @param {string} name - Player name
+ * @returns {string}
+ */
+function playerKey(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Running totals per player
+ * @param {Array} games - Game-night records
+ * @returns {Array<{name: string, netProfit: number, sessions: number, biggestWin: number, biggestLoss: number, averageRebuys: number}>} - Sorted by net profit
+ */
+export function computePlayerStats(games) {
+    const players = new Map();
+
+    for (const game of games) {
+        for (const p of game.players) {
+            const key = playerKey(p.name);
+            const stats = players.get(key) || {
+                name: p.name,
+                netCents: 0,
+                sessions: 0,
+                biggestWin: 0,
+                biggestLoss: 0,
+                totalRebuys: 0
+            };
+
+            stats.netCents += Math.round(p.net * 100);
+            stats.sessions += 1;
+            stats.biggestWin = Math.max(stats.biggestWin, p.net);
+            stats.biggestLoss = Math.min(stats.biggestLoss, p.net);
+            stats.totalRebuys += p.rebuys || 0;
+            players.set(key, stats);
+        }
+    }
+
+    return [...players.values()]
+        .map(({ netCents, totalRebuys, ...stats }) => ({
+            ...stats,
+            netProfit: netCents / 100,
+            averageRebuys: stats.sessions > 0 ? totalRebuys / stats.sessions : 0
+        }))
+        .sort((a, b) => b.netProfit - a.netProfit);
+}
+
+/**
+ * Cumulative net result per player after each game night (oldest first).
+ * Players carry their running total through nights they skipped.
+ *
+ * @param {Array} games - Game-night records
+ * @returns {{dates: string[], series: Array<{name: string, points: number[]}>}}
+ */
+export function cumulativeResults(games) {
+    const sorted = [...games].sort((a, b) => a.date.localeCompare(b.date));
+    const names = new Map();
+    for (const game of sorted) {
+        for (const p of game.players) {
+            if (!names.has(playerKey(p.name))) names.set(playerKey(p.name), p.name);
+        }
+    }
+
+    const series = [...names.entries()].map(([key, name]) => {
+        let runningCents = 0;
+        const points = sorted.map(game => {
+            const entry = game.players.find(p => playerKey(p.name) === key);
+            if (entry) runningCents += Math.round(entry.net * 100);
+            return runningCents / 100;
+        });
+        return { name, points };
+    });
+
+    return { dates: sorted.map(g => g.date), series };
+}
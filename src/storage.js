@@ -1,20 +1,361 @@
 /**
- * Local Storage wrapper for presets and settings
+ * Storage wrapper for presets and settings.
+ * Data is versioned (see schema.js); invalid entries are moved to a
+ * quarantine list instead of being dropped.
+ *
+ * After initStorage() reads are served from an in-memory copy and writes are
+ * persisted to the async backend (IndexedDB by default) in order, so saving
+ * never blocks the UI. Without initStorage() it uses localStorage directly.
  */
 
+import { DEFAULT_DENOMINATION_SETTINGS } from './chipCalculator.js';
+import { DEFAULT_CURRENCY_SETTINGS } from './currency.js';
+import {
+    SCHEMA_VERSION, migrateData, validateChip, validateGameSettings, validatePreset, validateChipSet,
+    validateSession, validateGameNight
+} from './schema.js';
+import { createDefaultBackend } from './storageBackends.js';
+import { t } from './i18n.js';
+
 const STORAGE_KEYS = {
     CHIPS: 'poker-chip-calculator-chips',
     PRESETS: 'poker-chip-calculator-presets',
-    GAME_SETTINGS: 'poker-chip-calculator-game'
+    GAME_SETTINGS: 'poker-chip-calculator-game',
+    CLOCK: 'poker-chip-calculator-clock',
+    SESSIONS: 'poker-chip-calculator-sessions',
+    GAME_NIGHTS: 'poker-chip-calculator-game-nights',
+    CHIP_SETS: 'poker-chip-calculator-chip-sets',
+    SCHEMA_VERSION: 'poker-chip-calculator-schema-version',
+    QUARANTINE: 'poker-chip-calculator-quarantine',
+    LANGUAGE: 'poker-chip-calculator-language'
+};
+
+// App data covered by migrations and backups (data key → storage key)
+const DATA_KEYS = {
+    chips: STORAGE_KEYS.CHIPS,
+    gameSettings: STORAGE_KEYS.GAME_SETTINGS,
+    presets: STORAGE_KEYS.PRESETS,
+    clock: STORAGE_KEYS.CLOCK,
+    sessions: STORAGE_KEYS.SESSIONS,
+    gameNights: STORAGE_KEYS.GAME_NIGHTS,
+    chipSets: STORAGE_KEYS.CHIP_SETS
 };
 
+const BACKUP_FORMAT = 'poker-chip-calculator-backup';
+
+// Async backend and the in-memory copy it is loaded into (null = plain localStorage)
+let backend = null;
+const cache = new Map();
+let pendingWrites = Promise.resolve();
+let errorHandler = (e) => console.error('Failed to persist data:', e);
+const changeListeners = [];
+
+/**
+ * Pick a storage backend and load its data. Call once before anything reads storage.
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Backend to use (see storageBackends.js); defaults to the best available
+ * @returns {Promise<string>} - Name of the backend in use
+ */
+export async function initStorage({ backend: chosen } = {}) {
+    backend = chosen || await createDefaultBackend();
+    cache.clear();
+    for (const [key, value] of await backend.entries()) {
+        cache.set(key, value);
+    }
+    return backend.name;
+}
+
+/**
+ * Name of the backend in use
+ * @returns {string}
+ */
+export function getStorageBackendName() {
+    return backend ? backend.name : 'localStorage';
+}
+
+/**
+ * Report failed background writes (e.g. quota exceeded) somewhere visible
+ * @param {(error: Error) => void} handler - Called with the error
+ */
+export function setStorageErrorHandler(handler) {
+    errorHandler = handler;
+}
+
+/**
+ * Get notified whenever chips, settings, presets, the clock, sessions or
+ * game nights are saved (used by table sync)
+ * @param {(name: string) => void} listener - Called with the data name, e.g. 'chips'
+ */
+export function addStorageListener(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Tell listeners that a stored key changed
+ * @param {string} key - Storage key
+ */
+function notifyChange(key) {
+    const name = Object.keys(DATA_KEYS).find(n => DATA_KEYS[n] === key);
+    if (name) changeListeners.forEach(listener => listener(name));
+}
+
+/**
+ * Wait for all queued writes to reach the backend
+ * @returns {Promise<void>}
+ */
+export function flushStorage() {
+    return pendingWrites;
+}
+
+/**
+ * Queue a backend write after the ones already pending
+ * @param {() => Promise<void>} write
+ */
+function persist(write) {
+    pendingWrites = pendingWrites.then(write).catch(e => errorHandler(e));
+}
+
+/**
+ * Read a raw stored value
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+function readItem(key) {
+    if (!backend) return localStorage.getItem(key);
+    return cache.has(key) ? cache.get(key) : null;
+}
+
+/**
+ * Store a raw value (persisted in the background when a backend is set)
+ * @param {string} key - Storage key
+ * @param {string} value - JSON text
+ */
+function writeItem(key, value) {
+    if (!backend) {
+        localStorage.setItem(key, value);
+    } else {
+        cache.set(key, value);
+        persist(() => backend.set(key, value));
+    }
+    notifyChange(key);
+}
+
+/**
+ * Delete a stored value
+ * @param {string} key - Storage key
+ */
+function removeItem(key) {
+    if (!backend) {
+        localStorage.removeItem(key);
+    } else {
+        cache.delete(key);
+        persist(() => backend.remove(key));
+    }
+    notifyChange(key);
+}
+
+/**
+ * Move a corrupted or invalid entry to the quarantine list
+ * @param {string} key - Storage key the entry came from
+ * @param {*} value - The entry (raw text if it couldn't be parsed)
+ * @param {string} reason - Why it was quarantined
+ */
+function quarantine(key, value, reason) {
+    try {
+        const entries = getQuarantine();
+        entries.push({ key, value, reason, quarantinedAt: new Date().toISOString() });
+        writeItem(STORAGE_KEYS.QUARANTINE, JSON.stringify(entries));
+        console.warn(`Quarantined data from ${key}: ${reason}`);
+    } catch (e) {
+        console.error('Failed to quarantine data:', e);
+    }
+}
+
+/**
+ * Read a stored JSON value. Unparseable values (e.g. a half-written save)
+ * are quarantined and removed.
+ * @param {string} key - Storage key
+ * @returns {*} - Parsed value, or null if missing or corrupted
+ */
+function readJSON(key) {
+    const data = readItem(key);
+    if (data === null) {
+        return null;
+    }
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        quarantine(key, data, t('schema.corruptJson'));
+        removeItem(key);
+        return null;
+    }
+}
+
+/**
+ * Read a stored list, quarantining the items that fail validation.
+ * The cleaned list is written back so each bad item is quarantined once.
+ * @param {string} key - Storage key
+ * @param {(item: *, index: number) => string[]} validate - Returns problems for an item
+ * @returns {Array|null} - Valid items, or null if nothing is stored
+ */
+function readValidList(key, validate) {
+    const items = readJSON(key);
+    if (items === null) {
+        return null;
+    }
+    if (!Array.isArray(items)) {
+        quarantine(key, items, t('schema.notAList'));
+        removeItem(key);
+        return null;
+    }
+
+    const valid = items.filter((item, i) => {
+        const problems = validate(item, i);
+        if (problems.length > 0) quarantine(key, item, problems.join(', '));
+        return problems.length === 0;
+    });
+    if (valid.length !== items.length) {
+        writeItem(key, JSON.stringify(valid));
+    }
+    return valid;
+}
+
+/**
+ * Bring stored data up to the current schema version.
+ * Call once at startup, before anything else reads storage.
+ * @returns {number} - Schema version of the stored data after migrating
+ */
+export function migrateStorage() {
+    try {
+        const stored = parseInt(readItem(STORAGE_KEYS.SCHEMA_VERSION)) || 1;
+        if (stored > SCHEMA_VERSION) {
+            console.warn(`Stored data is schema version ${stored}, newer than this app (${SCHEMA_VERSION})`);
+            return stored;
+        }
+
+        if (stored < SCHEMA_VERSION) {
+            const data = Object.fromEntries(
+                Object.entries(DATA_KEYS).map(([name, key]) => [name, readJSON(key)])
+            );
+            const migrated = migrateData(data, stored, { defaultGameSettings: getDefaultGameSettings() });
+
+            for (const [name, key] of Object.entries(DATA_KEYS)) {
+                if (migrated[name] !== null && migrated[name] !== undefined) {
+                    writeItem(key, JSON.stringify(migrated[name]));
+                }
+            }
+            writeItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+        }
+        return SCHEMA_VERSION;
+    } catch (e) {
+        console.error('Failed to migrate storage:', e);
+        return SCHEMA_VERSION;
+    }
+}
+
+/**
+ * Get quarantined entries
+ * @returns {Array<{key: string, value: *, reason: string, quarantinedAt: string}>}
+ */
+export function getQuarantine() {
+    try {
+        const data = readItem(STORAGE_KEYS.QUARANTINE);
+        return data ? JSON.parse(data) : [];
+    } catch (e) {
+        console.error('Failed to load quarantine:', e);
+        return [];
+    }
+}
+
+/**
+ * Delete all quarantined entries
+ * @returns {boolean} - Success status
+ */
+export function clearQuarantine() {
+    try {
+        removeItem(STORAGE_KEYS.QUARANTINE);
+        return true;
+    } catch (e) {
+        console.error('Failed to clear quarantine:', e);
+        return false;
+    }
+}
+
+/**
+ * Export all app data (including quarantined entries) as a backup file
+ * @returns {string} - JSON text
+ */
+export function createBackup() {
+    const data = Object.fromEntries(
+        Object.entries(DATA_KEYS).map(([name, key]) => {
+            try {
+                return [name, JSON.parse(readItem(key))];
+            } catch (e) {
+                return [name, null];
+            }
+        })
+    );
+
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: parseInt(readItem(STORAGE_KEYS.SCHEMA_VERSION)) || 1,
+        createdAt: new Date().toISOString(),
+        data,
+        quarantine: getQuarantine()
+    }, null, 2);
+}
+
+/**
+ * Replace all app data with a backup, then migrate it to the current schema
+ * @param {string} text - Backup file contents
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function restoreBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        return { ok: false, errors: [t('backup.invalidJson')] };
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== 'object') {
+        return { ok: false, errors: [t('backup.notBackup')] };
+    }
+    if (!(backup.schemaVersion <= SCHEMA_VERSION)) {
+        return { ok: false, errors: [t('backup.newerVersion', { version: backup.schemaVersion })] };
+    }
+
+    try {
+        for (const [name, key] of Object.entries(DATA_KEYS)) {
+            const value = backup.data[name];
+            if (value === null || value === undefined) {
+                removeItem(key);
+            } else {
+                writeItem(key, JSON.stringify(value));
+            }
+        }
+        if (Array.isArray(backup.quarantine) && backup.quarantine.length > 0) {
+            writeItem(STORAGE_KEYS.QUARANTINE, JSON.stringify(backup.quarantine));
+        } else {
+            removeItem(STORAGE_KEYS.QUARANTINE);
+        }
+        writeItem(STORAGE_KEYS.SCHEMA_VERSION, String(backup.schemaVersion));
+    } catch (e) {
+        console.error('Failed to restore backup:', e);
+        return { ok: false, errors: [t('backup.writeFailed', { error: e.message })] };
+    }
+
+    migrateStorage();
+    return { ok: true, errors: [] };
+}
+
 /**
  * Save chip inventory to local storage
  * @param {Array} chips - Array of chip objects
  */
 export function saveChips(chips) {
     try {
-        localStorage.setItem(STORAGE_KEYS.CHIPS, JSON.stringify(chips));
+        writeItem(STORAGE_KEYS.CHIPS, JSON.stringify(chips));
     } catch (e) {
         console.error('Failed to save chips:', e);
     }
@@ -26,8 +367,8 @@ export function saveChips(chips) {
  */
 export function loadChips() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.CHIPS);
-        return data ? JSON.parse(data) : null;
+        const chips = readValidList(STORAGE_KEYS.CHIPS, validateChip);
+        return chips && chips.length > 0 ? chips : null;
     } catch (e) {
         console.error('Failed to load chips:', e);
         return null;
@@ -40,7 +381,7 @@ export function loadChips() {
  */
 export function saveGameSettings(settings) {
     try {
-        localStorage.setItem(STORAGE_KEYS.GAME_SETTINGS, JSON.stringify(settings));
+        writeItem(STORAGE_KEYS.GAME_SETTINGS, JSON.stringify(settings));
     } catch (e) {
         console.error('Failed to save game settings:', e);
     }
@@ -52,22 +393,88 @@ export function saveGameSettings(settings) {
  */
 export function loadGameSettings() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.GAME_SETTINGS);
-        return data ? JSON.parse(data) : null;
+        const settings = readJSON(STORAGE_KEYS.GAME_SETTINGS);
+        if (settings === null) {
+            return null;
+        }
+
+        const problems = validateGameSettings(settings);
+        if (problems.length > 0) {
+            quarantine(STORAGE_KEYS.GAME_SETTINGS, settings, problems.join(', '));
+            removeItem(STORAGE_KEYS.GAME_SETTINGS);
+            return null;
+        }
+        return settings;
     } catch (e) {
         console.error('Failed to load game settings:', e);
         return null;
     }
 }
 
+/**
+ * Save the UI language. It's a device preference, so it isn't part of the
+ * game settings (which sync to the table) or of backups.
+ * @param {string} language - Language code, e.g. 'es'
+ */
+export function saveLanguage(language) {
+    try {
+        writeItem(STORAGE_KEYS.LANGUAGE, language);
+    } catch (e) {
+        console.error('Failed to save language:', e);
+    }
+}
+
+/**
+ * Load the UI language
+ * @returns {string|null} - Language code or null if never chosen
+ */
+export function loadLanguage() {
+    try {
+        return readItem(STORAGE_KEYS.LANGUAGE);
+    } catch (e) {
+        console.error('Failed to load language:', e);
+        return null;
+    }
+}
+
+/**
+ * Save blind clock state to local storage
+ * @param {Object} clock - Clock state (levels, index, running, remainingMs, endsAt)
+ */
+export function saveClockState(clock) {
+    try {
+        writeItem(STORAGE_KEYS.CLOCK, JSON.stringify(clock));
+    } catch (e) {
+        console.error('Failed to save clock:', e);
+    }
+}
+
+/**
+ * Load blind clock state from local storage
+ * @returns {Object|null} - Clock state or null if not found
+ */
+export function loadClockState() {
+    try {
+        const clock = readJSON(STORAGE_KEYS.CLOCK);
+        if (clock !== null && !Array.isArray(clock.levels)) {
+            quarantine(STORAGE_KEYS.CLOCK, clock, t('schema.clockNoLevels'));
+            removeItem(STORAGE_KEYS.CLOCK);
+            return null;
+        }
+        return clock;
+    } catch (e) {
+        console.error('Failed to load clock:', e);
+        return null;
+    }
+}
+
 /**
  * Get all saved presets
  * @returns {Array} - Array of preset objects
  */
 export function getPresets() {
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.PRESETS);
-        return data ? JSON.parse(data) : [];
+        return readValidList(STORAGE_KEYS.PRESETS, validatePreset) || [];
     } catch (e) {
         console.error('Failed to load presets:', e);
         return [];
@@ -102,7 +509,7 @@ export function savePreset(name, chips, gameSettings) {
             presets.push(preset);
         }
 
-        localStorage.setItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+        writeItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
         return true;
     } catch (e) {
         console.error('Failed to save preset:', e);
@@ -110,6 +517,21 @@ export function savePreset(name, chips, gameSettings) {
     }
 }
 
+/**
+ * Replace the whole preset list (used by import)
+ * @param {Array} presets - Preset objects
+ * @returns {boolean} - Success status
+ */
+export function savePresets(presets) {
+    try {
+        writeItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+        return true;
+    } catch (e) {
+        console.error('Failed to save presets:', e);
+        return false;
+    }
+}
+
 /**
  * Delete a preset by ID
  * @param {string} id - Preset ID
@@ -118,7 +540,7 @@ export function savePreset(name, chips, gameSettings) {
 export function deletePreset(id) {
     try {
         const presets = getPresets().filter(p => p.id !== id);
-        localStorage.setItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+        writeItem(STORAGE_KEYS.PRESETS, JSON.stringify(presets));
         return true;
     } catch (e) {
         console.error('Failed to delete preset:', e);
@@ -136,6 +558,165 @@ export function loadPreset(id) {
     return presets.find(p => p.id === id) || null;
 }
 
+/**
+ * Get all saved ledger sessions (open and ended)
+ * @returns {Array} - Array of session objects, oldest first
+ */
+export function getSessions() {
+    try {
+        return readValidList(STORAGE_KEYS.SESSIONS, validateSession) || [];
+    } catch (e) {
+        console.error('Failed to load sessions:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a ledger session, replacing any session with the same ID
+ * @param {Object} session - Session object
+ * @returns {boolean} - Success status
+ */
+export function saveSession(session) {
+    try {
+        const sessions = getSessions();
+        const existingIndex = sessions.findIndex(s => s.id === session.id);
+
+        if (existingIndex >= 0) {
+            sessions[existingIndex] = session;
+        } else {
+            sessions.push(session);
+        }
+
+        writeItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+        return true;
+    } catch (e) {
+        console.error('Failed to save session:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete a ledger session by ID
+ * @param {string} id - Session ID
+ * @returns {boolean} - Success status
+ */
+export function deleteSession(id) {
+    try {
+        const sessions = getSessions().filter(s => s.id !== id);
+        writeItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+        return true;
+    } catch (e) {
+        console.error('Failed to delete session:', e);
+        return false;
+    }
+}
+
+/**
+ * Get all recorded game nights
+ * @returns {Array} - Array of game-night records
+ */
+export function getGameNights() {
+    try {
+        return readValidList(STORAGE_KEYS.GAME_NIGHTS, validateGameNight) || [];
+    } catch (e) {
+        console.error('Failed to load game nights:', e);
+        return [];
+    }
+}
+
+/**
+ * Record a game night, replacing any record with the same ID
+ * @param {Object} gameNight - Game-night record
+ * @returns {boolean} - Success status
+ */
+export function saveGameNight(gameNight) {
+    try {
+        const games = getGameNights();
+        const existingIndex = games.findIndex(g => g.id === gameNight.id);
+
+        if (existingIndex >= 0) {
+            games[existingIndex] = gameNight;
+        } else {
+            games.push(gameNight);
+        }
+
+        writeItem(STORAGE_KEYS.GAME_NIGHTS, JSON.stringify(games));
+        return true;
+    } catch (e) {
+        console.error('Failed to save game night:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete a game night by ID
+ * @param {string} id - Game-night ID
+ * @returns {boolean} - Success status
+ */
+export function deleteGameNight(id) {
+    try {
+        const games = getGameNights().filter(g => g.id !== id);
+        writeItem(STORAGE_KEYS.GAME_NIGHTS, JSON.stringify(games));
+        return true;
+    } catch (e) {
+        console.error('Failed to delete game night:', e);
+        return false;
+    }
+}
+
+/**
+ * Get all saved chip sets
+ * @returns {Array} - Array of chip sets
+ */
+export function getChipSets() {
+    try {
+        return readValidList(STORAGE_KEYS.CHIP_SETS, validateChipSet) || [];
+    } catch (e) {
+        console.error('Failed to load chip sets:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a chip set, replacing any saved set with the same name
+ * @param {Object} chipSet - Chip set (see chipSets.js)
+ * @returns {boolean} - Success status
+ */
+export function saveChipSet(chipSet) {
+    try {
+        const sets = getChipSets();
+        const existingIndex = sets.findIndex(s => s.name === chipSet.name);
+
+        if (existingIndex >= 0) {
+            sets[existingIndex] = { ...chipSet, id: sets[existingIndex].id };
+        } else {
+            sets.push(chipSet);
+        }
+
+        writeItem(STORAGE_KEYS.CHIP_SETS, JSON.stringify(sets));
+        return true;
+    } catch (e) {
+        console.error('Failed to save chip set:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete a chip set by ID
+ * @param {string} id - Chip set ID
+ * @returns {boolean} - Success status
+ */
+export function deleteChipSet(id) {
+    try {
+        const sets = getChipSets().filter(s => s.id !== id);
+        writeItem(STORAGE_KEYS.CHIP_SETS, JSON.stringify(sets));
+        return true;
+    } catch (e) {
+        console.error('Failed to delete chip set:', e);
+        return false;
+    }
+}
+
 /**
  * Get default chip configuration for a new game
  * @returns {Array} - Default chip array
@@ -158,6 +739,23 @@ export function getDefaultGameSettings() {
         buyIn: 50,
         smallBlind: 0.50,
         bigBlind: 1,
-        players: 6
+        players: 6,
+        gameType: 'cash',
+        valueMode: 'suggest-unlocked',
+        distributionMode: 'exact',
+        rebuys: {
+            shortSeats: 0,
+            shortBuyIn: 25,
+            rebuyAmount: 50,
+            addOnAmount: 0,
+            expectedRebuys: 0
+        },
+        tournament: {
+            startingStack: 10000,
+            durationMinutes: 240,
+            levelMinutes: 20
+        },
+        denominations: { ...DEFAULT_DENOMINATION_SETTINGS, customValues: [] },
+        currency: { ...DEFAULT_CURRENCY_SETTINGS }
     };
 }
@@ -0,0 +1,182 @@
+/**
+ * Storage Backends
+ * Async key/value stores behind storage.js. Values are the JSON text that
+ * storage.js writes, so every backend holds exactly the same data.
+ *
+ * Backend interface:
+ *   name: string
+ *   entries(): Promise<Array<[string, string]>>
+ *   set(key, value): Promise<void>
+ *   remove(key): Promise<void>
+ */
+
+// Every app key starts with this prefix (see STORAGE_KEYS in storage.js)
+const KEY_PREFIX = 'poker-chip-calculator-';
+
+const DB_NAME = 'poker-chip-calculator';
+const DB_VERSION = 1;
+const DB_STORE = 'app-data';
+
+// Set in IndexedDB once the localStorage data has been copied over
+const MIGRATED_MARKER = `${KEY_PREFIX}migrated-from-local-storage`;
+
+// How long to wait for IndexedDB to open before giving up on it
+const OPEN_TIMEOUT_MS = 3000;
+
+/**
+ * In-memory backend (tests, and a last resort when nothing else works)
+ * @param {Object<string, string>} [initial] - Initial key → value pairs
+ * @returns {Object} - Backend
+ */
+export function createMemoryBackend(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        name: 'memory',
+        entries: async () => [...data.entries()],
+        set: async (key, value) => { data.set(key, value); },
+        remove: async (key) => { data.delete(key); }
+    };
+}
+
+/**
+ * Backend on window.localStorage (the original storage, ~5 MB limit)
+ * @param {Storage} [storage=localStorage] - Web Storage object
+ * @returns {Object} - Backend
+ */
+export function createLocalStorageBackend(storage = globalThis.localStorage) {
+    return {
+        name: 'localStorage',
+        entries: async () => Object.keys(storage)
+            .filter(key => key.startsWith(KEY_PREFIX))
+            .map(key => [key, storage.getItem(key)]),
+        set: async (key, value) => { storage.setItem(key, value); },
+        remove: async (key) => { storage.removeItem(key); }
+    };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the app's database. Rejects when the open is blocked (another tab
+ * holds an older version open) or doesn't finish in time; a database that
+ * opens after that is closed again so it doesn't block later opens.
+ *
+ * @param {IDBFactory} indexedDB - IndexedDB factory
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(indexedDB, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const settle = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            fn(value);
+        };
+        const timer = setTimeout(() => settle(reject, new Error('IndexedDB open timed out')), timeoutMs);
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE);
+        };
+        request.onblocked = () => settle(reject, new Error('IndexedDB open blocked by another tab'));
+        request.onerror = () => settle(reject, request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            if (settled) {
+                db.close();
+                return;
+            }
+            // Let a newer version of the app in another tab upgrade the database
+            db.onversionchange = () => db.close();
+            settle(resolve, db);
+        };
+    });
+}
+
+/**
+ * Backend on IndexedDB (no practical size limit, writes don't block the UI).
+ * On first use it copies the app's localStorage keys over and then removes
+ * them from localStorage.
+ *
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB factory
+ * @param {Storage|null} [options.legacyStorage=localStorage] - Storage to migrate from
+ * @param {number} [options.openTimeout=OPEN_TIMEOUT_MS] - Milliseconds to wait for the database to open
+ * @returns {Promise<Object>} - Backend (rejects if IndexedDB can't be opened)
+ */
+export async function createIndexedDBBackend({
+    indexedDB = globalThis.indexedDB,
+    legacyStorage = globalThis.localStorage,
+    openTimeout = OPEN_TIMEOUT_MS
+} = {}) {
+    const db = await openDatabase(indexedDB, openTimeout);
+
+    // Run writes in a transaction; resolves once they are committed
+    const run = (mode, fn) => {
+        const tx = db.transaction(DB_STORE, mode);
+        fn(tx.objectStore(DB_STORE));
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    const backend = {
+        name: 'IndexedDB',
+        entries: async () => {
+            const store = db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE);
+            const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+            return keys.map((key, i) => [key, values[i]]);
+        },
+        set: (key, value) => run('readwrite', store => { store.put(value, key); }),
+        remove: (key) => run('readwrite', store => { store.delete(key); })
+    };
+
+    // One-time copy of the existing localStorage data
+    const existing = new Map(await backend.entries());
+    if (!existing.has(MIGRATED_MARKER) && legacyStorage) {
+        const legacy = Object.keys(legacyStorage).filter(key => key.startsWith(KEY_PREFIX));
+        await run('readwrite', store => {
+            legacy.forEach(key => store.put(legacyStorage.getItem(key), key));
+            store.put(new Date().toISOString(), MIGRATED_MARKER);
+        });
+        legacy.forEach(key => legacyStorage.removeItem(key));
+    }
+
+    return {
+        ...backend,
+        entries: async () => (await backend.entries()).filter(([key]) => key !== MIGRATED_MARKER)
+    };
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory
+ * @returns {Promise<Object>} - Backend
+ */
+export async function createDefaultBackend() {
+    if (globalThis.indexedDB) {
+        try {
+            return await createIndexedDBBackend();
+        } catch (e) {
+            // e.g. private browsing modes that disable IndexedDB, or another tab blocking the open
+            console.warn('IndexedDB unavailable, using localStorage:', e);
+        }
+    }
+    if (globalThis.localStorage) {
+        return createLocalStorageBackend();
+    }
+    return createMemoryBackend();
+}
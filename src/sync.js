@@ -0,0 +1,274 @@
+/**
+ * Table Sync
+ * Shares chips, game settings, presets and the last result between devices.
+ *
+ * CONFLICT RULES:
+ * 1. Every chip, preset and top-level game setting is its own entry, stamped
+ *    with a Lamport clock and the ID of the device that last changed it
+ * 2. The entry with the higher clock wins; equal clocks go to the higher
+ *    device ID, so every device settles on the same value
+ * 3. Deleting a chip or preset leaves a tombstone, so a stale copy on
+ *    another phone can't bring it back
+ * 4. A device that joins a table adopts the table's chips and settings;
+ *    only its presets are added to the table's
+ *
+ * Transports only need send(message), onMessage(handler), onStatus(handler)
+ * and close(), so a WebSocket relay and BroadcastChannel are interchangeable.
+ */
+
+// How each synced document maps to keyed entries and back
+const DOCS = {
+    chips: {
+        toEntries: chips => Object.fromEntries(chips.map(c => [c.id, c])),
+        fromEntries: values => values.sort((a, b) => a.value - b.value)
+    },
+    gameSettings: {
+        toEntries: settings => ({ ...settings }),
+        fromEntries: (values, keys) => Object.fromEntries(keys.map((key, i) => [key, values[i]]))
+    },
+    presets: {
+        toEntries: presets => Object.fromEntries(presets.map(p => [p.id, p])),
+        fromEntries: values => values
+    },
+    result: {
+        toEntries: result => ({ current: result }),
+        fromEntries: values => values[0] ?? null
+    }
+};
+
+export const SYNCED_DOCS = Object.keys(DOCS);
+
+/**
+ * Order two entry stamps
+ * @param {{clock: number, device: string}} a
+ * @param {{clock: number, device: string}} b
+ * @returns {number} - Positive if a wins, negative if b wins, 0 if equal
+ */
+export function compareStamps(a, b) {
+    if (a.clock !== b.clock) return a.clock - b.clock;
+    return a.device < b.device ? -1 : a.device > b.device ? 1 : 0;
+}
+
+/**
+ * Whether a received entry has a usable stamp: a NaN or string clock would
+ * break every later comparison
+ * @param {*} entry - Entry from a peer
+ * @returns {boolean}
+ */
+export function isValidEntry(entry) {
+    return !!entry && typeof entry === 'object' &&
+        Number.isSafeInteger(entry.clock) && entry.clock >= 0 &&
+        typeof entry.device === 'string';
+}
+
+/**
+ * Merge remote entries into local ones (last writer wins per entry)
+ * @param {Object<string, Object>} local - key → {value, clock, device, deleted}
+ * @param {Object<string, Object>} remote - Entries received from a peer
+ * @returns {{entries: Object, changed: boolean}}
+ */
+export function mergeEntries(local, remote) {
+    const entries = { ...local };
+    let changed = false;
+    for (const [key, entry] of Object.entries(remote)) {
+        if (!entries[key] || compareStamps(entry, entries[key]) > 0) {
+            entries[key] = entry;
+            changed = true;
+        }
+    }
+    return { entries, changed };
+}
+
+/**
+ * Create a sync engine for one device
+ * @param {Object} params
+ * @param {Object} params.transport - Message transport (see createBroadcastChannelTransport)
+ * @param {(doc: string, value: *) => void} params.onChange - Called when a peer changes a document
+ * @param {(peers: string[]) => void} [params.onPeersChange] - Called when a device arrives or leaves
+ * @param {string} [params.deviceId] - Unique ID for this device
+ * @returns {Object} - Engine with host(), join(), update(), getPeers() and close()
+ */
+export function createSyncEngine({ transport, onChange, onPeersChange = () => {}, deviceId = createDeviceId() }) {
+    const docs = Object.fromEntries(SYNCED_DOCS.map(name => [name, {}]));
+    const peers = new Map(); // device ID → first message time
+    let clock = 0;
+
+    const send = (message) => transport.send({ ...message, from: deviceId });
+
+    const materialize = (name) => {
+        const live = Object.entries(docs[name]).filter(([, entry]) => !entry.deleted);
+        return DOCS[name].fromEntries(live.map(([, e]) => e.value), live.map(([key]) => key));
+    };
+
+    /**
+     * Record a local snapshot of a document; changed entries are stamped and sent
+     * @param {string} name - Document name (chips, gameSettings, presets, result)
+     * @param {*} value - Full current value of the document
+     */
+    function update(name, value) {
+        const next = DOCS[name].toEntries(value);
+        const changes = {};
+
+        for (const [key, item] of Object.entries(next)) {
+            const current = docs[name][key];
+            if (!current || current.deleted || JSON.stringify(current.value) !== JSON.stringify(item)) {
+                changes[key] = { value: item, clock: ++clock, device: deviceId };
+            }
+        }
+        for (const [key, current] of Object.entries(docs[name])) {
+            if (!(key in next) && !current.deleted) {
+                changes[key] = { value: null, deleted: true, clock: ++clock, device: deviceId };
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            docs[name] = { ...docs[name], ...changes };
+            send({ type: 'state', docs: { [name]: changes } });
+        }
+    }
+
+    function receive(message) {
+        if (!message || message.from === deviceId) return;
+        if (!peers.has(message.from) && message.type !== 'bye') {
+            peers.set(message.from, Date.now());
+            onPeersChange([...peers.keys()]);
+        }
+
+        if (message.type === 'hello') {
+            // A device arrived: send it everything we have
+            send({ type: 'state', docs });
+        } else if (message.type === 'bye') {
+            peers.delete(message.from);
+            onPeersChange([...peers.keys()]);
+        } else if (message.type === 'state') {
+            for (const [name, received] of Object.entries(message.docs || {})) {
+                if (!docs[name] || !received || typeof received !== 'object') continue;
+                const entries = Object.fromEntries(Object.entries(received).filter(([, entry]) => isValidEntry(entry)));
+                for (const entry of Object.values(entries)) {
+                    clock = Math.max(clock, entry.clock);
+                }
+                const merged = mergeEntries(docs[name], entries);
+                if (merged.changed) {
+                    docs[name] = merged.entries;
+                    onChange(name, materialize(name));
+                }
+            }
+        }
+    }
+
+    transport.onMessage(receive);
+
+    return {
+        deviceId,
+
+        /**
+         * Start a table with this device's state
+         * @param {Object} state - Initial values by document name
+         */
+        host(state) {
+            for (const [name, value] of Object.entries(state)) {
+                if (value !== undefined && value !== null) update(name, value);
+            }
+            send({ type: 'hello' });
+        },
+
+        /**
+         * Join a table: adopt its chips and settings, contribute presets
+         * @param {Object} state - This device's values by document name
+         */
+        join(state) {
+            if (state.presets) update('presets', state.presets);
+            send({ type: 'hello' });
+        },
+
+        update,
+
+        /**
+         * Devices heard from since joining
+         * @returns {string[]}
+         */
+        getPeers() {
+            return [...peers.keys()];
+        },
+
+        close() {
+            send({ type: 'bye' });
+            transport.close();
+        }
+    };
+}
+
+/**
+ * Random device ID
+ * @returns {string}
+ */
+function createDeviceId() {
+    return globalThis.crypto?.randomUUID
+        ? globalThis.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Transport over BroadcastChannel: tabs of the same browser (and tests)
+ * @param {string} room - Table code
+ * @returns {Object} - Transport
+ */
+export function createBroadcastChannelTransport(room) {
+    const channel = new BroadcastChannel(`poker-chip-calculator-sync-${room}`);
+    return {
+        send: (message) => channel.postMessage(message),
+        onMessage: (handler) => { channel.onmessage = (e) => handler(e.data); },
+        onStatus: (handler) => handler('open'),
+        close: () => channel.close()
+    };
+}
+
+/**
+ * Transport over a WebSocket relay that forwards each message to the other
+ * devices in the same room (see scripts/sync-relay.js). Messages sent before
+ * the socket opens are queued.
+ *
+ * @param {string} url - Relay URL, e.g. ws://192.168.1.20:8787
+ * @param {string} room - Table code
+ * @returns {Object} - Transport
+ */
+export function createWebSocketTransport(url, room) {
+    const relayUrl = new URL(url);
+    relayUrl.searchParams.set('room', room);
+
+    const socket = new WebSocket(relayUrl);
+    const queue = [];
+    let statusHandler = () => {};
+    let messageHandler = () => {};
+
+    socket.addEventListener('open', () => {
+        statusHandler('open');
+        queue.splice(0).forEach(text => socket.send(text));
+    });
+    socket.addEventListener('close', () => statusHandler('closed'));
+    socket.addEventListener('error', () => statusHandler('error'));
+    socket.addEventListener('message', (e) => {
+        try {
+            messageHandler(JSON.parse(e.data));
+        } catch (err) {
+            console.error('Ignoring malformed sync message:', err);
+        }
+    });
+
+    return {
+        send: (message) => {
+            const text = JSON.stringify(message);
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(text);
+            } else if (socket.readyState === WebSocket.CONNECTING) {
+                queue.push(text);
+            }
+        },
+        onMessage: (handler) => { messageHandler = handler; },
+        onStatus: (handler) => {
+            statusHandler = handler;
+            handler(socket.readyState === WebSocket.OPEN ? 'open' : 'connecting');
+        },
+        close: () => socket.close()
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Tournament Structure
+ * Builds blind/ante schedules and tournament chip values
+ */
+
+import { gcd } from './chipCalculator.js';
+import { formatNumber, getCurrencySettings } from './currency.js';
+
+// Starting stack depth in big blinds (tournaments start deeper than cash games)
+const STARTING_BIG_BLINDS = 200;
+
+// Average stack (in big blinds) across the field by the end of the schedule
+const FINAL_BIG_BLINDS = 20;
+
+// Antes kick in after this share of the schedule, at roughly 1/10 of the big blind
+const ANTE_START_FRACTION = 1 / 3;
+const ANTE_BIG_BLIND_RATIO = 0.1;
+
+// Clean small blind steps, scaled by powers of 10
+const BLIND_SERIES = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8];
+
+// Standard tournament chip denominations
+const TOURNAMENT_DENOMINATIONS = [1, 5, 10, 25, 50, 100, 500, 1000, 5000, 25000, 100000, 500000];
+
+/**
+ * Pick the denomination closest to a value
+ * @param {number} value - Raw amount
+ * @param {number[]} pool - Candidate amounts
+ * @returns {number}
+ */
+function closest(value, pool) {
+    return pool.reduce((best, curr) =>
+        Math.abs(curr - value) < Math.abs(best - value) ? curr : best
+        , pool[0]);
+}
+
+/**
+ * Next small blind: the clean amount nearest the target that is above the
+ * previous level and a multiple of the smallest chip
+ * @param {number} previous - Previous level's small blind
+ * @param {number} target - Preferred amount from the geometric progression
+ * @param {number} unit - Smallest chip (all blinds must be multiples)
+ * @returns {number}
+ */
+function nextSmallBlind(previous, target, unit) {
+    const magnitude = Math.floor(Math.log10(Math.max(target, previous, 1)));
+    const pool = [];
+
+    for (let m = magnitude - 1; m <= magnitude + 2; m++) {
+        for (const base of BLIND_SERIES) {
+            const candidate = Math.round(base * Math.pow(10, m));
+            if (candidate > previous && candidate % unit === 0) {
+                pool.push(candidate);
+            }
+        }
+    }
+
+    return pool.length > 0 ? closest(target, pool) : previous + unit;
+}
+
+/**
+ * Build a blind and ante schedule for a tournament.
+ *
+ * Blinds grow geometrically from a 200 big blind starting depth to an
+ * average of 20 big blinds per remaining stack at the end of the schedule.
+ * Every amount is a multiple of the first small blind so it can always be
+ * posted with the smallest chip.
+ *
+ * @param {Object} params - Schedule parameters
+ * @param {number} params.startingStack - Starting stack in tournament chips
+ * @param {number} params.numPlayers - Number of players
+ * @param {number} params.durationMinutes - Target tournament length
+ * @param {number} params.levelMinutes - Length of each blind level
+ * @returns {Array<{level: number, smallBlind: number, bigBlind: number, ante: number, minutes: number, startsAt: number}>}
+ */
+export function buildBlindSchedule({ startingStack, numPlayers, durationMinutes, levelMinutes }) {
+    if (startingStack <= 0 || levelMinutes <= 0) {
+        return [];
+    }
+
+    const numLevels = Math.max(1, Math.floor(durationMinutes / levelMinutes));
+    const totalChips = startingStack * Math.max(numPlayers, 2);
+
+    const startSB = closest(startingStack / (STARTING_BIG_BLINDS * 2), TOURNAMENT_DENOMINATIONS);
+    const endSB = Math.max(startSB, totalChips / (FINAL_BIG_BLINDS * 2));
+    const growth = numLevels > 1 ? Math.pow(endSB / startSB, 1 / (numLevels - 1)) : 1;
+    const anteStart = Math.ceil(numLevels * ANTE_START_FRACTION);
+
+    const levels = [];
+    let smallBlind = 0;
+
+    for (let i = 0; i < numLevels; i++) {
+        smallBlind = i === 0 ? startSB : nextSmallBlind(smallBlind, startSB * Math.pow(growth, i), startSB);
+        const bigBlind = smallBlind * 2;
+
+        // Antes: ~10% of the big blind, rounded to the smallest chip
+        const ante = i >= anteStart && numLevels > 1
+            ? Math.max(startSB, Math.round(bigBlind * ANTE_BIG_BLIND_RATIO / startSB) * startSB)
+            : 0;
+
+        levels.push({
+            level: i + 1,
+            smallBlind,
+            bigBlind,
+            ante,
+            minutes: levelMinutes,
+            startsAt: i * levelMinutes
+        });
+    }
+
+    return levels;
+}
+
+/**
+ * Suggest tournament chip values that can post every level of a schedule.
+ *
+ * RULES:
+ * 1. Smallest chip = greatest common divisor of all blinds and antes
+ * 2. Remaining chips come from the standard tournament denominations,
+ *    each a multiple of the smallest chip and at most starting stack / 2
+ * 3. Each next chip is the largest one within 5× of the previous chip
+ *
+ * @param {Array} levels - Blind schedule from buildBlindSchedule
+ * @param {number} startingStack - Starting stack in tournament chips
+ * @param {number} numChipTypes - Number of different chip types available
+ * @returns {number[]} - Array of suggested chip values (ascending)
+ */
+export function suggestTournamentChipValues(levels, startingStack, numChipTypes) {
+    if (levels.length === 0 || numChipTypes <= 0) {
+        return [];
+    }
+
+    const amounts = levels.flatMap(l => [l.smallBlind, l.bigBlind, l.ante]).filter(a => a > 0);
+    const smallest = amounts.reduce((g, a) => gcd(g, a), 0);
+    const values = [smallest];
+
+    const candidates = TOURNAMENT_DENOMINATIONS.filter(d =>
+        d > smallest && d % smallest === 0 && d <= startingStack / 2
+    );
+
+    // Take the largest step within 5× each time (or the next one up if none fits)
+    let remaining = candidates;
+    while (values.length < numChipTypes && remaining.length > 0) {
+        const lastValue = values[values.length - 1];
+        const withinJump = remaining.filter(d => d <= lastValue * 5);
+        const next = withinJump.length > 0 ? withinJump[withinJump.length - 1] : remaining[0];
+        values.push(next);
+        remaining = remaining.filter(d => d > next);
+    }
+
+    return values;
+}
+
+/**
+ * Find schedule levels whose blinds or ante cannot be made from the chip values
+ * @param {Array} levels - Blind schedule
+ * @param {number[]} chipValues - Chip denominations in play
+ * @returns {number[]} - Level numbers that cannot be posted exactly
+ */
+export function findUnpostableLevels(levels, chipValues) {
+    const unit = chipValues.filter(v => v > 0).reduce((g, v) => gcd(g, Math.round(v)), 0);
+    if (unit === 0) {
+        return levels.map(l => l.level);
+    }
+
+    return levels
+        .filter(l => [l.smallBlind, l.bigBlind, l.ante].some(a => a % unit !== 0))
+        .map(l => l.level);
+}
+
+/**
+ * Format a tournament chip amount (no currency, locale thousands separators)
+ * @param {number} value - Amount in tournament chips
+ * @returns {string} - e.g. "10,000" (or "10.000" in de-DE)
+ */
+export function formatTournamentChips(value) {
+    return formatNumber(value, getCurrencySettings(), 0);
+}
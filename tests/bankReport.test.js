@@ -0,0 +1,81 @@
+/**
+ * Bank report tests
+ * Chips pulled and left per color add back up to the case, table and
+ * reserve values split the case's worth, and the stacking steps and low
+ * stock warnings match the stacks being built.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBankReport, calculateDistribution } from '../src/chipCalculator.js';
+
+const chips = [
+    { id: '1', name: 'White', value: 0.25, quantity: 200 },
+    { id: '2', name: 'Red', value: 1, quantity: 100 },
+    { id: '3', name: 'Blue', value: 5, quantity: 20 }
+];
+
+/**
+ * Per-player distribution with the given quantity of each chip
+ * @param {Object<string, number>} quantities - Chip id → chips per player
+ * @returns {{distribution: Array}}
+ */
+function stackOf(quantities) {
+    return {
+        distribution: chips
+            .filter(chip => quantities[chip.id])
+            .map(chip => ({ ...chip, quantity: quantities[chip.id], subtotal: quantities[chip.id] * chip.value }))
+    };
+}
+
+test('pulled and left chips add up to the case', () => {
+    const report = buildBankReport(chips, [{ ...stackOf({ 1: 20, 2: 10, 3: 1 }), count: 6 }]);
+
+    assert.deepEqual(report.rows.map(r => [r.name, r.owned, r.pulled, r.left, r.largestStack]), [
+        ['White', 200, 120, 80, 20],
+        ['Red', 100, 60, 40, 10],
+        ['Blue', 20, 6, 14, 1]
+    ]);
+    assert.equal(report.pulledValue, 6 * 20);
+    assert.equal(report.reserveValue, 80 * 0.25 + 40 + 14 * 5);
+    assert.deepEqual(report.warnings, []);
+});
+
+test('mixed stacks are built in labeled steps, split into rack rows', () => {
+    const report = buildBankReport(chips, [
+        { ...stackOf({ 1: 44, 2: 9 }), count: 2, label: '$20' },
+        { ...stackOf({ 1: 20 }), count: 1, label: '$5' },
+        { ...stackOf({ 3: 2 }), count: 0, label: '$10' }
+    ]);
+
+    assert.deepEqual(report.steps, [
+        '$20: Make 2 stacks of 44 White (2 × 20 + 4)',
+        '$20: Make 2 stacks of 9 Red',
+        '$20: Give each player one stack of every color',
+        '$5: Make 1 stack of 20 White',
+        '$5: Give each player one stack of every color'
+    ], 'whole rack rows are not split, empty stacks are skipped');
+    assert.equal(report.rows[0].pulled, 2 * 44 + 20);
+    assert.equal(report.rows[2].pulled, 0);
+    assert.equal(buildBankReport(chips, [{ ...stackOf({ 1: 20 }), count: 3, label: 'only' }]).steps[0],
+        'Make 3 stacks of 20 White', 'no label with a single stack');
+});
+
+test('a case with less than one more stack left warns, an overdrawn one does not', () => {
+    const report = buildBankReport(chips, [{ ...stackOf({ 1: 40, 3: 3 }), count: 6 }]);
+
+    assert.equal(report.rows[2].left, 2);
+    assert.deepEqual(report.warnings, ['Only 2 Blue left in the case, less than one more stack of 3']);
+    assert.equal(report.rows[0].left, -40, 'overdrawn chips are reported by the inventory check instead');
+    assert.equal(report.reserveValue, 2 * 5 + 100, 'nothing negative in reserve');
+});
+
+test('a calculated distribution feeds the report directly', () => {
+    const result = calculateDistribution({ buyIn: 20, smallBlind: 0.25, bigBlind: 0.5, numPlayers: 5, chips, mode: 'exact' });
+    const report = buildBankReport(chips, [{ distribution: result.distribution, count: 5 }]);
+
+    assert.equal(report.pulledValue, 5 * result.totalValue);
+    assert.equal(report.pulledValue + report.reserveValue, chips.reduce((sum, chip) => sum + chip.quantity * chip.value, 0));
+});
@@ -0,0 +1,119 @@
+/**
+ * Betting helper tests
+ * Bet limits by the usual table rules, and counting chips out for a bet or
+ * for change from the bank.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { noLimitMinRaise, potLimitMaxRaise, potOdds, fewestChips, makeChange } from '../src/betting.js';
+
+test('no-limit minimum bet is the big blind', () => {
+    assert.equal(noLimitMinRaise(0, 2), 2);
+});
+
+test('no-limit minimum raise over a bet doubles it', () => {
+    // Facing a bet of 100: the increment is the bet itself
+    assert.equal(noLimitMinRaise(100, 2), 200);
+    assert.equal(noLimitMinRaise(100, 2, 100), 200);
+    // A bet smaller than the big blind still raises by at least the big blind
+    assert.equal(noLimitMinRaise(1, 2), 3);
+});
+
+test('no-limit minimum re-raise adds the last raise increment', () => {
+    // 100 raised to 300: the increment is 200, so the re-raise is to 500
+    assert.equal(noLimitMinRaise(300, 2, 200), 500);
+    // 300 re-raised to 1000: increment 700
+    assert.equal(noLimitMinRaise(1000, 2, 700), 1700);
+    // Preflop the big blind is the bet to call and the increment
+    assert.equal(noLimitMinRaise(2, 2, 2), 4);
+});
+
+test('pot-limit maximum raise is the pot after calling', () => {
+    assert.deepEqual(potLimitMaxRaise(3, 2), { raiseBy: 5, raiseTo: 7 });
+    assert.deepEqual(potLimitMaxRaise(10, 0), { raiseBy: 10, raiseTo: 10 });
+});
+
+test('pot odds compare the call to the pot', () => {
+    assert.deepEqual(potOdds(30, 10), { ratio: 3, equity: 0.25 });
+    assert.equal(potOdds(30, 0), null);
+});
+
+/**
+ * Fewest chips for an amount by trying every count of every chip
+ * @param {number} amount
+ * @param {Array<{value: number, quantity: number}>} chips
+ * @param {boolean} limited - Use at most each chip's quantity
+ * @returns {number} - Chips needed, or Infinity if the amount can't be made
+ */
+function bruteForceFewest(amount, chips, limited) {
+    const target = Math.round(amount * 100);
+    const search = (index, cents) => {
+        if (cents === target) return 0;
+        if (index === chips.length || cents > target) return Infinity;
+        const value = Math.round(chips[index].value * 100);
+        const limit = Math.min(limited ? chips[index].quantity : Infinity, Math.floor((target - cents) / value));
+        let best = Infinity;
+        for (let count = 0; count <= limit; count++) {
+            best = Math.min(best, count + search(index + 1, cents + count * value));
+        }
+        return best;
+    };
+    return search(0, 0);
+}
+
+test('fewest chips matches trying every combination', () => {
+    const sets = [
+        [{ id: 'a', value: 1, quantity: 3 }, { id: 'b', value: 3, quantity: 2 }, { id: 'c', value: 4, quantity: 2 }],
+        [{ id: 'a', value: 0.25, quantity: 8 }, { id: 'b', value: 1, quantity: 3 }, { id: 'c', value: 2.5, quantity: 2 }],
+        [{ id: 'a', value: 5, quantity: 4 }, { id: 'b', value: 25, quantity: 3 }, { id: 'c', value: 100, quantity: 1 }]
+    ];
+    for (const chips of sets) {
+        const smallest = Math.min(...chips.map(chip => chip.value));
+        for (let units = 0; units <= 60; units++) {
+            const amount = Math.round(units * smallest * 100) / 100;
+            for (const limited of [false, true]) {
+                const context = `${amount} from ${JSON.stringify(chips)}${limited ? ' (limited)' : ''}`;
+                const expected = bruteForceFewest(amount, chips, limited);
+                const result = fewestChips(amount, chips, { limited });
+                if (expected === Infinity) {
+                    assert.equal(result, null, context);
+                    continue;
+                }
+                assert.equal(result.reduce((sum, item) => sum + item.count, 0), expected, context);
+                assert.equal(Math.round(result.reduce((sum, item) => sum + item.count * item.value, 0) * 100), Math.round(amount * 100), context);
+                assert.ok(result.every((item, i) => i === 0 || item.value < result[i - 1].value), `largest first: ${context}`);
+                if (limited) {
+                    assert.ok(result.every(item => item.count <= chips.find(c => c.id === item.id).quantity), context);
+                }
+            }
+        }
+    }
+    assert.deepEqual(fewestChips(0, sets[0]), []);
+    assert.equal(fewestChips(-1, sets[0]), null);
+    assert.equal(fewestChips(5, []), null);
+});
+
+test('change comes from smaller chips the bank still has', () => {
+    const bank = [
+        { id: 'white', value: 0.25, quantity: 100 },
+        { id: 'red', value: 1, quantity: 50 },
+        { id: 'blue', value: 5, quantity: 20 }
+    ];
+    const total = change => change.reduce((sum, item) => sum + item.count * item.value, 0);
+
+    const { change, fewest } = makeChange(5, bank, { below: 5 });
+    assert.equal(total(change), 5);
+    assert.ok(change.every(item => item.id !== 'blue'), 'never the chip being broken');
+    assert.deepEqual(fewest, [{ id: 'red', value: 1, count: 5 }]);
+
+    const broken = makeChange(25, bank, { below: 25 });
+    assert.equal(total(broken.change), 25);
+    assert.ok(broken.change.every(item => item.count <= bank.find(chip => chip.id === item.id).quantity));
+
+    const shortBank = [{ id: 'white', value: 0.25, quantity: 3 }, { id: 'red', value: 1, quantity: 4 }];
+    assert.deepEqual(makeChange(5, shortBank, { below: 5 }), { change: null, fewest: null }, 'only 4.75 left');
+    assert.deepEqual(makeChange(5, [{ id: 'blue', value: 5, quantity: 20 }], { below: 5 }), { change: null, fewest: null });
+});
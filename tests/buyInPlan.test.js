@@ -0,0 +1,93 @@
+/**
+ * Buy-in plan tests
+ * Mixed buy-ins, rebuys and add-ons: each starting stack makes its amount,
+ * packages come out of what is left in the case, and the bank is checked
+ * against the expected rebuys after the add-ons are set aside.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateBuyInPlan } from '../src/chipCalculator.js';
+
+const chips = [
+    { id: '1', name: 'White', value: 0.25, quantity: 200 },
+    { id: '2', name: 'Red', value: 1, quantity: 200 },
+    { id: '3', name: 'Blue', value: 5, quantity: 100 }
+];
+const blinds = { smallBlind: 0.25, bigBlind: 0.5, chips, mode: 'exact' };
+
+/**
+ * Chips of each color a package or stack uses, by chip id
+ * @param {{distribution: Array}} stack
+ * @returns {Map<string, number>}
+ */
+function quantities(stack) {
+    return new Map(stack.distribution.map(item => [item.id, item.quantity]));
+}
+
+test('each buy-in amount gets its own stack', () => {
+    const plan = calculateBuyInPlan({ ...blinds, buyIns: [20, 10, 20, 20] });
+
+    assert.deepEqual(plan.stacks.map(s => [s.amount, s.players]), [[20, [0, 2, 3]], [10, [1]]], 'largest first, with the seats that get it');
+    assert.ok(plan.stacks.every(s => s.isValid && s.totalValue === s.amount));
+    assert.equal(plan.isValid, true);
+    assert.deepEqual(plan.diagnostics, []);
+
+    // What's left is the case minus every seat's stack
+    for (const chip of chips) {
+        const pulled = plan.stacks.reduce((sum, s) => sum + (quantities(s).get(chip.id) || 0) * s.players.length, 0);
+        assert.equal(plan.remaining.find(c => c.id === chip.id).quantity, chip.quantity - pulled, chip.name);
+    }
+    assert.equal(plan.rebuy, null);
+    assert.equal(plan.addOn, null);
+});
+
+test('add-ons are set aside before rebuys are counted', () => {
+    const rebuy = { amount: 20 };
+    const withoutAddOns = calculateBuyInPlan({ ...blinds, buyIns: [20, 20, 20, 20], rebuy, expectedRebuys: 3 });
+    const plan = calculateBuyInPlan({
+        ...blinds, buyIns: [20, 20, 20, 20], rebuy, expectedRebuys: 3, addOn: { amount: 10 }, expectedAddOns: 4
+    });
+
+    for (const pkg of [plan.rebuy, plan.addOn]) {
+        assert.equal(pkg.isValid, true);
+        assert.equal(pkg.totalValue, pkg.amount);
+    }
+    assert.ok(plan.addOnsCovered >= 4);
+    assert.ok(plan.rebuysCovered >= 3);
+    assert.ok(plan.rebuysCovered < withoutAddOns.rebuysCovered, 'the add-ons use up chips rebuys would have had');
+
+    // Rebuys are counted from what's left once the add-ons are set aside
+    const expected = Math.min(...plan.rebuy.distribution.map(item =>
+        Math.floor(plan.remaining.find(c => c.id === item.id).quantity / item.quantity)));
+    assert.equal(plan.rebuysCovered, expected);
+    assert.equal(plan.isValid, true);
+});
+
+test('a bank that cannot cover the rebuys says so', () => {
+    const rebuy = { amount: 20, breakdown: [{ id: '2', quantity: 15 }, { id: '3', quantity: 1 }] };
+    const plan = calculateBuyInPlan({ ...blinds, buyIns: [20, 20, 20, 20], rebuy, expectedRebuys: 50 });
+
+    const reds = plan.remaining.find(c => c.id === '2').quantity;
+    assert.equal(plan.rebuysCovered, Math.floor(reds / 15), 'reds run out first');
+    assert.deepEqual(plan.diagnostics.map(d => d.code), ['rebuys-not-covered']);
+    assert.deepEqual(plan.diagnostics[0].values, { covered: plan.rebuysCovered, count: 50 });
+    assert.equal(plan.isValid, false);
+    assert.equal(calculateBuyInPlan({ ...blinds, buyIns: [20, 20, 20, 20], rebuy, expectedRebuys: plan.rebuysCovered }).isValid, true);
+});
+
+test('an explicit package breakdown is used as given', () => {
+    const plan = calculateBuyInPlan({
+        ...blinds,
+        buyIns: [20, 20],
+        rebuy: { amount: 20, breakdown: [{ id: '2', quantity: 10 }, { id: '3', quantity: 1 }, { id: '9', quantity: 4 }] }
+    });
+
+    assert.deepEqual([...quantities(plan.rebuy)], [['2', 10], ['3', 1]], 'unknown chips are left out');
+    assert.equal(plan.rebuy.totalValue, 15);
+    assert.equal(plan.rebuy.isValid, false);
+    assert.deepEqual(plan.diagnostics.map(d => d.code), ['rebuy-inexact']);
+    assert.deepEqual(plan.diagnostics[0].values, { totalValue: 15, amount: 20 });
+});
@@ -0,0 +1,80 @@
+/**
+ * Chip calculator CLI tests
+ * The exit code tells scripts what happened: 0 exact, 1 bad input,
+ * 2 stacks that don't make the buy-in, 3 exact with warnings.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scripts/chip-calc.js', import.meta.url));
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function calc(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { status, stdout, stderr };
+}
+
+test('an exact result without warnings exits 0', () => {
+    const { status, stdout } = calc('--buy-in', '100', '--players', '2', '--chips', 'White:200:0.5,Red:200:1,Blue:100:5,Green:50:25', '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(report.isValid, true);
+    assert.equal(report.totalValue, 100);
+    assert.deepEqual(report.diagnostics, []);
+});
+
+test('bad input exits 1 with a message', () => {
+    const cases = [
+        ['--buy-in', 'abc'],
+        ['--bogus'],
+        ['--chips', 'White'],
+        ['--buy-in', '20', '--players', '2.5', '--chips', 'White:100:1'],
+        ['--buy-in', '20', '--players', '1', '--chips', 'White:100:1'],
+        ['--buy-in', '20', '--players', '0', '--chips', 'White:100:1'],
+        ['--buy-in', '20', '--chips', 'White:100:1', '--mode', 'greedy'],
+        ['--buy-in', '20', '--chips', 'White:100:1', '--format', 'xml'],
+        ['--buy-in', '20', '--chips', 'White:100:1', '--locale', 'not a locale'],
+        ['--buy-in', '20'],
+        ['no-such-file.json']
+    ];
+    for (const args of cases) {
+        const { status, stdout, stderr } = calc(...args);
+        assert.equal(status, 1, args.join(' '));
+        assert.equal(stdout, '', args.join(' '));
+        assert.match(stderr, /^chip-calc: /, args.join(' '));
+    }
+});
+
+test('stacks that cannot make the buy-in exit 2', () => {
+    const { status, stdout } = calc('--buy-in', '20', '--players', '4', '--chips', 'Red:100:3', '--format', 'json');
+
+    assert.equal(status, 2);
+    assert.equal(JSON.parse(stdout).isValid, false);
+});
+
+test('an exact result with warnings exits 3', () => {
+    // The suggested small blind for $20 is below the smallest chip
+    const { status, stdout } = calc('--buy-in', '20', '--players', '4', '--chips', 'White:100:0.25,Red:100:1,Blue:50:5', '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(status, 3);
+    assert.equal(report.isValid, true);
+    assert.ok(report.diagnostics.some(d => d.code === 'small-blind-below-smallest-chip'));
+});
+
+test('--help prints the usage and exits 0', () => {
+    const { status, stdout } = calc('--help');
+
+    assert.equal(status, 0);
+    assert.match(stdout, /Exit codes: 0 exact, 1 bad input, 2 invalid result, 3 exact with warnings/);
+});
@@ -0,0 +1,87 @@
+/**
+ * Chip set tests
+ * Combining cases into one inventory: shared colors stay separate chips with
+ * distinct ids and names, printed values stay locked, and values assigned
+ * earlier survive a recombination.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChipSet, describeChipSet, combineChipSets } from '../src/chipSets.js';
+
+const clay = {
+    id: 'clay', name: 'Clay 500',
+    chips: [
+        { id: '1', color: '#ffffff', name: 'White', quantity: 150 },
+        { id: '2', color: '#e53935', name: 'Red', quantity: 150 }
+    ]
+};
+const casino = {
+    id: 'casino', name: 'Casino',
+    chips: [
+        { id: '1', color: '#e53935', name: 'Red', quantity: 100, printedValue: 5 },
+        { id: '2', color: '#1e88e5', name: 'Blue', quantity: 50, printedValue: 25 }
+    ]
+};
+
+/**
+ * Assert that no two chips share an id
+ * @param {Array} chips - Inventory chips
+ */
+function assertUniqueIds(chips) {
+    assert.equal(new Set(chips.map(c => c.id)).size, chips.length, JSON.stringify(chips.map(c => c.id)));
+}
+
+test('shared colors stay separate chips with the set in their name', () => {
+    const chips = combineChipSets([clay, casino]);
+
+    assertUniqueIds(chips);
+    assert.deepEqual(chips.map(c => [c.id, c.name, c.setId]), [
+        ['clay-1', 'White', 'clay'],
+        ['clay-2', 'Red (Clay 500)', 'clay'],
+        ['casino-1', 'Red (Casino)', 'casino'],
+        ['casino-2', 'Blue', 'casino']
+    ]);
+    assert.deepEqual(chips.map(c => [c.value, c.locked]), [[1, false], [1, false], [5, true], [25, true]],
+        'printed values are locked, the rest start at 1');
+});
+
+test('chip ids never collide, even across sets with the same id', () => {
+    const twin = { ...clay, name: 'Clay 500 (restored)' };
+    const hyphenated = [
+        { id: 'a', name: 'A', chips: [{ id: 'b-c', color: '#000000', name: 'Black', quantity: 10 }] },
+        { id: 'a-b', name: 'AB', chips: [{ id: 'c', color: '#000000', name: 'Black', quantity: 10 }] }
+    ];
+
+    for (const sets of [[clay, twin], [clay, clay, clay], hyphenated]) {
+        const chips = combineChipSets(sets);
+        assertUniqueIds(chips);
+        assert.equal(chips.length, sets.reduce((sum, set) => sum + set.chips.length, 0));
+    }
+});
+
+test('values assigned earlier are kept when the sets are combined again', () => {
+    const current = combineChipSets([clay, casino]).map(chip =>
+        chip.id === 'clay-1' ? { ...chip, value: 0.25 } : chip.id === 'clay-2' ? { ...chip, value: 1, locked: true } : chip);
+    const chips = combineChipSets([clay, casino], current);
+
+    assert.deepEqual(chips.find(c => c.id === 'clay-1'), current.find(c => c.id === 'clay-1'));
+    assert.equal(chips.find(c => c.id === 'clay-2').locked, true);
+    assert.equal(combineChipSets([casino], current).find(c => c.id === 'casino-1').value, 5, 'printed values win');
+    assert.deepEqual(combineChipSets([clay]).map(c => c.name), ['White', 'Red'], 'no set names without a clash');
+});
+
+test('a saved set keeps locked values as printed denominations', () => {
+    const set = createChipSet('Home', [
+        { id: 'x', color: '#ffffff', name: 'White', quantity: 100, value: 0.25, locked: true },
+        { id: 'y', color: '#e53935', name: 'Red', quantity: 80, value: 1, locked: false, edgeColor: '#ffffff', edgeStyle: 'stripes' }
+    ]);
+
+    assert.deepEqual(set.chips, [
+        { id: '1', color: '#ffffff', name: 'White', quantity: 100, printedValue: 0.25 },
+        { id: '2', color: '#e53935', name: 'Red', quantity: 80, edgeColor: '#ffffff', edgeStyle: 'stripes' }
+    ]);
+    assert.deepEqual(describeChipSet(set), { colors: 2, chips: 180, printed: true });
+});
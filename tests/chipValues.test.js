@@ -0,0 +1,66 @@
+/**
+ * Chip value mode tests
+ * What Calculate does to chip values in each mode: manual keeps them,
+ * suggest replaces them all, and suggest-unlocked never touches a locked chip.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignChipValues } from '../src/chipCalculator.js';
+
+// Listed out of value order; Blue is the locked, printed-value chip
+const chips = [
+    { id: 'red', name: 'Red', value: 1, quantity: 100, locked: false },
+    { id: 'white', name: 'White', value: 0.1, quantity: 100, locked: false },
+    { id: 'blue', name: 'Blue', value: 5, quantity: 50, locked: true },
+    { id: 'green', name: 'Green', value: 10, quantity: 50, locked: false }
+];
+
+const valueOf = (result, id) => result.chips.find(c => c.id === id).value;
+
+test('manual mode keeps every value', () => {
+    const result = assignChipValues(chips, [0.25, 0.5, 1, 5], 'manual');
+
+    assert.deepEqual(result.changes, []);
+    assert.deepEqual(result.chips.map(c => c.id), ['white', 'red', 'blue', 'green'], 'sorted by value');
+    assert.deepEqual(result.chips.map(c => c.value), [0.1, 1, 5, 10]);
+});
+
+test('suggest mode replaces every value, locked or not, smallest first', () => {
+    const result = assignChipValues(chips, [0.25, 1, 2, 25], 'suggest');
+
+    assert.deepEqual(result.chips.map(c => [c.id, c.value]), [['white', 0.25], ['red', 1], ['blue', 2], ['green', 25]]);
+    assert.deepEqual(result.changes, [
+        { id: 'white', name: 'White', from: 0.1, to: 0.25 },
+        { id: 'blue', name: 'Blue', from: 5, to: 2 },
+        { id: 'green', name: 'Green', from: 10, to: 25 }
+    ], 'in inventory order, only the values that moved');
+});
+
+test('suggest-unlocked mode keeps locked chips and skips the values they hold', () => {
+    const result = assignChipValues(chips, [0.25, 1, 5, 25]);
+
+    assert.equal(valueOf(result, 'blue'), 5, 'locked chip kept');
+    assert.deepEqual(result.chips.map(c => [c.id, c.value]), [['white', 0.25], ['red', 1], ['blue', 5], ['green', 25]],
+        'the suggested 5 is already taken by Blue, so Green gets 25');
+    assert.ok(result.changes.every(change => change.id !== 'blue'));
+    assert.deepEqual(assignChipValues(chips, [0.25, 1, 5, 25], 'suggest-unlocked'), result, 'the default mode');
+});
+
+test('chips beyond the suggestions keep their values', () => {
+    const result = assignChipValues(chips, [0.5], 'suggest');
+
+    assert.deepEqual(result.changes, [{ id: 'white', name: 'White', from: 0.1, to: 0.5 }]);
+    assert.equal(valueOf(result, 'green'), 10);
+
+    const allLocked = chips.map(chip => ({ ...chip, locked: true }));
+    assert.deepEqual(assignChipValues(allLocked, [0.25, 0.5, 1, 2]).changes, []);
+});
+
+test('values that only differ by floating-point noise are not changes', () => {
+    const noisy = [{ id: 'a', name: 'A', value: 0.1 + 0.2, quantity: 10, locked: false }];
+    assert.deepEqual(assignChipValues(noisy, [0.3], 'suggest').changes, []);
+    assert.equal(chips[0].value, 1, 'the input is not modified');
+});
@@ -0,0 +1,38 @@
+/**
+ * Blind clock tests
+ * The color-up notice must point at the first level where the smallest chip
+ * stops being needed, and at no level when there's nothing to color up.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findColorUpIndex } from '../src/clock.js';
+
+/**
+ * Blind levels from [smallBlind, bigBlind] pairs
+ * @param {Array<[number, number]>} blinds
+ * @returns {Array}
+ */
+function levels(blinds) {
+    return blinds.map(([smallBlind, bigBlind]) => ({ type: 'level', smallBlind, bigBlind, ante: 0, minutes: 20 }));
+}
+
+test('color up after the last level that needs the smallest chip', () => {
+    const schedule = levels([[25, 50], [50, 100], [75, 150], [100, 200], [200, 400]]);
+    assert.equal(findColorUpIndex(schedule, [25, 100, 500]), 3);
+});
+
+test('breaks are skipped when picking the color-up level', () => {
+    const schedule = levels([[25, 50], [50, 100]]);
+    schedule.splice(2, 0, { type: 'break', minutes: 10 });
+    schedule.push(...levels([[100, 200]]));
+    assert.equal(findColorUpIndex(schedule, [25, 100]), 3);
+});
+
+test('no color up when the smallest chip is never or always needed', () => {
+    assert.equal(findColorUpIndex(levels([[100, 200], [200, 400]]), [25, 100]), -1, 'never needed');
+    assert.equal(findColorUpIndex(levels([[25, 50], [75, 150]]), [25, 100]), -1, 'always needed');
+    assert.equal(findColorUpIndex(levels([[25, 50]]), [25]), -1, 'only one chip');
+});
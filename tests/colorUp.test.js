@@ -0,0 +1,88 @@
+/**
+ * Color-up tests
+ * The chip race is dealt from a seeded deck, so a seed must always give the
+ * same race, and the best hands must win, one chip each, even when several
+ * decks put identical cards in play.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { colorUp } from '../src/colorUp.js';
+
+const WHITE = { value: 1, name: 'White' };
+const RED = { value: 5, name: 'Red' };
+const BLACK = { value: 100, name: 'Black' };
+
+/**
+ * Compare hands the way the race does: best card first, then tiebreak draws
+ * @returns {number} - Negative when a ranks above b
+ */
+function rank(a, b) {
+    const cards = p => [...p.cards, -2, ...p.tiebreak];
+    const [x, y] = [cards(a), cards(b)];
+    for (let i = 0; i < Math.max(x.length, y.length); i++) {
+        const diff = (y[i] ?? -1) - (x[i] ?? -1);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Check a race: the right number of winners, one chip each, best hands first
+ * @param {Object} result - colorUp output
+ * @param {string} context - For failure messages
+ */
+function assertFairRace(result, context) {
+    const racers = result.players.filter(p => p.leftover > 0);
+    const winners = racers.filter(p => p.wonRace);
+    assert.equal(winners.length, result.raceChips, `one winner per race chip: ${context}`);
+    for (const p of result.players) {
+        assert.equal(p.newChips, p.exchanged + (p.wonRace ? 1 : 0), `no player wins more than one chip: ${context}`);
+        assert.equal(p.cards.length, p.leftover, `one card per odd chip: ${context}`);
+    }
+    for (const winner of winners) {
+        for (const loser of racers.filter(p => !p.wonRace)) {
+            assert.ok(rank(winner, loser) < 0, `winners hold better hands than losers: ${context}`);
+        }
+    }
+    for (const a of racers) {
+        for (const b of racers) {
+            if (a !== b) assert.notEqual(rank(a, b), 0, `no hands left tied: ${context}`);
+        }
+    }
+}
+
+test('a seed always deals the same race', () => {
+    const params = { retiring: WHITE, replacement: RED, playerCounts: [7, 13, 4, 22, 9, 1], bankAvailable: 100 };
+    const first = colorUp({ ...params, seed: 42 });
+    assert.deepEqual(colorUp({ ...params, seed: 42 }), first);
+    assertFairRace(first, 'seed 42');
+
+    const others = [1, 2, 3, 4, 5].map(seed => colorUp({ ...params, seed }));
+    assert.ok(others.some(result => JSON.stringify(result.players) !== JSON.stringify(first.players)), 'other seeds deal other cards');
+});
+
+test('races needing several decks stay fair', () => {
+    // 99 odd chips each: equal best cards are common and go to the next-best card
+    const bigHands = { retiring: WHITE, replacement: BLACK, playerCounts: Array(6).fill(99), bankAvailable: 100 };
+    // 60 single cards: the second deck repeats cards, so identical hands draw again
+    const singleCards = { retiring: WHITE, replacement: RED, playerCounts: Array(60).fill(1), bankAvailable: 100 };
+
+    for (let seed = 1; seed <= 20; seed++) {
+        for (const params of [bigHands, singleCards]) {
+            const result = colorUp({ ...params, seed });
+            assertFairRace(result, `seed ${seed}, ${params.playerCounts.length} players`);
+            assert.deepEqual(colorUp({ ...params, seed }), result, `seed ${seed} reproduces`);
+        }
+        const { players } = colorUp({ ...singleCards, seed });
+        assert.ok(players.some(p => p.tiebreak.length > 0), `identical cards drew again (seed ${seed})`);
+    }
+});
+
+test('replacement must be worth more than the retiring chip', () => {
+    const result = colorUp({ retiring: RED, replacement: WHITE, playerCounts: [3, 4], bankAvailable: 10 });
+    assert.equal(result.players.length, 0);
+    assert.equal(result.warnings.length, 1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Currency and locale tests
+ * Amounts typed or formatted in one locale read back as the same number,
+ * whatever its group and decimal separators, and every currency shows the
+ * right number of decimals.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    formatMoney, parseMoney, getFractionDigits, getNumberSeparators, getCurrencySymbol, getCurrencySettings,
+    setCurrencySettings, DEFAULT_CURRENCY_SETTINGS
+} from '../src/currency.js';
+
+// Periods, commas, spaces and apostrophes as separators, and a 0-decimal currency
+const SETTINGS = [
+    { currency: 'USD', locale: 'en-US' },
+    { currency: 'EUR', locale: 'de-DE' },
+    { currency: 'EUR', locale: 'fr-FR' },
+    { currency: 'CHF', locale: 'de-CH' },
+    { currency: 'INR', locale: 'en-IN' },
+    { currency: 'JPY', locale: 'ja-JP' },
+    { currency: 'points', locale: 'de-DE' }
+];
+
+// Spaces in formatted amounts vary by locale and ICU version (space, no-break, narrow no-break)
+const normalizeSpaces = text => text.replace(/\s/g, ' ');
+
+test('formatted amounts parse back to the same value in every locale', () => {
+    for (const settings of SETTINGS) {
+        const digits = getFractionDigits(settings);
+        for (const value of [0, 0.5, 1, 12.25, 50, 999.99, 1234567.5, -12.25]) {
+            const expected = Math.round(value * 10 ** digits) / 10 ** digits;
+            const formatted = formatMoney(value, settings);
+            assert.equal(parseMoney(formatted, settings), expected, `${formatted} in ${JSON.stringify(settings)}`);
+        }
+    }
+});
+
+test('typed amounts use the locale separators', () => {
+    const cases = [
+        ['1,250.50', { currency: 'USD', locale: 'en-US' }, 1250.5],
+        ['$ 20', { currency: 'USD', locale: 'en-US' }, 20],
+        ['1.250,50', { currency: 'EUR', locale: 'de-DE' }, 1250.5],
+        ['12,5', { currency: 'EUR', locale: 'de-DE' }, 12.5],
+        ['1 250,5', { currency: 'EUR', locale: 'fr-FR' }, 1250.5],
+        ['1 250,5 €', { currency: 'EUR', locale: 'fr-FR' }, 1250.5],
+        ['1’250.50', { currency: 'CHF', locale: 'de-CH' }, 1250.5],
+        ['12,34,567.50', { currency: 'INR', locale: 'en-IN' }, 1234567.5],
+        ['abc', { currency: 'USD', locale: 'en-US' }, 0],
+        ['', { currency: 'EUR', locale: 'de-DE' }, 0]
+    ];
+    for (const [text, settings, expected] of cases) {
+        assert.equal(parseMoney(text, settings), expected, `"${text}" in ${settings.locale}`);
+    }
+});
+
+test('whole amounts drop the decimals and the rest show them all', () => {
+    const usd = { currency: 'USD', locale: 'en-US' };
+    assert.equal(formatMoney(50, usd), '$50');
+    assert.equal(formatMoney(0.5, usd), '$0.50');
+    assert.equal(formatMoney(1234567.5, usd), '$1,234,567.50');
+    assert.equal(normalizeSpaces(formatMoney(0.5, { currency: 'EUR', locale: 'de-DE' })), '0,50 €');
+    assert.equal(formatMoney(1, { currency: 'points', locale: 'en-US' }), '1 pts');
+    assert.equal(formatMoney(0.5, { currency: 'points', locale: 'en-US' }), '0.50 pts');
+    assert.equal(formatMoney(1000.4, { currency: 'JPY', locale: 'ja-JP' }).replace(/\D/g, ''), '1000', 'yen have no decimals');
+});
+
+test('separators, symbols and decimals follow the settings', () => {
+    assert.deepEqual(getNumberSeparators({ currency: 'EUR', locale: 'de-DE' }), { group: '.', decimal: ',' });
+    assert.deepEqual(getNumberSeparators({ currency: 'USD', locale: 'en-US' }), { group: ',', decimal: '.' });
+    assert.equal(getFractionDigits({ currency: 'JPY', locale: 'ja-JP' }), 0);
+    assert.equal(getFractionDigits({ currency: 'points', locale: 'en-US' }), 2);
+    assert.equal(getCurrencySymbol({ currency: 'EUR', locale: 'de-DE' }), '€');
+    assert.equal(getCurrencySymbol({ currency: 'points', locale: 'en-US' }), 'pts');
+});
+
+test('the active settings are the default for formatting and parsing', () => {
+    try {
+        setCurrencySettings({ locale: 'de-DE', currency: 'EUR' });
+        assert.deepEqual(getCurrencySettings(), { currency: 'EUR', locale: 'de-DE' });
+        assert.equal(parseMoney('1.250,50'), 1250.5);
+        assert.equal(normalizeSpaces(formatMoney(50)), '50 €');
+
+        setCurrencySettings({ locale: 'fr-FR' });
+        assert.equal(getCurrencySettings().currency, DEFAULT_CURRENCY_SETTINGS.currency, 'missing fields take the defaults');
+    } finally {
+        setCurrencySettings(DEFAULT_CURRENCY_SETTINGS);
+    }
+});
@@ -0,0 +1,67 @@
+/**
+ * Diagnostic fix tests
+ * Fixes can arrive from older results or other devices, so applyFix must
+ * leave the inventory and settings alone unless a fix is well formed.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFix, isValidFix } from '../src/diagnostics.js';
+import { assignChipValues, suggestChipValues, CHIP_VALUE_MODES } from '../src/chipCalculator.js';
+import { getDefaultChips, getDefaultGameSettings } from '../src/storage.js';
+
+const state = () => ({ chips: getDefaultChips(), gameSettings: getDefaultGameSettings() });
+
+test('well-formed fixes are applied', () => {
+    const { chips, gameSettings } = state();
+    const [white] = chips;
+
+    const added = applyFix({ type: 'add-chips', chipId: white.id, count: 20 }, { chips, gameSettings });
+    assert.equal(added.chips.find(c => c.id === white.id).quantity, white.quantity + 20);
+
+    const blinds = applyFix({ type: 'set-blinds', smallBlind: 0.1, bigBlind: 0.2 }, { chips, gameSettings });
+    assert.deepEqual([blinds.gameSettings.smallBlind, blinds.gameSettings.bigBlind], [0.1, 0.2]);
+
+    const valued = applyFix({ type: 'set-chip-value', chipId: white.id, value: 0.05 }, { chips, gameSettings });
+    assert.deepEqual(valued.chips.find(c => c.id === white.id), { ...white, value: 0.05, locked: true });
+});
+
+test('malformed fixes change nothing', () => {
+    const current = state();
+    const [white] = current.chips;
+    const malformed = [
+        { type: 'add-chips', chipId: white.id, count: '20' },
+        { type: 'add-chips', chipId: white.id, count: 0 },
+        { type: 'add-chips', chipId: white.id, count: 2.5 },
+        { type: 'add-chips', chipId: 'missing', count: 20 },
+        { type: 'set-blinds', smallBlind: '0.1', bigBlind: 0.2 },
+        { type: 'set-blinds', smallBlind: 0.1, bigBlind: Infinity },
+        { type: 'set-chip-value', chipId: white.id, value: -1 },
+        { type: 'set-chip-value', chipId: white.id, value: 'free' },
+        { type: 'set-chip-value', chipId: 'missing', value: 1 },
+        { type: 'unknown' },
+        null
+    ];
+    for (const fix of malformed) {
+        assert.equal(isValidFix(fix, current.chips), false, JSON.stringify(fix));
+        assert.deepEqual(applyFix(fix, current), current, JSON.stringify(fix));
+    }
+});
+
+test('a chip value fix survives the recalculation in every value mode', () => {
+    for (const valueMode of CHIP_VALUE_MODES) {
+        const current = state();
+        current.gameSettings.valueMode = valueMode;
+        const [white] = current.chips;
+
+        const fixed = applyFix({ type: 'set-chip-value', chipId: white.id, value: 0.05 }, current);
+        // What Calculate does next: suggest values per the (possibly changed) value mode
+        const { smallBlind, buyIn, denominations } = fixed.gameSettings;
+        const suggested = suggestChipValues(smallBlind, buyIn, fixed.chips.length, denominations);
+        const { chips } = assignChipValues(fixed.chips, suggested, fixed.gameSettings.valueMode);
+
+        assert.equal(chips.find(c => c.id === white.id).value, 0.05, valueMode);
+    }
+});
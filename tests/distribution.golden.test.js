@@ -0,0 +1,133 @@
+/**
+ * Distribution golden tests
+ * Common home-game setups and the splits the calculator gives them, in both
+ * modes, compared with the recorded results in golden/distribution.json.
+ * Covers each branch of the heuristic: one chip type, two, and the pyramid.
+ *
+ * Run: npm test
+ * After an intended change to the results: UPDATE_GOLDEN=1 npm test, then
+ * review the diff of golden/distribution.json before committing it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { calculateDistribution, suggestBlinds, suggestChipValues } from '../src/chipCalculator.js';
+
+const GOLDEN_FILE = new URL('./golden/distribution.json', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Inventory from [name, value, quantity] rows
+ * @param {Array<[string, number, number]>} rows
+ * @returns {Array}
+ */
+function chipSet(rows) {
+    return rows.map(([name, value, quantity], i) => ({ id: `${i + 1}`, name, value, quantity }));
+}
+
+// The standard 300- and 500-chip cases
+const SET_300 = [['White', 100], ['Red', 100], ['Blue', 50], ['Green', 50]];
+const SET_500 = [['White', 150], ['Red', 150], ['Blue', 100], ['Green', 50], ['Black', 50]];
+
+/**
+ * A chip case with values
+ * @param {Array<[string, number]>} set - Colors and quantities
+ * @param {number[]} values - Value per color
+ * @returns {Array}
+ */
+function withValues(set, values) {
+    return chipSet(set.map(([name, quantity], i) => [name, values[i], quantity]));
+}
+
+const CASES = {
+    '$20 cash, 6 players, 300-chip set': {
+        buyIn: 20, smallBlind: 0.1, bigBlind: 0.2, numPlayers: 6,
+        chips: withValues(SET_300, [0.1, 0.25, 1, 5])
+    },
+    '$50 cash, 8 players, 500-chip set': {
+        buyIn: 50, smallBlind: 0.25, bigBlind: 0.5, numPlayers: 8,
+        chips: withValues(SET_500, [0.25, 0.5, 1, 5, 25])
+    },
+    '$100 cash, 9 players, 500-chip set': {
+        buyIn: 100, smallBlind: 0.5, bigBlind: 1, numPlayers: 9,
+        chips: withValues(SET_500, [0.5, 1, 5, 25, 100])
+    },
+    '$100 cash, 10 players, 300-chip set': {
+        buyIn: 100, smallBlind: 0.5, bigBlind: 1, numPlayers: 10,
+        chips: withValues(SET_300, [0.5, 1, 5, 25])
+    },
+    '10,000-chip tournament, 10 players': {
+        buyIn: 10000, smallBlind: 25, bigBlind: 50, numPlayers: 10,
+        chips: chipSet([['Green', 25, 300], ['Black', 100, 300], ['Purple', 500, 200], ['Yellow', 1000, 200], ['Orange', 5000, 50]])
+    },
+    'One chip type, 5 players': {
+        buyIn: 20, smallBlind: 0.1, bigBlind: 0.2, numPlayers: 5,
+        chips: chipSet([['White', 1, 100]])
+    },
+    'One chip type, not enough for everyone': {
+        buyIn: 50, smallBlind: 0.25, bigBlind: 0.5, numPlayers: 6,
+        chips: chipSet([['White', 1, 200]])
+    },
+    'Two chip types, 6 players': {
+        buyIn: 40, smallBlind: 0.2, bigBlind: 0.4, numPlayers: 6,
+        chips: chipSet([['White', 1, 200], ['Red', 5, 100]])
+    },
+    'Two chip types, few small chips': {
+        buyIn: 60, smallBlind: 0.25, bigBlind: 0.5, numPlayers: 8,
+        chips: chipSet([['White', 1, 60], ['Red', 5, 200]])
+    },
+    'Values that cannot make the buy-in': {
+        buyIn: 12, smallBlind: 0.05, bigBlind: 0.1, numPlayers: 4,
+        chips: chipSet([['Red', 5, 100], ['Green', 25, 100], ['Black', 100, 20]])
+    }
+};
+
+/**
+ * The parts of a result the golden file records
+ * @param {Object} result - calculateDistribution output
+ * @returns {Object}
+ */
+function summarize(result) {
+    return {
+        stacks: Object.fromEntries(result.distribution.map(item => [item.name, item.quantity])),
+        totalValue: Math.round(result.totalValue * 100) / 100,
+        totalChips: result.totalChips,
+        isValid: result.isValid,
+        diagnostics: result.diagnostics.map(d => d.code)
+    };
+}
+
+/**
+ * Everything recorded for a case
+ * @param {Object} game - calculateDistribution input
+ * @returns {Object}
+ */
+function runCase(game) {
+    const suggestedBlinds = suggestBlinds(game.buyIn);
+    return {
+        suggestedBlinds,
+        suggestedValues: suggestChipValues(suggestedBlinds.smallBlind, game.buyIn, game.chips.length),
+        pyramid: summarize(calculateDistribution({ ...game, mode: 'pyramid' })),
+        exact: summarize(calculateDistribution({ ...game, mode: 'exact' }))
+    };
+}
+
+const actual = Object.fromEntries(Object.entries(CASES).map(([name, game]) => [name, runCase(game)]));
+
+if (UPDATE) {
+    writeFileSync(GOLDEN_FILE, `${JSON.stringify(actual, null, 2)}\n`);
+}
+
+const golden = JSON.parse(readFileSync(GOLDEN_FILE, 'utf8'));
+
+for (const [name, result] of Object.entries(actual)) {
+    test(name, () => {
+        assert.ok(golden[name], `no recorded result for "${name}" (run UPDATE_GOLDEN=1 npm test)`);
+        assert.deepEqual(result, golden[name]);
+    });
+}
+
+test('no recorded results for removed cases', () => {
+    assert.deepEqual(Object.keys(golden).filter(name => !CASES[name]), []);
+});
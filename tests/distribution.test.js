@@ -0,0 +1,269 @@
+/**
+ * Distribution property tests
+ * Random inventories (from a fixed seed, so failures reproduce) checked
+ * against the invariants every split must keep, whichever branch of the
+ * heuristic or the exact solver produced it.
+ *
+ * Run: npm test   (SEED=<n> npm test tries another set of inventories)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateDistribution, suggestBlinds, suggestChipValues, validateChipValues, getDenominations, TRACE_STEPS
+} from '../src/chipCalculator.js';
+
+const SEED = Number(process.env.SEED) || 20240601;
+const RUNS = 300;
+
+// Chip values a home game uses, in dollars
+const VALUES = [0.05, 0.1, 0.25, 0.5, 1, 2, 2.5, 5, 10, 20, 25, 50, 100, 500, 1000];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let x = state;
+        x = Math.imul(x ^ (x >>> 15), x | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random game: 1-6 chip types with distinct values, 0-500 of each, 2-10 players
+ * and a buy-in that's usually a multiple of the smallest chip
+ * @param {() => number} random
+ * @returns {Object} - calculateDistribution input (without mode)
+ */
+function randomGame(random) {
+    const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+    const types = int(1, 6);
+    const start = int(0, VALUES.length - types);
+    const values = [...VALUES.slice(start)].sort(() => random() - 0.5).slice(0, types);
+    const chips = values.map((value, i) => ({ id: `${i + 1}`, name: `Chip ${i + 1}`, value, quantity: int(0, 500) }));
+
+    const numPlayers = int(2, 10);
+    const smallest = Math.min(...values);
+    const buyIn = random() < 0.8
+        ? Math.round(smallest * int(10, 400) * 100) / 100
+        : Math.round(random() * 500 * 100) / 100 + 1;
+    const { smallBlind, bigBlind } = suggestBlinds(buyIn);
+
+    return { buyIn, smallBlind, bigBlind, numPlayers, chips };
+}
+
+/**
+ * Check one result against the invariants
+ * @param {Object} game - calculateDistribution input
+ * @param {Object} result - Its output
+ */
+function assertInvariants(game, result) {
+    const context = JSON.stringify(game);
+
+    for (const item of result.distribution) {
+        const chip = game.chips.find(c => c.id === item.id);
+        assert.ok(Number.isInteger(item.quantity) && item.quantity >= 0, `whole, non-negative quantity for ${item.name}: ${context}`);
+        assert.ok(item.quantity <= Math.floor(chip.quantity / game.numPlayers),
+            `${item.quantity} ${item.name} per player is more than the inventory allows: ${context}`);
+        assert.ok(Math.abs(item.subtotal - item.quantity * item.value) < 1e-9, `subtotal of ${item.name}: ${context}`);
+    }
+
+    const sum = result.distribution.reduce((total, item) => total + item.subtotal, 0);
+    assert.ok(Math.abs(sum - result.totalValue) < 1e-9, `subtotals add up to the total: ${context}`);
+    assert.equal(result.totalChips, result.distribution.reduce((total, item) => total + item.quantity, 0));
+
+    const exact = Math.round(result.totalValue * 100) === Math.round(game.buyIn * 100);
+    assert.equal(result.isValid, exact, `isValid when the total is the buy-in: ${context}`);
+    assert.equal(result.diagnostics.some(d => d.code === 'stack-short' || d.code === 'stack-over'), !exact,
+        `stack-short/over reported when not exact: ${context}`);
+}
+
+test('pyramid splits keep the invariants', () => {
+    const random = createRandom(SEED);
+    for (let run = 0; run < RUNS; run++) {
+        const game = randomGame(random);
+        assertInvariants(game, calculateDistribution({ ...game, mode: 'pyramid' }));
+    }
+});
+
+test('exact splits keep the invariants and are exact when one exists', () => {
+    const random = createRandom(SEED + 1);
+    for (let run = 0; run < RUNS; run++) {
+        const game = randomGame(random);
+        const result = calculateDistribution({ ...game, mode: 'exact' });
+        assertInvariants(game, result);
+
+        if (result.solver.status === 'solved') {
+            assert.equal(result.isValid, true, `solved split is exact: ${JSON.stringify(game)}`);
+        }
+        if (result.solver.status === 'infeasible') {
+            assert.equal(result.isValid, false, `no exact split means no valid result: ${JSON.stringify(game)}`);
+        }
+    }
+});
+
+/**
+ * Random small game: 1-4 chip types with at most 8 of each per player, so
+ * every split can be enumerated. Most buy-ins are the value of some split.
+ * @param {() => number} random
+ * @returns {Object} - calculateDistribution input (without mode)
+ */
+function randomSmallGame(random) {
+    const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+    const types = int(1, 4);
+    const values = [...VALUES].sort(() => random() - 0.5).slice(0, types);
+    const numPlayers = int(2, 10);
+    const chips = values.map((value, i) => ({
+        id: `${i + 1}`, name: `Chip ${i + 1}`, value, quantity: int(0, 8) * numPlayers + int(0, numPlayers - 1)
+    }));
+
+    const buyIn = random() < 0.7
+        ? chips.reduce((total, chip) => total + chip.value * int(0, Math.floor(chip.quantity / numPlayers)), 0)
+        : Math.min(...values) * int(1, 60);
+    const rounded = Math.round(Math.max(buyIn, Math.min(...values)) * 100) / 100;
+    const { smallBlind, bigBlind } = suggestBlinds(rounded);
+
+    return { buyIn: rounded, smallBlind, bigBlind, numPlayers, chips };
+}
+
+/**
+ * Whether some per-player split makes the buy-in exactly, by trying every
+ * count of every chip within the per-player inventory
+ * @param {Object} game - calculateDistribution input
+ * @returns {boolean}
+ */
+function hasExactSplit(game) {
+    const target = Math.round(game.buyIn * 100);
+    const search = (index, cents) => {
+        if (index === game.chips.length) return cents === target;
+        const chip = game.chips[index];
+        const limit = Math.floor(chip.quantity / game.numPlayers);
+        for (let count = 0; count <= limit; count++) {
+            if (search(index + 1, cents + Math.round(chip.value * 100) * count)) return true;
+        }
+        return false;
+    };
+    return search(0, 0);
+}
+
+test('exact splits are found for every solvable setup', () => {
+    const random = createRandom(SEED + 6);
+    let solvable = 0;
+    for (let run = 0; run < RUNS; run++) {
+        const game = randomSmallGame(random);
+        const exists = hasExactSplit(game);
+        const result = calculateDistribution({ ...game, mode: 'exact' });
+        assertInvariants(game, result);
+        assert.equal(result.isValid, exists, `isValid matches whether an exact split exists: ${JSON.stringify(game)}`);
+        if (exists) solvable++;
+    }
+    assert.ok(solvable > RUNS / 4 && solvable < RUNS, `a mix of solvable and unsolvable setups (${solvable})`);
+});
+
+test('buy-ins too large for the exact solver say so', () => {
+    const game = {
+        buyIn: 20000, smallBlind: 50, bigBlind: 100, numPlayers: 2,
+        chips: [{ id: '1', name: 'Penny', value: 0.01, quantity: 1000 }, { id: '2', name: 'Plaque', value: 1000, quantity: 100 }]
+    };
+    const result = calculateDistribution({ ...game, mode: 'exact' });
+    assert.equal(result.solver.status, 'too-large');
+    assert.ok(result.diagnostics.some(d => d.code === 'exact-search-too-large'));
+    assert.equal(result.isValid, true, 'the pyramid split is still used');
+    assert.ok(!calculateDistribution({ ...game, mode: 'pyramid' }).diagnostics.some(d => d.code === 'exact-search-too-large'));
+});
+
+test('the exact solver never does worse than the pyramid', () => {
+    const random = createRandom(SEED + 2);
+    for (let run = 0; run < RUNS; run++) {
+        const game = randomGame(random);
+        const pyramid = calculateDistribution({ ...game, mode: 'pyramid' });
+        const exact = calculateDistribution({ ...game, mode: 'exact' });
+        if (pyramid.isValid) {
+            assert.equal(exact.isValid, true, `pyramid found an exact split the solver missed: ${JSON.stringify(game)}`);
+        }
+    }
+});
+
+test('traces replay to the split they explain', () => {
+    const random = createRandom(SEED + 4);
+    for (let run = 0; run < RUNS; run++) {
+        const game = randomGame(random);
+        const context = JSON.stringify(game);
+        const result = calculateDistribution({ ...game, mode: 'pyramid', trace: true });
+        assert.ok(result.trace.length > 0 && result.trace.every(entry => TRACE_STEPS.includes(entry.step)), `known steps: ${context}`);
+
+        // Each chip's last recorded quantity is the one it ends up with
+        const quantities = new Map();
+        for (const { values } of result.trace) {
+            if ('quantity' in values) quantities.set(values.chipId, values.quantity);
+            if ('to' in values) quantities.set(values.chipId, values.to);
+            if ('smallestTo' in values) quantities.set(values.smallestId, values.smallestTo);
+        }
+        for (const chip of game.chips) {
+            const item = result.distribution.find(d => d.id === chip.id);
+            assert.equal(quantities.get(chip.id) ?? 0, item?.quantity ?? 0, `${chip.name} in the trace: ${context}`);
+        }
+
+        assert.equal(calculateDistribution({ ...game, mode: 'pyramid' }).trace, null, 'no trace unless asked');
+    }
+});
+
+test('suggested chip values are sorted, unique and allowed', () => {
+    const random = createRandom(SEED + 3);
+    const allowed = new Set(getDenominations());
+    for (let run = 0; run < RUNS; run++) {
+        const buyIn = Math.round((1 + random() * 2000) * 100) / 100;
+        const { smallBlind } = suggestBlinds(buyIn);
+        const count = 1 + Math.floor(random() * 8);
+        const values = suggestChipValues(smallBlind, buyIn, count);
+        const context = `suggestChipValues(${smallBlind}, ${buyIn}, ${count}) = ${JSON.stringify(values)}`;
+
+        assert.ok(values.length >= 1 && values.length <= count, `one value per chip type at most: ${context}`);
+        assert.ok(values.every(v => Number.isFinite(v) && v > 0), `positive values: ${context}`);
+        assert.ok(values.every((v, i) => i === 0 || v > values[i - 1]), `strictly ascending: ${context}`);
+        assert.equal(values[0], smallBlind, `smallest chip is the small blind: ${context}`);
+        assert.ok(values.every(v => allowed.has(v)), `values from the series: ${context}`);
+    }
+});
+
+test('suggested chip values pass the chip value checks', () => {
+    const random = createRandom(SEED + 5);
+    const settings = [
+        {},
+        { series: '1-2-5' },
+        { series: '25-cent' },
+        { series: '1-2.5-5', maxJump: 3 },
+        { series: '1-2-5', integersOnly: true, minValue: 1 }
+    ];
+    for (let run = 0; run < RUNS; run++) {
+        const denominations = { ...settings[run % settings.length] };
+        const buyIn = Math.round((1 + random() * 2000) * 100) / 100;
+        const { smallBlind } = suggestBlinds(buyIn, denominations);
+        const count = 1 + Math.floor(random() * 8);
+        const values = suggestChipValues(smallBlind, buyIn, count, denominations);
+        const chips = values.map((value, i) => ({ id: `${i + 1}`, name: `Chip ${i + 1}`, value, quantity: 100 }));
+        const { diagnostics } = validateChipValues(smallBlind, buyIn, chips, denominations);
+        assert.deepEqual(diagnostics.map(d => d.code), [],
+            `suggestChipValues(${smallBlind}, ${buyIn}, ${count}, ${JSON.stringify(denominations)}) = ${JSON.stringify(values)}`);
+    }
+});
+
+test('the set-blinds fix follows the denomination settings', () => {
+    const denominations = { series: '1-2-5', integersOnly: true, minValue: 1 };
+    const allowed = new Set(getDenominations(denominations));
+    const result = calculateDistribution({
+        buyIn: 200, smallBlind: 5, bigBlind: 10, numPlayers: 4, denominations,
+        chips: [{ id: '1', name: 'White', value: 1, quantity: 400 }]
+    });
+    const { fix } = result.diagnostics.find(d => d.code === 'below-100-big-blinds');
+    assert.equal(fix.type, 'set-blinds');
+    assert.ok(allowed.has(fix.smallBlind), `small blind ${fix.smallBlind} from the series`);
+});
@@ -0,0 +1,97 @@
+/**
+ * Message catalog tests
+ * Every language has every English key (with the same placeholders and
+ * plural forms), and every key the app uses exists.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { LANGUAGES, DEFAULT_LANGUAGE, translate } from '../src/i18n.js';
+import { DIAGNOSTIC_CODES } from '../src/diagnostics.js';
+import { DENOMINATION_SERIES, TRACE_STEPS } from '../src/chipCalculator.js';
+
+const root = new URL('../', import.meta.url);
+const reference = LANGUAGES[DEFAULT_LANGUAGE].messages;
+
+/**
+ * Placeholder names in a message (all plural forms together)
+ * @param {string|Object} message
+ * @returns {string[]}
+ */
+function placeholders(message) {
+    const texts = typeof message === 'string' ? [message] : Object.values(message);
+    const names = texts.flatMap(text => [...text.matchAll(/\{(\w+)(?::\w+)?\}/g)].map(m => m[1]));
+    return [...new Set(names)].sort();
+}
+
+/**
+ * Message keys used in a source file: t('key') calls and data-i18n attributes
+ * @param {string} path - Path from the repo root
+ * @returns {string[]}
+ */
+function keysUsedIn(path) {
+    const text = readFileSync(new URL(path, root), 'utf8');
+    const calls = [...text.matchAll(/\bt\(\s*'([^'$]+)'/g)].map(m => m[1]);
+    const attributes = [...text.matchAll(/data-i18n(?:-placeholder|-title)?="([^"]+)"/g)].map(m => m[1]);
+    return [...calls, ...attributes];
+}
+
+for (const [language, { messages }] of Object.entries(LANGUAGES)) {
+    if (language === DEFAULT_LANGUAGE) continue;
+
+    test(`${language} has every English key`, () => {
+        const missing = Object.keys(reference).filter(key => !(key in messages));
+        assert.deepEqual(missing, [], `${language} is missing keys`);
+    });
+
+    test(`${language} has no keys English lacks`, () => {
+        const extra = Object.keys(messages).filter(key => !(key in reference));
+        assert.deepEqual(extra, [], `${language} has unknown keys`);
+    });
+
+    test(`${language} messages use the same placeholders and plural forms`, () => {
+        for (const [key, message] of Object.entries(messages)) {
+            assert.deepEqual(placeholders(message), placeholders(reference[key]), `placeholders of ${key}`);
+            assert.equal(typeof message, typeof reference[key], `plural forms of ${key}`);
+            if (typeof message === 'object') {
+                assert.ok('other' in message, `${key} has an "other" form`);
+            }
+        }
+    });
+}
+
+test('every key used by the app exists', () => {
+    const files = [
+        'index.html',
+        ...readdirSync(new URL('src/', root)).filter(name => name.endsWith('.js')).map(name => `src/${name}`),
+        ...readdirSync(new URL('scripts/', root)).filter(name => name.endsWith('.js')).map(name => `scripts/${name}`)
+    ];
+    for (const file of files) {
+        const missing = keysUsedIn(file).filter(key => !(key in reference));
+        assert.deepEqual(missing, [], `${file} uses missing keys`);
+    }
+});
+
+test('every diagnostic code, trace step and denomination series has a message', () => {
+    for (const code of Object.keys(DIAGNOSTIC_CODES)) {
+        assert.ok(`diagnostics.${code}` in reference, `diagnostics.${code}`);
+    }
+    for (const step of TRACE_STEPS) {
+        assert.ok(`trace.${step}` in reference, `trace.${step}`);
+    }
+    for (const series of Object.keys(DENOMINATION_SERIES)) {
+        assert.ok(`series.${series}` in reference, `series.${series}`);
+    }
+});
+
+test('translate picks plural forms and formats parameters', () => {
+    assert.equal(translate('en', 'common.chips', { count: 1 }), '1 chip');
+    assert.equal(translate('es', 'common.chips', { count: 20 }), '20 fichas');
+    assert.equal(translate('en', 'ledger.waiting', { names: ['Ann', 'Bo', 'Cy'] }), 'Waiting for chip counts from Ann, Bo, and Cy');
+    assert.equal(translate('es', 'ledger.waiting', { names: ['Ann', 'Bo'] }), 'Falta el recuento de fichas de Ann y Bo');
+    assert.equal(translate('en', 'fix.setChipValue', { name: 'Red', value: 5 }, { money: v => `${v} pts` }), 'Set Red to 5 pts');
+    assert.equal(translate('es', 'no.such.key'), 'no.such.key');
+});
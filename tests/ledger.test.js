@@ -0,0 +1,112 @@
+/**
+ * Session ledger tests
+ * Buy-ins and cash-outs add up to the cent, settle-up transfers square every
+ * player in at most n - 1 payments, and ended sessions keep the chip values
+ * they were counted with.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSession, addPlayer, renamePlayer, addBuyIn, setCashOut, settleUp, endSession, summarizeSession
+} from '../src/ledger.js';
+
+const chips = [
+    { id: '1', name: 'White', value: 0.25, quantity: 200 },
+    { id: '2', name: 'Red', value: 1, quantity: 200 },
+    { id: '3', name: 'Blue', value: 5, quantity: 100 }
+];
+
+/**
+ * Three players at $20, one rebuy, everyone cashed out: Ana +$12.50, Ben -$32.50, Cy +$20
+ * @returns {Object} - Session
+ */
+function playedSession() {
+    let session = createSession(['Ana', 'Ben'], 20);
+    session = addPlayer(session, 'Cyrus', 20);
+    session = renamePlayer(session, '3', 'Cy');
+    session = addBuyIn(session, '2', 20);
+    session = setCashOut(session, '1', { 1: 10, 2: 5, 3: 5 });
+    session = setCashOut(session, '2', { 1: 30 });
+    session = setCashOut(session, '3', { 3: 8 });
+    return session;
+}
+
+/**
+ * Net result per name after applying the transfers
+ * @param {Array<{from: string, to: string, amount: number}>} transfers
+ * @returns {Map<string, number>} - Cents received minus cents paid
+ */
+function centsAfter(transfers) {
+    const cents = new Map();
+    for (const { from, to, amount } of transfers) {
+        cents.set(from, (cents.get(from) || 0) - Math.round(amount * 100));
+        cents.set(to, (cents.get(to) || 0) + Math.round(amount * 100));
+    }
+    return cents;
+}
+
+test('a balanced session settles every player', () => {
+    const summary = summarizeSession(playedSession(), chips);
+
+    assert.deepEqual(summary.players.map(p => [p.name, p.totalIn, p.cashOut, p.net, p.rebuys]), [
+        ['Ana', 20, 32.5, 12.5, 0],
+        ['Ben', 40, 7.5, -32.5, 1],
+        ['Cy', 20, 40, 20, 0]
+    ]);
+    assert.equal(summary.totalIn, 80);
+    assert.equal(summary.totalOut, 80);
+    assert.equal(summary.isComplete, true);
+    assert.equal(summary.isBalanced, true);
+    assert.deepEqual(summary.warnings, []);
+    assert.deepEqual(summary.transfers, [
+        { from: 'Ben', to: 'Cy', amount: 20 },
+        { from: 'Ben', to: 'Ana', amount: 12.5 }
+    ]);
+});
+
+test('sessions waiting on cash-outs or off by some chips do not settle', () => {
+    let session = createSession(['Ana', 'Ben'], 20);
+    session = setCashOut(session, '1', { 2: 20 });
+    const waiting = summarizeSession(session, chips);
+    assert.equal(waiting.isComplete, false);
+    assert.deepEqual(waiting.transfers, []);
+    assert.equal(waiting.warnings.length, 1);
+
+    session = setCashOut(session, '2', { 2: 19 });
+    const missing = summarizeSession(session, chips);
+    assert.equal(missing.isComplete, true);
+    assert.equal(missing.isBalanced, false);
+    assert.equal(missing.discrepancy, -1);
+    assert.deepEqual(missing.transfers, []);
+    assert.equal(missing.warnings.length, 1);
+});
+
+test('settle-up squares everyone in at most n - 1 transfers, to the cent', () => {
+    const results = [
+        { name: 'Ana', net: 0.1 }, { name: 'Ben', net: 0.2 }, { name: 'Cy', net: -0.3 },
+        { name: 'Dee', net: 45.55 }, { name: 'Eve', net: -45.55 }, { name: 'Flo', net: 0 }
+    ];
+    const transfers = settleUp(results);
+
+    assert.ok(transfers.length <= results.length - 1);
+    assert.ok(transfers.every(tr => tr.amount > 0 && tr.from !== tr.to));
+    const cents = centsAfter(transfers);
+    for (const { name, net } of results) {
+        assert.equal(cents.get(name) || 0, Math.round(net * 100), `${name} is paid or pays exactly the net result`);
+    }
+    assert.deepEqual(settleUp([{ name: 'Ana', net: 0.004 }, { name: 'Ben', net: -0.004 }]), [], 'fractions of a cent are square');
+});
+
+test('an ended session keeps the chip values it was counted with', () => {
+    const ended = endSession(playedSession(), chips);
+    assert.ok(!Number.isNaN(Date.parse(ended.endedAt)));
+    assert.deepEqual(ended.chipValues, { 1: 0.25, 2: 1, 3: 5 });
+
+    const revalued = chips.map(chip => ({ ...chip, value: chip.value * 2 }));
+    assert.deepEqual(summarizeSession(ended, revalued), summarizeSession(playedSession(), chips));
+    assert.notDeepEqual(summarizeSession(playedSession(), revalued).players, summarizeSession(ended, chips).players,
+        'open sessions use the current values');
+});
@@ -0,0 +1,60 @@
+/**
+ * Preset share link tests
+ * Links are untrusted input: a link whose settings would break the UI
+ * must be rejected, not applied. Imports that clash with a saved preset are
+ * renamed, replaced or skipped.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPresetLink, parsePresetLink, mergePresets } from '../src/presetShare.js';
+import { getDefaultChips, getDefaultGameSettings } from '../src/storage.js';
+
+const PRESET = { id: 'p1', name: 'Friday game', chips: getDefaultChips(), gameSettings: getDefaultGameSettings() };
+
+/**
+ * Share-link hash for a preset with some settings replaced
+ * @param {Object} settings - Settings merged over the defaults
+ * @returns {string}
+ */
+function linkWith(settings) {
+    const link = createPresetLink({ ...PRESET, gameSettings: { ...PRESET.gameSettings, ...settings } }, 'https://example.com/');
+    return new URL(link).hash;
+}
+
+test('a shared preset comes back intact', () => {
+    const { preset, errors } = parsePresetLink(linkWith({}));
+    assert.deepEqual(errors, []);
+    assert.equal(preset.name, PRESET.name);
+    assert.deepEqual(preset.gameSettings, PRESET.gameSettings);
+});
+
+test('links with invalid settings groups are rejected', () => {
+    for (const settings of [
+        { denominations: 'oops' },
+        { denominations: { customValues: 'oops' } },
+        { currency: { locale: '??' } },
+        { tournament: { levelMinutes: -5 } }
+    ]) {
+        const { preset, errors } = parsePresetLink(linkWith(settings));
+        assert.equal(preset, null, JSON.stringify(settings));
+        assert.ok(errors.length > 0, JSON.stringify(settings));
+    }
+});
+
+test('merging reports the preset each import was saved as', () => {
+    const changed = { ...PRESET, id: 'p2', gameSettings: { ...PRESET.gameSettings, buyIn: 100 } };
+
+    const renamed = mergePresets([PRESET], [changed], 'rename');
+    assert.deepEqual(renamed.saved.map(p => p.name), ['Friday game (2)']);
+    assert.equal(renamed.saved[0], renamed.presets[1]);
+
+    const same = mergePresets([PRESET], [{ ...PRESET, id: 'p3' }], 'rename');
+    assert.equal(same.saved[0], PRESET, 'an identical preset is the one already saved');
+    assert.equal(same.skipped, 1);
+
+    const replaced = mergePresets([PRESET], [changed], 'replace');
+    assert.deepEqual([replaced.saved[0].id, replaced.saved[0].gameSettings.buyIn], ['p1', 100]);
+});
@@ -0,0 +1,113 @@
+/**
+ * Schema validation tests
+ * Settings that would break the calculator or the UI after loading must be
+ * rejected, so storage can quarantine them instead of crashing on startup.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGameSettings, validateSyncedResult, validateSession, validateGameNight } from '../src/schema.js';
+import { getDefaultGameSettings } from '../src/storage.js';
+
+test('default game settings are valid', () => {
+    assert.deepEqual(validateGameSettings(getDefaultGameSettings()), []);
+});
+
+test('settings without the optional groups are valid', () => {
+    assert.deepEqual(validateGameSettings({ buyIn: 20, players: 4 }), []);
+});
+
+test('malformed settings groups are rejected', () => {
+    const defaults = getDefaultGameSettings();
+    const bad = {
+        'denominations is not an object': { denominations: 'oops' },
+        'unknown series': { denominations: { ...defaults.denominations, series: '1-3-9' } },
+        'custom values are not an array': { denominations: { ...defaults.denominations, customValues: '1, 5' } },
+        'max jump of 1': { denominations: { ...defaults.denominations, maxJump: 1 } },
+        'unknown locale': { currency: { ...defaults.currency, locale: '??' } },
+        'unknown currency': { currency: { ...defaults.currency, currency: 'DOLLARS' } },
+        'unknown game type': { gameType: 'sit-and-go' },
+        'unknown value mode': { valueMode: 'random' },
+        'unknown distribution mode': { distributionMode: 'greedy' },
+        'negative short seats': { rebuys: { ...defaults.rebuys, shortSeats: -1 } },
+        'zero-minute levels': { tournament: { ...defaults.tournament, levelMinutes: 0 } }
+    };
+    for (const [name, change] of Object.entries(bad)) {
+        assert.notDeepEqual(validateGameSettings({ ...defaults, ...change }), [], name);
+    }
+});
+
+test('points need no currency code', () => {
+    const defaults = getDefaultGameSettings();
+    assert.deepEqual(validateGameSettings({ ...defaults, currency: { currency: 'points', locale: 'de-DE' } }), []);
+});
+
+test('shared results from peers are checked against this device', () => {
+    const chipIds = ['1', '2'];
+    const shared = {
+        kind: 'cash',
+        title: 'Cash game',
+        notes: [],
+        result: {
+            distribution: [{ id: '1', quantity: 20, value: 0.25, subtotal: 5 }, { id: '2', quantity: 15, value: 1, subtotal: 15 }],
+            totalValue: 20,
+            totalChips: 35,
+            isValid: true,
+            warnings: ['Only 35 chips per player'],
+            diagnostics: [{ code: 'few-chips', severity: 'info', values: { count: 35, minChips: 40 }, fix: null }],
+            trace: [{ step: 'pyramid-total', values: { totalValue: 20, buyIn: 20 } }]
+        }
+    };
+    assert.deepEqual(validateSyncedResult(shared, chipIds), []);
+
+    const withResult = change => ({ ...shared, result: { ...shared.result, ...change } });
+    const bad = {
+        'markup in a quantity': withResult({ distribution: [{ id: '1', quantity: '<img src=x onerror=alert(1)>', value: 1, subtotal: 1 }] }),
+        'unknown chip': withResult({ distribution: [{ id: '9', quantity: 1, value: 1, subtotal: 1 }] }),
+        'markup in the chip count': withResult({ totalChips: '<b>35</b>' }),
+        'unknown diagnostic': withResult({ diagnostics: [{ code: 'pwned', values: {} }] }),
+        'object in diagnostic values': withResult({ diagnostics: [{ code: 'few-chips', values: { count: { toString: null } } }] }),
+        'unknown trace step': withResult({ trace: [{ step: 'pwned', values: {} }] }),
+        'unknown kind': { ...shared, kind: 'sit-and-go' },
+        'not an object': 'result'
+    };
+    for (const [name, value] of Object.entries(bad)) {
+        assert.notDeepEqual(validateSyncedResult(value, chipIds), [], name);
+    }
+});
+
+test('ledger sessions and game nights need well-formed players', () => {
+    const session = {
+        id: '1', startedAt: '2024-06-01T19:00:00.000Z', endedAt: null,
+        players: [
+            { id: '1', name: 'Ana', buyIns: [50, 50], cashOut: null },
+            { id: '2', name: 'Ben', buyIns: [50], cashOut: { 1: 20, 2: 0 } }
+        ]
+    };
+    assert.deepEqual(validateSession(session), []);
+    const withPlayer = change => ({ ...session, players: [{ ...session.players[0], ...change }] });
+    for (const [name, value] of Object.entries({
+        'number as a name': withPlayer({ name: 42 }),
+        'text buy-in': withPlayer({ buyIns: ['50'] }),
+        'infinite buy-in': withPlayer({ buyIns: [Infinity] }),
+        'fractional cash-out count': withPlayer({ cashOut: { 1: 2.5 } }),
+        'no players': { ...session, players: undefined }
+    })) {
+        assert.notDeepEqual(validateSession(value), [], name);
+    }
+
+    const game = { id: '1', date: '2024-06-01T19:00:00.000Z', players: [{ name: 'Ana', totalIn: 100, rebuys: 1, net: -35.5 }] };
+    assert.deepEqual(validateGameNight(game), []);
+    const withEntry = change => ({ ...game, players: [{ ...game.players[0], ...change }] });
+    for (const [name, value] of Object.entries({
+        'missing name': withEntry({ name: undefined }),
+        'text net': withEntry({ net: '-35.5' }),
+        'NaN total in': withEntry({ totalIn: NaN }),
+        'negative rebuys': withEntry({ rebuys: -1 }),
+        'no date': { ...game, date: null }
+    })) {
+        assert.notDeepEqual(validateGameNight(value), [], name);
+    }
+});
@@ -0,0 +1,59 @@
+/**
+ * Player statistics tests
+ * Totals across game nights: the same player matched whatever the case or
+ * spacing of their name, money added in cents, and skipped nights carried.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameNight, computePlayerStats, cumulativeResults } from '../src/stats.js';
+
+const games = [
+    {
+        id: '2', date: '2024-06-08T19:00:00.000Z',
+        players: [{ name: 'ana ', totalIn: 50, rebuys: 0, net: 0.2 }, { name: 'Ben', totalIn: 100, rebuys: 1, net: -0.2 }]
+    },
+    {
+        id: '1', date: '2024-06-01T19:00:00.000Z',
+        players: [{ name: 'Ana', totalIn: 100, rebuys: 1, net: 0.1 }, { name: 'Cy', totalIn: 50, rebuys: 0, net: -0.1 }]
+    }
+];
+
+test("a game night keeps each player's result from the session summary", () => {
+    const session = { id: '7', startedAt: '2024-06-01T19:00:00.000Z' };
+    const summary = { players: [{ id: '1', name: 'Ana', totalIn: 100, rebuys: 1, cashOut: 120, net: 20, hasCashedOut: true }] };
+    const gameSettings = { buyIn: 50 };
+    const game = createGameNight(session, summary, { presetName: '', gameSettings });
+
+    assert.deepEqual(game, {
+        id: '7', date: session.startedAt, sessionId: '7', presetName: null, gameSettings: { buyIn: 50 },
+        players: [{ name: 'Ana', totalIn: 100, rebuys: 1, net: 20 }]
+    });
+    assert.notEqual(game.gameSettings, gameSettings, 'settings are copied');
+});
+
+test('player stats match names loosely and add up in cents', () => {
+    const stats = computePlayerStats(games);
+
+    assert.deepEqual(stats.map(s => s.name), ['ana ', 'Cy', 'Ben'], 'sorted by net profit, named as first seen');
+    const [ana] = stats;
+    assert.equal(ana.netProfit, 0.3, '0.2 + 0.1 without floating-point drift');
+    assert.equal(ana.sessions, 2);
+    assert.equal(ana.biggestWin, 0.2);
+    assert.equal(ana.biggestLoss, 0);
+    assert.equal(ana.averageRebuys, 0.5);
+    assert.deepEqual(computePlayerStats([]), []);
+});
+
+test('cumulative results run oldest first and carry through skipped nights', () => {
+    const { dates, series } = cumulativeResults(games);
+
+    assert.deepEqual(dates, ['2024-06-01T19:00:00.000Z', '2024-06-08T19:00:00.000Z']);
+    assert.deepEqual(series, [
+        { name: 'Ana', points: [0.1, 0.3] },
+        { name: 'Cy', points: [-0.1, -0.1] },
+        { name: 'Ben', points: [0, -0.2] }
+    ]);
+});
@@ -0,0 +1,64 @@
+/**
+ * Storage backend tests
+ * Opening IndexedDB gives up when another tab blocks it or it never
+ * answers, and the app falls back to localStorage.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIndexedDBBackend, createDefaultBackend } from '../src/storageBackends.js';
+
+/**
+ * IndexedDB factory whose open requests do what `respond` says
+ * @param {(request: Object) => void} respond - Called with each open request after the caller has set its handlers
+ * @returns {Object} - IDBFactory stand-in
+ */
+function fakeIndexedDB(respond) {
+    return {
+        open: () => {
+            const request = {};
+            setTimeout(() => respond(request), 0);
+            return request;
+        }
+    };
+}
+
+/**
+ * Database stand-in that records whether it was closed
+ * @returns {Object}
+ */
+function fakeDatabase() {
+    return { closed: false, close() { this.closed = true; } };
+}
+
+test('a blocked open rejects', async () => {
+    const indexedDB = fakeIndexedDB(request => request.onblocked());
+    await assert.rejects(createIndexedDBBackend({ indexedDB, legacyStorage: null }), /blocked/);
+});
+
+test('an open that never finishes times out, and a late database is closed', async () => {
+    const db = fakeDatabase();
+    let pending;
+    const indexedDB = fakeIndexedDB(request => { pending = request; });
+    await assert.rejects(createIndexedDBBackend({ indexedDB, legacyStorage: null, openTimeout: 10 }), /timed out/);
+
+    pending.result = db;
+    pending.onsuccess();
+    assert.equal(db.closed, true);
+});
+
+test('the default backend falls back to localStorage when IndexedDB is blocked', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const saved = { indexedDB: globalThis.indexedDB, localStorage: globalThis.localStorage };
+    globalThis.indexedDB = fakeIndexedDB(request => request.onblocked());
+    globalThis.localStorage = { 'poker-chip-calculator-chips': '[]', getItem(key) { return this[key]; } };
+    try {
+        const backend = await createDefaultBackend();
+        assert.equal(backend.name, 'localStorage');
+        assert.deepEqual(await backend.entries(), [['poker-chip-calculator-chips', '[]']]);
+    } finally {
+        Object.assign(globalThis, saved);
+    }
+});
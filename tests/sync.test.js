@@ -0,0 +1,104 @@
+/**
+ * Table sync tests
+ * Devices connected through an in-memory transport: last writer wins per
+ * entry, deletions stay deleted, and malformed stamps are ignored.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSyncEngine, mergeEntries, compareStamps, isValidEntry } from '../src/sync.js';
+
+/**
+ * In-memory room: every message reaches every other transport, synchronously
+ * @returns {() => Object} - Creates a transport in the room
+ */
+function createRoom() {
+    const members = [];
+    return () => {
+        const member = {
+            handler: () => {},
+            send: message => members.filter(m => m !== member).forEach(m => m.handler(structuredClone(message))),
+            onMessage: handler => { member.handler = handler; },
+            onStatus: handler => handler('open'),
+            close: () => members.splice(members.indexOf(member), 1)
+        };
+        members.push(member);
+        return member;
+    };
+}
+
+/**
+ * Device on a room that records the last value of each document
+ * @param {() => Object} join - Transport factory from createRoom
+ * @param {string} deviceId
+ * @returns {{engine: Object, seen: Object}}
+ */
+function device(join, deviceId) {
+    const seen = {};
+    const engine = createSyncEngine({ transport: join(), deviceId, onChange: (name, value) => { seen[name] = value; } });
+    return { engine, seen };
+}
+
+const chip = (id, value, name = `Chip ${id}`) => ({ id, name, color: '#ffffff', quantity: 50, value, locked: false });
+
+test('higher clocks win, equal clocks go to the higher device', () => {
+    const local = { a: { value: 1, clock: 3, device: 'x' }, b: { value: 1, clock: 2, device: 'b' } };
+    const remote = { a: { value: 2, clock: 2, device: 'z' }, b: { value: 2, clock: 2, device: 'c' } };
+    const { entries, changed } = mergeEntries(local, remote);
+    assert.equal(changed, true);
+    assert.equal(entries.a.value, 1);
+    assert.equal(entries.b.value, 2);
+    assert.equal(compareStamps({ clock: 1, device: 'a' }, { clock: 1, device: 'a' }), 0);
+});
+
+test('a joining device adopts the table and hears later edits', () => {
+    const join = createRoom();
+    const host = device(join, 'host');
+    host.engine.host({ chips: [chip('1', 1), chip('2', 5)], gameSettings: { buyIn: 20, players: 6 } });
+
+    const guest = device(join, 'guest');
+    guest.engine.join({ presets: [] });
+    assert.deepEqual(guest.seen.chips.map(c => c.id), ['1', '2']);
+    assert.equal(guest.seen.gameSettings.buyIn, 20);
+
+    guest.engine.update('chips', [chip('1', 1, 'White'), chip('2', 5)]);
+    assert.equal(host.seen.chips[0].name, 'White');
+});
+
+test('deleted chips stay deleted when a stale copy comes back', () => {
+    const join = createRoom();
+    const host = device(join, 'host');
+    host.engine.host({ chips: [chip('1', 1), chip('2', 5)] });
+    const guest = device(join, 'guest');
+    guest.engine.join({});
+
+    host.engine.update('chips', [chip('1', 1)]);
+    assert.deepEqual(guest.seen.chips.map(c => c.id), ['1']);
+
+    // A stale peer replays the chip with its original stamp
+    join().send({ type: 'state', from: 'stale', docs: { chips: { 2: { value: chip('2', 5), clock: 2, device: 'host' } } } });
+    assert.deepEqual(guest.seen.chips.map(c => c.id), ['1']);
+    assert.deepEqual(host.seen.chips?.map(c => c.id) ?? ['1'], ['1']);
+});
+
+test('entries with malformed clocks are ignored', () => {
+    assert.equal(isValidEntry({ value: 1, clock: 'x', device: 'a' }), false);
+    assert.equal(isValidEntry({ value: 1, clock: -1, device: 'a' }), false);
+    assert.equal(isValidEntry({ value: 1, clock: 1.5, device: 'a' }), false);
+    assert.equal(isValidEntry({ value: 1, clock: 2, device: 'a' }), true);
+
+    const join = createRoom();
+    const host = device(join, 'host');
+    host.engine.host({ chips: [chip('1', 1)] });
+    const guest = device(join, 'guest');
+    guest.engine.join({});
+
+    join().send({ type: 'state', from: 'attacker', docs: { chips: { 1: { value: chip('1', 1, 'Hijacked'), clock: 'x', device: 'zzz' } } } });
+    assert.equal(guest.seen.chips[0].name, 'Chip 1');
+
+    // The host's clock still works: its next edit wins on the guest
+    host.engine.update('chips', [chip('1', 1, 'Renamed')]);
+    assert.equal(guest.seen.chips[0].name, 'Renamed');
+});
@@ -0,0 +1,139 @@
+/**
+ * Sync relay tests
+ * Runs scripts/sync-relay.js on a spare port and talks to it over raw
+ * sockets, so fragmented and refused frames can be sent on purpose.
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+let relay;
+
+before(async () => {
+    relay = spawn(process.execPath, [new URL('../scripts/sync-relay.js', import.meta.url).pathname, String(PORT)]);
+    await new Promise((resolve, reject) => {
+        relay.stdout.on('data', data => { if (String(data).includes('listening')) resolve(); });
+        relay.on('exit', code => reject(new Error(`relay exited with ${code}`)));
+    });
+});
+
+after(() => relay.kill());
+
+/**
+ * Masked client frame
+ * @param {number} opcode
+ * @param {string|Buffer} data
+ * @param {boolean} [fin=true]
+ * @returns {Buffer}
+ */
+function clientFrame(opcode, data, fin = true) {
+    const payload = Buffer.from(data);
+    const mask = randomBytes(4);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    const length = payload.length < 126 ? [payload.length] : [126, payload.length >> 8, payload.length & 0xFF];
+    return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length[0], ...length.slice(1)]), mask, masked]);
+}
+
+/**
+ * Connect to a room; resolves once the handshake is done
+ * @param {string} room
+ * @returns {Promise<{send: (frame: Buffer) => void, next: () => Promise<{opcode: number, payload: Buffer}>, closed: Promise<void>, end: () => void}>}
+ */
+function join(room) {
+    return new Promise((resolve, reject) => {
+        const socket = connect(PORT, '127.0.0.1');
+        let buffer = Buffer.alloc(0);
+        let upgraded = false;
+        const frames = [];
+        const waiting = [];
+        const closed = new Promise(done => socket.on('close', done));
+
+        const flush = () => {
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7F;
+                let header = 2;
+                if (length === 126) {
+                    if (buffer.length < 4) return;
+                    length = buffer.readUInt16BE(2);
+                    header = 4;
+                }
+                if (buffer.length < header + length) return;
+                frames.push({ opcode: buffer[0] & 0x0F, payload: buffer.subarray(header, header + length) });
+                buffer = buffer.subarray(header + length);
+            }
+            while (frames.length > 0 && waiting.length > 0) waiting.shift()(frames.shift());
+        };
+
+        socket.on('error', reject);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (!upgraded) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                upgraded = true;
+                buffer = buffer.subarray(end + 4);
+                resolve({
+                    send: frame => socket.write(frame),
+                    next: () => new Promise(done => { waiting.push(done); flush(); }),
+                    closed,
+                    end: () => socket.destroy()
+                });
+            }
+            flush();
+        });
+
+        socket.write([
+            `GET /?room=${room} HTTP/1.1`, `Host: 127.0.0.1:${PORT}`, 'Upgrade: websocket', 'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`, 'Sec-WebSocket-Version: 13', '', ''
+        ].join('\r\n'));
+    });
+}
+
+test('text messages reach the other devices in the room only', async () => {
+    const [a, b, other] = await Promise.all([join('friday'), join('friday'), join('saturday')]);
+    let otherHeard = false;
+    other.next().then(() => { otherHeard = true; });
+
+    a.send(clientFrame(0x1, '{"type":"hello"}'));
+    const frame = await b.next();
+    assert.equal(frame.opcode, 0x1);
+    assert.equal(String(frame.payload), '{"type":"hello"}');
+
+    // A round trip through the relay: anything for "saturday" would have arrived by now
+    b.send(clientFrame(0x1, 'ping'));
+    await a.next();
+    assert.equal(otherHeard, false);
+    [a, b, other].forEach(client => client.end());
+});
+
+test('fragmented messages are forwarded whole', async () => {
+    const [a, b] = await Promise.all([join('frag'), join('frag')]);
+    const message = JSON.stringify({ type: 'state', docs: { chips: { 1: { note: 'x'.repeat(300) } } } });
+    a.send(Buffer.concat([
+        clientFrame(0x1, message.slice(0, 100), false),
+        clientFrame(0x9, 'still there?'), // control frames may come between fragments
+        clientFrame(0x0, message.slice(100, 250), false),
+        clientFrame(0x0, message.slice(250))
+    ]));
+    assert.equal((await a.next()).opcode, 0xA, 'ping answered with a pong');
+    const frame = await b.next();
+    assert.equal(String(frame.payload), message);
+    [a, b].forEach(client => client.end());
+});
+
+test('stray continuations and binary messages close the connection', async () => {
+    for (const [frame, code] of [[clientFrame(0x0, 'orphan'), 1002], [clientFrame(0x2, 'binary'), 1003]]) {
+        const client = await join('bad');
+        client.send(frame);
+        const close = await client.next();
+        assert.equal(close.opcode, 0x8);
+        assert.equal(close.payload.readUInt16BE(0), code);
+        await client.closed;
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * Tournament structure tests
+ * Blind schedules over a grid of stacks, fields and lengths: levels line up
+ * in time, blinds only go up, and every level can be posted with the
+ * suggested chips.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildBlindSchedule, suggestTournamentChipValues, findUnpostableLevels, formatTournamentChips
+} from '../src/tournament.js';
+import { setCurrencySettings, DEFAULT_CURRENCY_SETTINGS } from '../src/currency.js';
+
+// Every combination of these is checked
+const STACKS = [1500, 5000, 10000, 20000, 50000];
+const FIELDS = [2, 6, 9, 27];
+const LENGTHS = [{ durationMinutes: 120, levelMinutes: 15 }, { durationMinutes: 240, levelMinutes: 20 }, { durationMinutes: 45, levelMinutes: 60 }];
+
+/**
+ * Every schedule parameter combination
+ * @returns {Array<Object>} - buildBlindSchedule input
+ */
+function structures() {
+    return STACKS.flatMap(startingStack => FIELDS.flatMap(numPlayers =>
+        LENGTHS.map(length => ({ startingStack, numPlayers, ...length }))));
+}
+
+test('blind schedules fill the duration with rising, postable levels', () => {
+    for (const params of structures()) {
+        const context = JSON.stringify(params);
+        const levels = buildBlindSchedule(params);
+        const [first] = levels;
+
+        assert.equal(levels.length, Math.max(1, Math.floor(params.durationMinutes / params.levelMinutes)), `level count: ${context}`);
+        assert.ok(params.startingStack / first.bigBlind >= 100, `starts deep: ${context}`);
+        levels.forEach((level, i) => {
+            assert.equal(level.level, i + 1, `numbered from 1: ${context}`);
+            assert.equal(level.startsAt, i * params.levelMinutes, `back to back: ${context}`);
+            assert.equal(level.minutes, params.levelMinutes, `level length: ${context}`);
+            assert.equal(level.bigBlind, level.smallBlind * 2, `big blind is twice the small: ${context}`);
+            assert.ok(i === 0 || level.smallBlind > levels[i - 1].smallBlind, `blinds rise at level ${level.level}: ${context}`);
+            assert.ok(i === 0 || level.ante >= levels[i - 1].ante, `antes never drop at level ${level.level}: ${context}`);
+            for (const amount of [level.smallBlind, level.bigBlind, level.ante]) {
+                assert.equal(amount % first.smallBlind, 0, `${amount} is a multiple of the first small blind: ${context}`);
+            }
+        });
+        assert.equal(first.ante, 0, `no ante at the start: ${context}`);
+        if (levels.length > 3) {
+            assert.ok(levels[levels.length - 1].ante > 0, `antes by the end: ${context}`);
+        }
+    }
+});
+
+test('schedules with no stack or no level length are empty', () => {
+    assert.deepEqual(buildBlindSchedule({ startingStack: 0, numPlayers: 6, durationMinutes: 240, levelMinutes: 20 }), []);
+    assert.deepEqual(buildBlindSchedule({ startingStack: 10000, numPlayers: 6, durationMinutes: 240, levelMinutes: 0 }), []);
+});
+
+test('suggested tournament chips post every level', () => {
+    for (const params of structures()) {
+        const levels = buildBlindSchedule(params);
+        for (let count = 1; count <= 6; count++) {
+            const context = `${count} chips for ${JSON.stringify(params)}`;
+            const values = suggestTournamentChipValues(levels, params.startingStack, count);
+
+            assert.ok(values.length >= 1 && values.length <= count, `one value per chip type at most: ${context}`);
+            assert.ok(values.every((v, i) => i === 0 || v > values[i - 1]), `strictly ascending: ${context}`);
+            assert.ok(values.every(v => v % values[0] === 0), `multiples of the smallest chip: ${context}`);
+            assert.ok(values.slice(1).every(v => v <= params.startingStack / 2), `no chip above half a stack: ${context}`);
+            assert.deepEqual(findUnpostableLevels(levels, values), [], context);
+        }
+    }
+    assert.deepEqual(suggestTournamentChipValues([], 10000, 4), []);
+});
+
+test('levels the chips cannot make are reported', () => {
+    const levels = [
+        { level: 1, smallBlind: 25, bigBlind: 50, ante: 0 },
+        { level: 2, smallBlind: 50, bigBlind: 100, ante: 0 },
+        { level: 3, smallBlind: 100, bigBlind: 200, ante: 25 }
+    ];
+    assert.deepEqual(findUnpostableLevels(levels, [25, 100, 500]), []);
+    assert.deepEqual(findUnpostableLevels(levels, [50, 100]), [1, 3]);
+    assert.deepEqual(findUnpostableLevels(levels, []), [1, 2, 3], 'no chips post nothing');
+});
+
+test('tournament chips are formatted for the locale without decimals', () => {
+    try {
+        setCurrencySettings({ currency: 'EUR', locale: 'de-DE' });
+        assert.equal(formatTournamentChips(10000), '10.000');
+        setCurrencySettings({ currency: 'points', locale: 'en-US' });
+        assert.equal(formatTournamentChips(2500.4), '2,500');
+    } finally {
+        setCurrencySettings(DEFAULT_CURRENCY_SETTINGS);
+    }
+});